@@ -15,7 +15,33 @@
  *  8. API       — OpenAI Moderation API integration
  *  9. Render    — Results rendering engine
  * 10. Actions   — Copy, flag, new analysis
- * 11. Init      — Bootstrap
+ * 11. Batch     — File upload & bulk moderation
+ * 12. Store     — IndexedDB persistence
+ * 13. History   — Saved analyses: search, re-open, delete
+ * 14. Policy    — Per-category threshold profiles
+ * 15. Pool      — Bounded-concurrency task runner
+ * 16. Segmenter — Sentence splitting with source offsets
+ * 17. Explain   — Sentence-level heat highlighting
+ * 18. LongText  — Chunked moderation beyond MAX_CHARACTERS
+ * 19. Review    — Reviewer queue with pluggable sinks
+ * 20. Export    — JSON, CSV, Markdown & printable reports
+ * 21. Live      — Debounced as-you-type checks + inline risk meter
+ * 22. Cache     — Content-hash response cache + in-flight dedupe
+ * 23. Retry     — Backoff with jitter for warm-up, 429s & timeouts
+ * 24. Outbox    — Persistent offline queue, sent on reconnect
+ * 25. PWA       — Service worker registration & update prompt
+ * 26. Backends  — Runtime-selectable backend endpoints
+ * 27. Providers — Label-scheme adapters onto the display categories
+ * 28. Compare   — Two texts or two backends, side by side
+ * 29. Rephrase  — Dictionary-driven safer rewrites, re-scored until safe
+ * 30. Normalize — Undo zero-width, look-alike, spaced & emoji obfuscation
+ * 31. Rules     — Local block/allow lists around the model's scores
+ * 32. I18n      — Message catalogs, locale switching & RTL
+ * 33. Language  — Local language detection vs. provider support
+ * 34. Insights  — Verdict mix, score histograms & flagged rate over time
+ * 35. Thread    — Chat transcripts: per-message, per-speaker & escalation
+ * 36. Redact    — Personal details replaced with placeholders before sending
+ * 37. Init      — Bootstrap
  */
 
 /* ──────────────────────────────────────────────────────────────
@@ -26,11 +52,21 @@ const DOM = {
   get offlineBanner()    { return document.getElementById('offline-banner'); },
   get toastContainer()   { return document.getElementById('toast-container'); },
   get textInput()        { return document.getElementById('text-input'); },
+  get liveToggle()       { return document.getElementById('live-toggle'); },
+  get liveMeter()        { return document.getElementById('live-meter'); },
+  get liveMeterFill()    { return document.getElementById('live-meter-fill'); },
+  get liveMeterLabel()   { return document.getElementById('live-meter-label'); },
   get charCurrent()      { return document.getElementById('char-current'); },
   get charCounter()      { return document.getElementById('char-counter'); },
+  get charMax()          { return document.getElementById('char-max'); },
+  get charHint()         { return document.getElementById('char-hint'); },
   get analyzeBtn()       { return document.getElementById('analyze-btn'); },
+  get analyzeProgress()  { return document.getElementById('analyze-progress'); },
   get clearBtn()         { return document.getElementById('clear-btn'); },
   get skeletonLoader()   { return document.getElementById('skeleton-loader'); },
+  get retryStatus()      { return document.getElementById('retry-status'); },
+  get retryMessage()     { return document.getElementById('retry-message'); },
+  get retryCancelBtn()   { return document.getElementById('retry-cancel-btn'); },
   get resultsSection()   { return document.getElementById('results'); },
   get resultsContent()   { return document.getElementById('results-content'); },
   get verdictCard()      { return document.getElementById('verdict-card'); },
@@ -38,13 +74,121 @@ const DOM = {
   get verdictTitle()     { return document.getElementById('verdict-title'); },
   get verdictSubtitle()  { return document.getElementById('verdict-subtitle'); },
   get verdictBadge()     { return document.getElementById('verdict-badge'); },
+  get verdictPolicy()    { return document.getElementById('verdict-policy'); },
   get analyzedText()     { return document.getElementById('analyzed-text'); },
+  get normalizeNote()    { return document.getElementById('normalize-note'); },
+  get normalizeEnabled() { return document.getElementById('normalize-enabled'); },
+  get normalizeDual()    { return document.getElementById('normalize-dual'); },
+  get languageNote()     { return document.getElementById('language-note'); },
+  get redactNote()       { return document.getElementById('redact-note'); },
+  get redactPreview()    { return document.getElementById('redact-preview'); },
+  get redactSummary()    { return document.getElementById('redact-summary'); },
+  get redactSent()       { return document.getElementById('redact-sent'); },
+  get redactEnabled()    { return document.getElementById('redact-enabled'); },
+  get redactTypes()      { return document.getElementById('redact-types'); },
+  get redactTerms()      { return document.getElementById('redact-terms'); },
+  get redactReport()     { return document.getElementById('redact-report'); },
+  get localeSelect()     { return document.getElementById('locale-select'); },
+  get threadForm()       { return document.getElementById('thread-form'); },
+  get threadInput()      { return document.getElementById('thread-input'); },
+  get threadFile()       { return document.getElementById('thread-file'); },
+  get threadBtn()        { return document.getElementById('thread-btn'); },
+  get threadCancelBtn()  { return document.getElementById('thread-cancel-btn'); },
+  get threadSave()       { return document.getElementById('thread-save'); },
+  get threadProgress()   { return document.getElementById('thread-progress'); },
+  get threadProgressText() { return document.getElementById('thread-progress-text'); },
+  get threadProgressFill() { return document.getElementById('thread-progress-fill'); },
+  get threadResults()    { return document.getElementById('thread-results'); },
+  get threadEscalation() { return document.getElementById('thread-escalation'); },
+  get threadSpeakers()   { return document.getElementById('thread-speakers'); },
+  get threadTimeline()   { return document.getElementById('thread-timeline'); },
+  get insightsFrom()     { return document.getElementById('insights-from'); },
+  get insightsTo()       { return document.getElementById('insights-to'); },
+  get insightsPresets()  { return document.getElementById('insights-presets'); },
+  get insightsExport()   { return document.getElementById('insights-export'); },
+  get insightsSummary()  { return document.getElementById('insights-summary'); },
+  get insightsEmpty()    { return document.getElementById('insights-empty'); },
+  get insightsNote()     { return document.getElementById('insights-note'); },
+  get insightsCharts()   { return document.getElementById('insights-charts'); },
+  get insightsVerdicts() { return document.getElementById('insights-verdicts'); },
+  get insightsDrivers()  { return document.getElementById('insights-drivers'); },
+  get insightsTimeline() { return document.getElementById('insights-timeline'); },
+  get insightsHistograms() { return document.getElementById('insights-histograms'); },
+  get explainBtn()       { return document.getElementById('explain-btn'); },
+  get explainControls()  { return document.getElementById('explain-controls'); },
+  get explainTooltip()   { return document.getElementById('explain-tooltip'); },
   get scoresList()       { return document.getElementById('scores-list'); },
+  get ruleHitsCard()     { return document.getElementById('rule-hits-card'); },
+  get ruleHitsList()     { return document.getElementById('rule-hits-list'); },
+  get partsCard()        { return document.getElementById('parts-card'); },
+  get partsList()        { return document.getElementById('parts-list'); },
+  get rephraseCard()     { return document.getElementById('rephrase-card'); },
+  get rephraseBtn()      { return document.getElementById('rephrase-btn'); },
+  get rephraseStatus()   { return document.getElementById('rephrase-status'); },
+  get rephraseResult()   { return document.getElementById('rephrase-result'); },
+  get rephraseDiff()     { return document.getElementById('rephrase-diff'); },
+  get rephraseUseBtn()   { return document.getElementById('rephrase-use-btn'); },
+  get rephraseDictionary() { return document.getElementById('rephrase-dictionary'); },
+  get rephraseDictSaveBtn()  { return document.getElementById('rephrase-dict-save-btn'); },
+  get rephraseDictResetBtn() { return document.getElementById('rephrase-dict-reset-btn'); },
   get copyReportBtn()    { return document.getElementById('copy-report-btn'); },
+  get exportBtn()        { return document.getElementById('export-btn'); },
+  get exportMenu()       { return document.getElementById('export-menu'); },
   get flagBtn()          { return document.getElementById('flag-btn'); },
+  get flagForm()         { return document.getElementById('flag-form'); },
+  get flagNote()         { return document.getElementById('flag-note'); },
+  get flagSubmitBtn()    { return document.getElementById('flag-submit-btn'); },
+  get flagCancelBtn()    { return document.getElementById('flag-cancel-btn'); },
   get newAnalysisBtn()   { return document.getElementById('new-analysis-btn'); },
   get navHeader()        { return document.querySelector('.nav-header'); },
   get serverStatus()     { return document.getElementById('server-status'); },
+  get batchDropzone()    { return document.getElementById('batch-dropzone'); },
+  get batchFile()        { return document.getElementById('batch-file'); },
+  get batchProgress()    { return document.getElementById('batch-progress'); },
+  get batchProgressText(){ return document.getElementById('batch-progress-text'); },
+  get batchProgressFill(){ return document.getElementById('batch-progress-fill'); },
+  get batchCancelBtn()   { return document.getElementById('batch-cancel-btn'); },
+  get batchResults()     { return document.getElementById('batch-results'); },
+  get batchTableHead()   { return document.getElementById('batch-table-head'); },
+  get batchTableBody()   { return document.getElementById('batch-table-body'); },
+  get historySearch()    { return document.getElementById('history-search'); },
+  get historyFilter()    { return document.getElementById('history-filter'); },
+  get historyList()      { return document.getElementById('history-list'); },
+  get historyEmpty()     { return document.getElementById('history-empty'); },
+  get historyCount()     { return document.getElementById('history-count'); },
+  get historyClearBtn()  { return document.getElementById('history-clear-btn'); },
+  get historyExport()    { return document.getElementById('history-export'); },
+  get outbox()           { return document.getElementById('outbox'); },
+  get outboxCount()      { return document.getElementById('outbox-count'); },
+  get outboxList()       { return document.getElementById('outbox-list'); },
+  get outboxSendBtn()    { return document.getElementById('outbox-send-btn'); },
+  get outboxClearBtn()   { return document.getElementById('outbox-clear-btn'); },
+  get compareForm()      { return document.getElementById('compare-form'); },
+  get compareInputs()    { return document.querySelector('.compare-inputs'); },
+  get compareFieldB()    { return document.getElementById('compare-field-b'); },
+  get compareBackends()  { return document.getElementById('compare-backends'); },
+  get compareBtn()       { return document.getElementById('compare-btn'); },
+  get compareResults()   { return document.getElementById('compare-results'); },
+  get compareSummary()   { return document.getElementById('compare-summary'); },
+  get compareRows()      { return document.getElementById('compare-rows'); },
+  get backendList()      { return document.getElementById('backend-list'); },
+  get backendOverride()  { return document.getElementById('backend-override'); },
+  get backendForm()      { return document.getElementById('backend-form'); },
+  get policySelect()     { return document.getElementById('policy-select'); },
+  get policyName()       { return document.getElementById('policy-name'); },
+  get policyRows()       { return document.getElementById('policy-rows'); },
+  get policyDuplicateBtn() { return document.getElementById('policy-duplicate-btn'); },
+  get policyRemoveBtn()  { return document.getElementById('policy-remove-btn'); },
+  get policySaveBtn()    { return document.getElementById('policy-save-btn'); },
+  get rulesList()        { return document.getElementById('rules-list'); },
+  get rulesEmpty()       { return document.getElementById('rules-empty'); },
+  get rulesForm()        { return document.getElementById('rules-form'); },
+  get rulesImport()      { return document.getElementById('rules-import'); },
+  get rulesExportBtn()   { return document.getElementById('rules-export-btn'); },
+  get reviewTabs()       { return document.getElementById('review-tabs'); },
+  get reviewList()       { return document.getElementById('review-list'); },
+  get reviewEmpty()      { return document.getElementById('review-empty'); },
+  get reviewSink()       { return document.getElementById('review-sink'); },
 };
 
 /* ──────────────────────────────────────────────────────────────
@@ -56,6 +200,8 @@ const State = {
   lastInputText:  '',
   isOnline:       navigator.onLine,
   isServerOnline: null,   // null = unknown, true = online, false = offline
+  isBatchRunning: false,
+  isThreadRunning: false,
 };
 
 /* ──────────────────────────────────────────────────────────────
@@ -81,6 +227,7 @@ const Toast = (() => {
       clearTimeout(removeTimer);
       dismiss(el);
     });
+    return el;
   }
 
   function dismiss(el) {
@@ -102,13 +249,13 @@ const Offline = (() => {
       banner.hidden = false;
       banner.offsetHeight; // Force reflow for transition
       banner.classList.add('is-visible');
-      Toast.show('No internet connection — Results may be unavailable', 'warning', 6000);
+      Toast.show(I18n.t('offline.banner'), 'warning', 6000);
     } else {
       banner.classList.remove('is-visible');
       banner.addEventListener('transitionend', () => {
         banner.hidden = true;
       }, { once: true });
-      Toast.show('Connection restored', 'success', 3000);
+      Toast.show(I18n.t('offline.restored'), 'success', 3000);
     }
   }
 
@@ -182,13 +329,17 @@ const Reveal = (() => {
    7. CHAR COUNT — Character counter with visual feedback
    ────────────────────────────────────────────────────────────── */
 const CharCount = (() => {
-  const MAX               = typeof CONFIG !== 'undefined' ? CONFIG.MAX_CHARACTERS : 5000;
-  const WARN_THRESHOLD    = Math.floor(MAX * 0.8);   // 80% = 4000
-  const DANGER_THRESHOLD  = Math.floor(MAX * 0.96);  // 96% = 4800
+  const MAX               = typeof CONFIG !== 'undefined' ? CONFIG.MAX_INPUT_CHARACTERS : 100000;
+  const PART_SIZE         = typeof CONFIG !== 'undefined' ? CONFIG.MAX_CHARACTERS : 5000;
+  const WARN_THRESHOLD    = Math.floor(MAX * 0.8);   // 80%
+  const DANGER_THRESHOLD  = Math.floor(MAX * 0.96);  // 96%
 
   function update() {
     const len = DOM.textInput.value.length;
     DOM.charCurrent.textContent = len;
+    DOM.charHint.textContent = len > PART_SIZE
+      ? I18n.t('analyze.partsHint', { count: Math.ceil(len / PART_SIZE) })
+      : I18n.t('analyze.hint');
 
     const counter = DOM.charCounter;
     counter.classList.remove('is-warning', 'is-critical');
@@ -203,7 +354,10 @@ const CharCount = (() => {
   }
 
   function init() {
+    DOM.textInput.maxLength   = MAX;
+    DOM.charMax.textContent   = MAX;
     DOM.textInput.addEventListener('input', update);
+    I18n.onChange(update);
     update();
   }
 
@@ -214,66 +368,78 @@ const CharCount = (() => {
    8a. SERVER STATUS — Polls /health, drives the indicator + toasts
    ────────────────────────────────────────────────────────────── */
 const ServerStatus = (() => {
-  const HEALTH_URL    = typeof CONFIG !== 'undefined'
-    ? CONFIG.BACKEND_URL.trim().replace(/\/$/, '') + '/health'
-    : 'http://localhost:3000/health';
-
   const POLL_INTERVAL_ONLINE  = 30000;  // re-check every 30s when online
   const POLL_INTERVAL_OFFLINE = 10000;  // retry every 10s when offline
   const CHECK_TIMEOUT         = 8000;   // give up after 8s
 
   let pollTimer      = null;
   let wakingToastShown = false;
+  let shownState     = 'checking';
+  let unreachable    = false;   // Last check got an error back, not just a timeout
+  const onlineListeners = new Set();
+
+  /** Calls `fn` after every health check that finds the server online; returns an unsubscribe */
+  function onOnline(fn) {
+    onlineListeners.add(fn);
+    return () => onlineListeners.delete(fn);
+  }
 
-  /** Updates the visual indicator below the textarea */
-  function setUI(state, label) {
+  /** Updates the visual indicator below the textarea: 'checking' | 'online' | 'waking' | 'offline' */
+  function setUI(state) {
+    shownState = state;
     const el = DOM.serverStatus;
     if (!el) return;
     // Remove all state classes
     el.className = 'server-status server-status--' + state;
-    el.querySelector('.server-status__text').textContent = label;
+    el.querySelector('.server-status__text').textContent = `${I18n.t(`server.${state}`)} · ${Backends.active().name}`;
   }
 
-  /** Performs one health check against the backend */
+  /** Performs one health check against the selected backend */
   async function check(showToasts = false) {
-    setUI('checking', 'Checking server…');
+    setUI('checking');
 
     const controller = new AbortController();
     const timerId    = setTimeout(() => controller.abort(), CHECK_TIMEOUT);
+    const healthUrl  = Backends.active().healthUrl;
 
     try {
-      const res = await fetch(HEALTH_URL, {
+      const res = await fetch(healthUrl, {
         method: 'GET',
         signal: controller.signal,
         cache:  'no-store',
       });
       clearTimeout(timerId);
+      if (healthUrl !== Backends.active().healthUrl) return;  // Backend switched mid-check
 
       if (res.ok) {
         const wasOffline = State.isServerOnline === false || State.isServerOnline === null;
         State.isServerOnline = true;
+        unreachable          = false;
         wakingToastShown     = false;
-        setUI('online', 'Server online');
+        setUI('online');
 
         if (showToasts && wasOffline) {
-          Toast.show('Server is online and ready.', 'success', 3000);
+          Toast.show(I18n.t('server.ready'), 'success', 3000);
         }
         scheduleNext(POLL_INTERVAL_ONLINE);
+        onlineListeners.forEach((fn) => fn());
       } else {
         handleDown(showToasts);
       }
 
     } catch (err) {
       clearTimeout(timerId);
+      if (healthUrl !== Backends.active().healthUrl) return;
 
       if (err.name === 'AbortError') {
         // Timed out — server is probably cold-starting on Render
         State.isServerOnline = false;
-        setUI('waking', 'Server is starting up…');
+        unreachable          = false;
+        setUI('waking');
 
         if (!wakingToastShown) {
           wakingToastShown = true;
-          Toast.show('Please wait — the server is starting up. This can take up to 30 seconds.', 'warning', 20000);
+          Toast.show(I18n.t('analyze.waking'), 'warning', 20000);
         }
         scheduleNext(POLL_INTERVAL_OFFLINE);
       } else {
@@ -285,10 +451,11 @@ const ServerStatus = (() => {
   function handleDown(showToasts) {
     const wasOnline      = State.isServerOnline === true;
     State.isServerOnline = false;
-    setUI('offline', 'Server offline');
+    unreachable          = true;
+    setUI('offline');
 
     if (showToasts && wasOnline) {
-      Toast.show('Server appears to be offline. Retrying…', 'error', 5000);
+      Toast.show(I18n.t('server.down'), 'error', 5000);
     }
     scheduleNext(POLL_INTERVAL_OFFLINE);
   }
@@ -300,11 +467,23 @@ const ServerStatus = (() => {
 
   /** Called once on app boot */
   function init() {
+    I18n.onChange(() => setUI(shownState));
     // Initial check without toasts (page just loaded)
     check(false);
   }
 
-  return { init, check };
+  /** Starts over against a newly selected backend */
+  function reset() {
+    State.isServerOnline = null;
+    unreachable          = false;
+    wakingToastShown     = false;
+    check(false);
+  }
+
+  /** True when the last health check failed outright; a server that is still waking up is not down */
+  const isDown = () => unreachable;
+
+  return { init, check, reset, onOnline, isDown };
 })();
 
 /* ──────────────────────────────────────────────────────────────
@@ -314,108 +493,181 @@ const API = (() => {
   /**
    * Fetches content moderation scores from the backend proxy.
    * FIX #7: Timeout raised to 40s to survive Render free-tier cold starts.
+   * An optional `signal` lets the caller cancel; that rejects with the AbortError as-is.
+   * Retryable failures are retried by Retry; `onRetry(wait | null)` reports each wait.
+   * `backend` (from Backends.list()) overrides the active backend for this call.
+   * Obfuscation is undone by Normalize first, so hidden characters and look-alike
+   * digits cannot smuggle personal details past Redact, which runs after
+   * Rules.mask has taken out allowlisted words. When they found anything,
+   * `normalization` carries the tricks and, if enabled, the raw-text response,
+   * and `redaction` what was hidden; both carry the text actually sent.
    */
-  async function analyzeText(text) {
-    const BACKEND_URL    = typeof CONFIG !== 'undefined'
-      ? CONFIG.MODERATE_ENDPOINT.trim().replace(/\/$/, '')
-      : 'http://localhost:3000/moderate';
+  async function analyzeText(text, { signal, onRetry, backend = Backends.active() } = {}) {
+    const BACKEND_URL    = backend.moderateUrl;
+    const source         = { name: backend.name, url: backend.url, provider: backend.provider };
+    const adapter        = Providers.get(backend.provider);
 
     const TIMEOUT_MS     = (typeof CONFIG !== 'undefined' ? CONFIG.REQUEST_TIMEOUT_MS : null) || 40000;
     const MAX_CHARACTERS = (typeof CONFIG !== 'undefined' ? CONFIG.MAX_CHARACTERS    : null) || 5000;
 
     const trimmed = text.trim();
     if (!trimmed) {
-      throw new Error('Please enter some text to analyze.');
+      throw new Error(I18n.t('api.empty'));
     }
-    if (trimmed.length > MAX_CHARACTERS) {
-      throw new Error(`Text too long. Maximum ${MAX_CHARACTERS.toLocaleString()} characters.`);
+    const { text: normalized, tricks } = Normalize.run(trimmed);
+    const redaction = Redact.run(Rules.mask(normalized));
+    const prepared  = redaction.text;
+    if (Math.max(trimmed.length, prepared.length) > MAX_CHARACTERS) {
+      throw new Error(I18n.t('api.tooLong', { max: MAX_CHARACTERS.toLocaleString() }));
     }
-    if (!navigator.onLine) {
-      throw new Error('No internet connection. Please check your network and try again.');
+
+    async function moderate(input) {
+      // Identical text is answered from cache, or joins a request already in flight
+      const key    = await Cache.key(BACKEND_URL, input);
+      const cached = await Cache.lookup(key);
+      if (cached) return { ...cached, cached: true };
+
+      if (!navigator.onLine) {
+        throw new Error(I18n.t('api.offline'));
+      }
+
+      return Cache.share(
+        key,
+        (sharedSignal, notify) => Retry.run(
+          (attemptSignal) => request(BACKEND_URL, input, attemptSignal, TIMEOUT_MS),
+          { signal: sharedSignal, onWait: notify },
+        ).then((data) => { adapter.read(data); return data; }),  // Never cache a response the adapter rejects
+        { signal, onRetry },
+      );
     }
 
+    const data   = await moderate(prepared);
+    const result = { ...data, backend: source, ...(redaction.found.length && { redaction }) };
+    if (!tricks.length) return result;
+
+    // The text as typed would carry the details redaction only found once normalized
+    const raw = Normalize.settings().dualScore && !redaction.found.length ? await moderate(Rules.mask(trimmed)) : null;
+    return { ...result, normalization: { text: prepared, tricks, ...(raw && { raw }) } };
+  }
+
+  /** An Error carrying the hints Retry needs to schedule another attempt */
+  function retryableError(message, retry) {
+    const err = new Error(message);
+    err.retry = retry;
+    return err;
+  }
+
+  /** Retry-After is either delta-seconds or an HTTP date */
+  function retryAfterMs(response) {
+    const value = response.headers?.get?.('Retry-After');
+    if (!value) return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /** One POST to /moderate; `signal` aborts it early, otherwise it times out after `timeoutMs` */
+  async function request(url, text, signal, timeoutMs) {
     const controller = new AbortController();
-    const timeoutId  = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    const timeoutId  = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort    = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     let response;
     try {
-      response = await fetch(BACKEND_URL, {
+      if (signal?.aborted) controller.abort();
+      response = await fetch(url, {
         method:  'POST',
         headers: { 'Content-Type': 'application/json' },
-        body:    JSON.stringify({ text: trimmed }),
+        body:    JSON.stringify({ text }),
         signal:  controller.signal,
       });
     } catch (err) {
       if (err.name === 'AbortError') {
-        throw new Error('Request timed out. The server may be waking up — please try again in a moment.');
+        if (signal?.aborted) throw err;  // Cancelled by the caller, not a timeout
+        throw retryableError(I18n.t('api.timeout'), { reason: 'timeout', wakeOnHealth: true });
       }
-      throw new Error('Network error. Could not reach the analysis server. Check your connection.');
+      throw retryableError(I18n.t('api.network'), { reason: 'network', wakeOnHealth: true });
     } finally {
       clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
     }
 
     if (response.status === 503) {
       let waitSecs = 20;
       try { const d = await response.json(); waitSecs = Math.ceil(d?.estimated_time ?? 20); } catch (_) {}
-      throw new Error(`The AI model is warming up. Please wait ${waitSecs} seconds then try again.`);
+      throw retryableError(I18n.t('api.warming', { secs: waitSecs }),
+        { reason: 'warming', afterMs: retryAfterMs(response) ?? waitSecs * 1000 });
+    }
+
+    if (response.status === 429) {
+      throw retryableError(I18n.t('api.rateLimit'), { reason: 'rate-limit', afterMs: retryAfterMs(response) });
     }
 
     if (!response.ok) {
-      let errorMsg = `Server error (${response.status})`;
+      let errorMsg = I18n.t('api.serverError', { status: response.status });
       try {
         const errorData = await response.json();
         const msg = errorData?.message;
-        if (response.status === 400)      errorMsg = msg || 'Invalid request. Try analyzing different text.';
-        else if (response.status === 403) errorMsg = 'Access denied by server (CORS). Contact support.';
-        else if (response.status === 429) errorMsg = 'Too many requests. Please wait a moment and try again.';
-        else if (response.status === 502) errorMsg = 'Could not reach the AI model. Please try again shortly.';
-        else if (response.status === 504) errorMsg = 'Request timed out. Please try again.';
-        else if (response.status === 500) errorMsg = 'Internal server error. Please try again shortly.';
+        if (response.status === 400)      errorMsg = msg || I18n.t('api.badRequest');
+        else if (response.status === 403) errorMsg = I18n.t('api.forbidden');
+        else if (response.status === 502) errorMsg = I18n.t('api.badGateway');
+        else if (response.status === 504) errorMsg = I18n.t('api.gatewayTimeout');
+        else if (response.status === 500) errorMsg = I18n.t('api.internal');
         else if (msg)                     errorMsg = msg;
       } catch (_) { /* Ignore JSON parse error on error body */ }
+      if (response.status === 502 || response.status === 504) {
+        throw retryableError(errorMsg, { reason: 'gateway', wakeOnHealth: false });
+      }
       throw new Error(errorMsg);
     }
 
-    const data = await response.json();
-
-    if (typeof data.flagged === 'undefined' || !data.scores || typeof data.scores !== 'object') {
-      throw new Error('Unexpected response from moderation server.');
-    }
-
-    return data;
+    return response.json();
   }
 
   /**
    * Parses raw backend response into a normalized results object.
-   * Maps OpenAI's 13 categories into 6 display groups (max of sub-categories).
+   * The backend's provider adapter reads the raw labels and ClearTextCore.toScores
+   * groups them: each mapped label is a sub-category of one display category, and
+   * labels the adapter does not know are kept under `other`. Raw label scores go
+   * in `subScores`, the model's own flagged labels in `flaggedCategories`. Answers
+   * served from Cache carry `cached: true`; `backend` names the backend that answered.
+   * `language` is the detected language and whether that provider supports it.
+   * `text` stays the original; `redaction` (if any) holds the version that was sent.
    *
    * FIX #6: Changed `score === null` to `score == null` to also skip undefined scores.
    */
   function parseResponse(data, inputText) {
-    const cs      = data.scores;
-    const flagged = data.flagged;
-
-    const pct   = (val) => (val != null ? Math.round(val * 100) : 0);
-    const maxOf = (...keys) => Math.max(...keys.map((k) => cs[k] ?? 0));
-
-    const scores = {
-      hate:       pct(maxOf('hate', 'hate/threatening')),
-      harassment: pct(maxOf('harassment', 'harassment/threatening')),
-      selfHarm:   pct(maxOf('self-harm', 'self-harm/intent', 'self-harm/instructions')),
-      sexual:     pct(maxOf('sexual', 'sexual/minors')),
-      violence:   pct(maxOf('violence', 'violence/graphic')),
-      illicit:    pct(maxOf('illicit', 'illicit/violent')),
-    };
+    const adapter = Providers.get(data.backend?.provider ?? Backends.active().provider);
+    const { scores, subScores, overallScore, flagged, flaggedLabels } = ClearTextCore.toScores(adapter, data);
+
+    // With the raw text scored as well, a big jump once normalized suggests deliberate evasion
+    const normalization = data.normalization && { text: data.normalization.text, tricks: data.normalization.tricks };
+    if (data.normalization?.raw) {
+      normalization.rawScore = ClearTextCore.toScores(adapter, data.normalization.raw).overallScore;
+      normalization.evasion  = overallScore - normalization.rawScore >= Normalize.EVASION_MIN_DELTA;
+    }
 
-    const overallScore = Math.max(...Object.values(scores));
+    // Local checks see the text before masking and redaction; only the backend gets the placeholders
+    const localText = Normalize.run(inputText.trim()).text;
+    const language  = Language.assess(localText, adapter);
 
-    return {
+    const results = {
       text: inputText,
       scores,
+      subScores,
       overallScore,
       flaggedByApi: flagged,
+      flaggedCategories: flaggedLabels,
+      ...(language && { language }),
+      ...(normalization && { normalization }),
+      ...(data.redaction && { redaction: data.redaction }),
+      ...(data.cached && { cached: true }),
+      ...(data.backend && { backend: data.backend }),
       timestamp: new Date().toISOString(),
     };
+    return Rules.apply(results, Rules.match(localText));
   }
 
   return { analyzeText, parseResponse };
@@ -425,45 +677,54 @@ const API = (() => {
    9. RENDER — Results rendering engine
    ────────────────────────────────────────────────────────────── */
 const Render = (() => {
-  const CATEGORIES = [
-    { key: 'hate',        label: 'Hate Speech',      icon: '🚫' },
-    { key: 'harassment',  label: 'Harassment',        icon: '⚠️' },
-    { key: 'violence',    label: 'Violence',           icon: '🚨' },
-    { key: 'sexual',      label: 'Sexual Content',     icon: '🔞' },
-    { key: 'selfHarm',    label: 'Self-Harm',          icon: '🛑' },
-    { key: 'illicit',     label: 'Illicit Activity',   icon: '⛔' },
-  ];
+  // Labels are looked up on every read so they follow the interface language
+  const category = (key, icon) => ({ key, icon, get label() { return I18n.t(`category.${key}`); } });
 
-  function colorClass(score) {
-    if (score < 30) return 'safe';
-    if (score <= 70) return 'warn';
-    return 'danger';
-  }
+  const CATEGORIES = ClearTextCore.CATEGORIES.map(({ key, icon }) => category(key, icon));
 
-  function getVerdict(score) {
-    if (score < 30) return {
+  const VERDICTS = {
+    safe: {
       level: 'safe', icon: '✓',
-      title: 'Content Appears Safe',
-      subtitle: 'No significant harmful content was detected in this text.',
-      badgeText: 'LOW RISK', badgeClass: 'badge-safe',
+      badgeClass: 'badge-safe',
       cardClass: 'is-safe',  iconClass: 'icon-safe',
-    };
-    if (score <= 70) return {
+    },
+    warn: {
       level: 'warn', icon: '!',
-      title: 'Potentially Concerning',
-      subtitle: 'Some content may be considered harmful or offensive by certain audiences.',
-      badgeText: 'MODERATE RISK', badgeClass: 'badge-warn',
-      cardClass: 'is-warn',       iconClass: 'icon-warn',
-    };
-    return {
+      badgeClass: 'badge-warn',
+      cardClass: 'is-warn',  iconClass: 'icon-warn',
+    },
+    hate: {
       level: 'hate', icon: '✕',
-      title: 'Harmful Content Detected',
-      subtitle: 'This text contains content flagged as harmful, toxic, or hateful.',
-      badgeText: 'HIGH RISK', badgeClass: 'badge-danger',
-      cardClass: 'is-hate',   iconClass: 'icon-hate',
+      badgeClass: 'badge-danger',
+      cardClass: 'is-hate',  iconClass: 'icon-hate',
+    },
+  };
+
+  /** Bar colour for one category score under the active policy profile */
+  function colorClass(score, key) {
+    return Policy.levelFor(key, score);
+  }
+
+  /**
+   * Verdict for a full score set under the active policy profile, with its
+   * title, subtitle and badge text in the interface language.
+   * `triggers` lists the category keys that decided the level.
+   */
+  function getVerdict(scores) {
+    const { level, triggers } = Policy.evaluate(scores);
+    return {
+      ...VERDICTS[level],
+      title:     I18n.t(`verdict.${level}.title`),
+      subtitle:  I18n.t(`verdict.${level}.subtitle`),
+      badgeText: I18n.t(`verdict.${level}.badge`),
+      triggers,
     };
   }
 
+  function labelFor(key) {
+    return CATEGORIES.find((c) => c.key === key)?.label ?? key;
+  }
+
   function truncate(str, max = 280) {
     return str.length > max ? str.slice(0, max).trimEnd() + '…' : str;
   }
@@ -484,10 +745,32 @@ const Render = (() => {
     });
   }
 
+  /** Expandable list of the raw sub-category scores behind one grouped score */
+  function renderSubScores(key, subs, flaggedCategories) {
+    return Object.entries(subs).map(([name, score]) => {
+      const isFlagged = flaggedCategories.includes(name);
+      return `
+        <li class="score-sub">
+          <span class="score-sub__name">${escapeHtml(name)}${isFlagged ? `<span class="score-tag score-tag--flagged">${I18n.t('results.flaggedTag')}</span>` : ''}</span>
+          <span class="score-sub__track" aria-hidden="true"><span class="score-sub__fill color-${colorClass(score, key)}" style="width: ${score}%"></span></span>
+          <span class="score-sub__value">${score}%</span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  function toggleSubScores(e) {
+    const btn = e.target.closest('.score-toggle');
+    if (!btn) return;
+    const expanded = btn.getAttribute('aria-expanded') === 'true';
+    btn.setAttribute('aria-expanded', String(!expanded));
+    document.getElementById(btn.getAttribute('aria-controls')).hidden = expanded;
+  }
+
   function renderResults(results) {
     State.lastResults = results;
-    const { text, scores, overallScore } = results;
-    const verdict = getVerdict(overallScore);
+    const { text, scores } = results;
+    const verdict = getVerdict(scores);
 
     DOM.verdictCard.className    = `verdict-card glass-card ${verdict.cardClass}`;
     DOM.verdictIcon.className    = `verdict-icon ${verdict.iconClass}`;
@@ -496,33 +779,115 @@ const Render = (() => {
     DOM.verdictSubtitle.textContent = verdict.subtitle;
     DOM.verdictBadge.className   = `verdict-badge ${verdict.badgeClass}`;
     DOM.verdictBadge.textContent = verdict.badgeText;
+    const ruleCount = results.ruleHits?.length;
+    DOM.verdictPolicy.textContent = I18n.t('results.policy', { name: Policy.active().name }) +
+      (verdict.triggers.length ? ` · ${I18n.t('results.triggeredBy', { categories: verdict.triggers.map(labelFor).join(', ') })}` : '') +
+      (results.backend ? ` · ${results.backend.name}` : '') +
+      (results.language ? ` · ${I18n.t('results.language', { language: Language.name(results.language.code) })}` : '') +
+      (ruleCount ? ` · ${ruleCount === 1 ? I18n.t('results.rulesOne') : I18n.t('results.rulesMany', { count: ruleCount })}` : '') +
+      (results.cached ? ` · ${I18n.t('results.cached')}` : '');
 
     DOM.analyzedText.textContent = truncate(text);
+    if (results.chunks) Explain.render(results);
+    else Explain.reset();
+    Rephrase.reset(results);
+
+    renderScoreList(DOM.scoresList, results);
+    renderNormalization(results);
+    renderRedaction(results);
+    renderLanguage(results);
+    renderRuleHits(results);
+    renderParts(results);
+  }
+
+  /** Warns when the provider that scored the text does not handle its language well */
+  function renderLanguage(results) {
+    const language = results.language;
+    const warn     = language && !language.supported;
+    DOM.languageNote.hidden = !warn;
+    if (!warn) return;
+
+    const provider = Providers.get(results.backend?.provider ?? Backends.active().provider).label;
+    DOM.languageNote.textContent = I18n.t('results.languageWarning', { provider, language: Language.name(language.code) });
+  }
+
+  function renderNormalization(results) {
+    const info = results.normalization;
+    DOM.normalizeNote.hidden = !info;
+    DOM.normalizeNote.classList.toggle('is-evasion', !!info?.evasion);
+    if (!info) return;
+
+    DOM.normalizeNote.innerHTML = escapeHtml(Normalize.describe(info)) +
+      (info.text ? `<span class="normalize-note__text">${escapeHtml(I18n.t('normalize.scoredAs'))} ${escapeHtml(truncate(info.text, 200))}</span>` : '');
+  }
+
+  /** Says which personal details were replaced before sending, and shows the text as sent */
+  function renderRedaction(results) {
+    const info = results.redaction;
+    DOM.redactNote.hidden = !info;
+    if (!info) return;
 
-    DOM.scoresList.innerHTML = '';
+    DOM.redactNote.innerHTML = escapeHtml(I18n.t('redact.note', { list: Redact.describe(info.found) })) +
+      `<span class="normalize-note__text">${escapeHtml(I18n.t('redact.sentAs'))} ${escapeHtml(truncate(info.text, 200))}</span>`;
+  }
+
+  function renderRuleHits(results) {
+    const hits = results.ruleHits || [];
+    DOM.ruleHitsCard.hidden = hits.length === 0;
+    DOM.ruleHitsList.innerHTML = hits.map((hit) => `
+      <li>
+        <span class="score-tag">${Rules.actionLabel(hit.action)}</span>
+        <span><strong>${escapeHtml(hit.label)}</strong> — ${escapeHtml(Rules.describe(hit))}</span>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Fills `container` with one animated bar per scored category, each expandable
+   * to its sub-categories. `idPrefix` keeps sub-list ids unique when several
+   * lists share the page; wire clicks on the container to `toggleSubScores`.
+   */
+  function renderScoreList(container, results, idPrefix = 'score-subs') {
+    const { scores } = results;
+    const subScores         = results.subScores || {};
+    const flaggedCategories = results.flaggedCategories || [];
+
+    container.innerHTML = '';
     CATEGORIES.forEach(({ key, label, icon }) => {
       const score = scores[key];
 
       // FIX #6: Use == null to catch both null AND undefined
       if (score == null) return;
 
-      const color = colorClass(score);
+      const color   = colorClass(score, key);
+      const subs    = subScores[key] || {};
+      const hasSubs = Object.keys(subs).length > 0;
+      const flagged = Object.keys(subs).some((name) => flaggedCategories.includes(name));
+      const nameTag = hasSubs ? 'button' : 'span';
+      const toggle  = hasSubs
+        ? ` type="button" class="score-name score-toggle" aria-expanded="false" aria-controls="${idPrefix}-${key}"`
+        : ' class="score-name"';
+
       const item  = document.createElement('div');
       item.className = 'score-item';
       item.setAttribute('role', 'listitem');
       item.innerHTML = `
         <div class="score-meta">
-          <span class="score-name">
+          <${nameTag}${toggle}>
             <span class="score-icon" aria-hidden="true">${icon}</span>
             ${escapeHtml(label)}
-          </span>
+            ${color === 'info' ? `<span class="score-tag">${I18n.t('results.infoOnly')}</span>` : ''}
+            ${flagged ? `<span class="score-tag score-tag--flagged">${I18n.t('results.flaggedTag')}</span>` : ''}
+            ${hasSubs ? '<span class="score-chevron" aria-hidden="true"></span>' : ''}
+          </${nameTag}>
           <span class="score-value" aria-label="${label}: ${score} percent">${score}%</span>
         </div>
         <div class="score-bar-track" role="progressbar" aria-valuenow="${score}" aria-valuemin="0" aria-valuemax="100" aria-label="${label} score">
           <div class="score-bar-fill" style="width: 0%"></div>
         </div>
+        ${hasSubs ? `<ul id="${idPrefix}-${key}" class="score-subs" aria-label="${label} sub-categories" hidden>${renderSubScores(key, subs, flaggedCategories)}</ul>` : ''}
       `;
-      DOM.scoresList.appendChild(item);
+      container.appendChild(item);
 
       const fillEl  = item.querySelector('.score-bar-fill');
       const valueEl = item.querySelector('.score-value');
@@ -530,48 +895,173 @@ const Render = (() => {
     });
   }
 
-  return { renderResults };
+  /** Per-part breakdown for long texts that were moderated in chunks */
+  function renderParts(results) {
+    const { text, parts, worstPart } = results;
+    DOM.partsCard.hidden = !parts;
+    if (!parts) return;
+
+    const FILL = { safe: 'safe', warn: 'warn', hate: 'danger' };
+    DOM.partsList.innerHTML = parts.map((part, i) => {
+      const verdict = getVerdict(part.scores);
+      const isWorst = i === worstPart;
+      return `
+        <li class="part-item${isWorst ? ' is-worst' : ''}">
+          <div class="part-item__meta">
+            <span class="part-item__label">${I18n.t('report.part')} ${i + 1}</span>
+            <span class="part-item__range">${I18n.t('report.chars', { start: (part.start + 1).toLocaleString(), end: part.end.toLocaleString() })}</span>
+            ${isWorst ? `<span class="score-tag score-tag--flagged">${I18n.t('results.worstPart')}</span>` : ''}
+            <span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span>
+            <span class="part-item__value">${part.overallScore}%</span>
+          </div>
+          <div class="score-bar-track" aria-hidden="true">
+            <div class="score-bar-fill color-${FILL[verdict.level]}" style="width: ${part.overallScore}%"></div>
+          </div>
+          <p class="part-item__excerpt">${escapeHtml(truncate(text.slice(part.start, part.end), 160))}</p>
+        </li>
+      `;
+    }).join('');
+  }
+
+  function init() {
+    DOM.scoresList.addEventListener('click', toggleSubScores);
+  }
+
+  return {
+    init, CATEGORIES, colorClass, getVerdict, labelFor, truncate, escapeHtml,
+    renderResults, renderScoreList, toggleSubScores,
+  };
 })();
 
 /* ──────────────────────────────────────────────────────────────
    10. ACTIONS — Button handlers: analyze, copy, flag, new
    ────────────────────────────────────────────────────────────── */
 const Actions = (() => {
+  // Retry reason → message key
+  const RETRY_REASONS = {
+    timeout:      'retry.timeout',
+    network:      'retry.network',
+    warming:      'retry.warming',
+    'rate-limit': 'retry.rateLimit',
+    gateway:      'retry.gateway',
+  };
+
+  let pending        = null;   // AbortController for the running analysis
+  let countdownTimer = null;
+
   function setLoadingState(isLoading) {
     State.isAnalyzing = isLoading;
     const btn = DOM.analyzeBtn;
     btn.disabled = isLoading;
     btn.classList.toggle('is-loading', isLoading);
+    if (!isLoading) {
+      DOM.analyzeProgress.textContent = I18n.t('analyze.busy');
+      showRetryWait(null);
+    }
+  }
+
+  /** Countdown in the skeleton while Retry waits; `wait` null hides it */
+  function showRetryWait(wait) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    DOM.retryStatus.hidden = !wait;
+    if (!wait) return;
+
+    const reason = I18n.t(RETRY_REASONS[wait.reason] || 'retry.failed');
+    const tick = () => {
+      const secs = Math.max(0, Math.ceil((wait.until - Date.now()) / 1000));
+      DOM.retryMessage.textContent =
+        I18n.t('retry.countdown', { reason, secs, attempt: wait.attempt, max: wait.maxAttempts });
+    };
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+  }
+
+  function handleCancel() {
+    if (pending) pending.abort();
   }
 
   function scrollToResults() {
     DOM.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  /** Reveals the results section and renders a parsed (or re-opened) result into it */
+  function showResults(results) {
+    DOM.flagForm.hidden       = true;
+    DOM.exportMenu.hidden     = true;
+    DOM.resultsSection.hidden = false;
+    DOM.skeletonLoader.hidden = true;
+    DOM.resultsContent.hidden = false;
+    DOM.resultsSection.classList.add('fade-in');
+    DOM.resultsSection.addEventListener('animationend', () => {
+      DOM.resultsSection.classList.remove('fade-in');
+    }, { once: true });
+
+    Render.renderResults(results);
+    setTimeout(scrollToResults, 100);
+  }
+
   function buildTextReport(results) {
     if (!results) return '';
+    results = Redact.forReport(results);
     const { text, scores, overallScore, flaggedByApi, timestamp } = results;
+    const subScores         = results.subScores || {};
+    const flaggedCategories = results.flaggedCategories || [];
+    const verdict = Render.getVerdict(scores);
+    const t       = I18n.t;
+    const TAGS    = { info: `  (${t('report.infoOnly')})`, safe: '', warn: `  [${t('report.warnTag')}]`, danger: `  [${t('report.dangerTag')}]` };
+    const field   = (key, value) => `${(t(key) + ':').padEnd(21)}${value}`;
     const lines = [
       '═══════════════════════════════════════',
-      '  CLEARTEXT ANALYSIS REPORT',
-      `  Date: ${new Date(timestamp).toLocaleString()}`,
+      `  ${t('report.title')}`,
+      `  ${t('report.date')}: ${new Date(timestamp).toLocaleString()}`,
       '═══════════════════════════════════════',
       '',
-      'ANALYZED TEXT:',
+      `${t(results.textRedacted ? 'report.textRedacted' : 'report.text')}:`,
       text.length > 300 ? text.slice(0, 300) + '…' : text,
       '',
-      `OVERALL RISK SCORE:  ${overallScore}%`,
-      `FLAGGED BY AI:       ${flaggedByApi ? 'YES ⚠️' : 'NO ✓'}`,
+      field('report.verdict', verdict.badgeText),
+      field('report.policy', Policy.active().name),
+      ...(results.backend ? [field('report.backend', `${results.backend.name} (${results.backend.url})`)] : []),
+      ...(results.language ? [field('report.language', Language.name(results.language.code))] : []),
+      field('report.overall', `${overallScore}%`),
+      field('report.flagged', flaggedByApi ? `${t('report.yes')} ⚠️` : `${t('report.no')} ✓`),
+      ...(flaggedCategories.length ? [field('report.flaggedCategories', flaggedCategories.join(', '))] : []),
       '',
-      'CATEGORY BREAKDOWN:',
-      `  Hate Speech:       ${scores.hate        ?? 'N/A'}%`,
-      `  Harassment:        ${scores.harassment  ?? 'N/A'}%`,
-      `  Violence:          ${scores.violence    ?? 'N/A'}%`,
-      `  Sexual Content:    ${scores.sexual      ?? 'N/A'}%`,
-      `  Self-Harm:         ${scores.selfHarm    ?? 'N/A'}%`,
-      `  Illicit Activity:  ${scores.illicit     ?? 'N/A'}%`,
+      `${t('report.breakdown')}:`,
+      ...Render.CATEGORIES.flatMap(({ key, label }) => {
+        const score = scores[key];
+        if (score == null && key === 'other') return [];  // Only listed when a provider sent unmapped labels
+        const tag   = score == null ? '' : TAGS[Render.colorClass(score, key)];
+        const subs  = Object.entries(subScores[key] || {}).map(([name, sub]) =>
+          `      ${name.padEnd(24)}${String(sub).padStart(3)}%${flaggedCategories.includes(name) ? `  (${t('report.flaggedTag')})` : ''}`
+        );
+        return [`  ${(label + ':').padEnd(19)}${score ?? t('report.na')}%${tag}`, ...subs];
+      }),
+      ...(results.normalization ? [
+        '',
+        field('report.normalization', Normalize.describe(results.normalization)),
+      ] : []),
+      ...(results.redaction ? [
+        ...(results.normalization ? [] : ['']),
+        field('report.redaction', Redact.describe(results.redaction.found)),
+      ] : []),
+      ...(results.ruleHits ? [
+        '',
+        `${t('report.rules')}:`,
+        ...results.ruleHits.map((hit) => `  ${hit.label}: ${Rules.describe(hit)}`),
+      ] : []),
+      ...(results.parts ? [
+        '',
+        `${t('report.parts', { count: results.parts.length })}:`,
+        ...results.parts.map((part, i) => {
+          const range = t('report.chars', { start: part.start + 1, end: part.end });
+          const worst = i === results.worstPart ? `  ← ${t('report.worst')}` : '';
+          return `  ${t('report.part')} ${String(i + 1).padEnd(4)}${range.padEnd(22)}${String(part.overallScore).padStart(3)}%  ${Render.getVerdict(part.scores).badgeText}${worst}`;
+        }),
+      ] : []),
       '',
-      'Powered by ClearText + OpenAI Moderation API',
+      t('report.footer'),
       'cleartext.app',
     ];
     return lines.join('\n');
@@ -583,21 +1073,27 @@ const Actions = (() => {
     const text = DOM.textInput.value;
 
     if (!text.trim()) {
-      Toast.show('Please enter some text before analyzing.', 'warning');
+      Toast.show(I18n.t('analyze.empty'), 'warning');
       DOM.textInput.focus();
       return;
     }
 
+    // A waking server is worth the wait: Retry rides out the cold start
+    if (!navigator.onLine || ServerStatus.isDown()) {
+      Outbox.add(text);
+      return;
+    }
+
     setLoadingState(true);
 
-    // Show a "please wait" toast if the server is known to be offline/waking
+    // Show a "please wait" toast if the server is waking or not checked yet
     let coldStartToastTimer = null;
     if (State.isServerOnline === false || State.isServerOnline === null) {
-      Toast.show('Please wait — the server is starting up. This can take up to 30 seconds.', 'warning', 25000);
+      Toast.show(I18n.t('analyze.waking'), 'warning', 25000);
     } else {
       // Server appears online but still warn if it takes >5s (unexpected slowness)
       coldStartToastTimer = setTimeout(() => {
-        Toast.show('Taking longer than usual — please wait…', 'info', 20000);
+        Toast.show(I18n.t('analyze.slow'), 'info', 20000);
       }, 5000);
     }
 
@@ -606,36 +1102,53 @@ const Actions = (() => {
     DOM.resultsContent.hidden  = true;
     scrollToResults();
 
+    pending = new AbortController();
+    const requestOptions = {
+      signal:  pending.signal,
+      onRetry: (wait) => {
+        if (coldStartToastTimer) clearTimeout(coldStartToastTimer);
+        showRetryWait(wait);
+      },
+    };
+
     try {
-      const rawData = await API.analyzeText(text);
+      let results;
+      if (LongText.needsChunking(text)) {
+        results = await LongText.analyze(text, (done, total) => {
+          if (coldStartToastTimer) clearTimeout(coldStartToastTimer);
+          DOM.analyzeProgress.textContent = I18n.t('analyze.part', { done: Math.min(done + 1, total), total });
+        }, requestOptions);
+      } else {
+        const rawData = await API.analyzeText(text, requestOptions);
+        results = API.parseResponse(rawData, text);
+      }
       if (coldStartToastTimer) clearTimeout(coldStartToastTimer);
-      const results = API.parseResponse(rawData, text);
-
-      DOM.skeletonLoader.hidden = true;
-      DOM.resultsContent.hidden = false;
-      DOM.resultsSection.classList.add('fade-in');
-      DOM.resultsSection.addEventListener('animationend', () => {
-        DOM.resultsSection.classList.remove('fade-in');
-      }, { once: true });
 
-      Render.renderResults(results);
+      showResults(results);
       State.lastInputText = text;
-      setTimeout(scrollToResults, 100);
+      History.save(results);
 
     } catch (err) {
       if (coldStartToastTimer) clearTimeout(coldStartToastTimer);
       DOM.skeletonLoader.hidden  = true;
       DOM.resultsSection.hidden  = true;
-      Toast.show(err.message || 'An unexpected error occurred.', 'error', 7000);
-      console.error('[ClearText API Error]', err);
+      if (pending.signal.aborted) {
+        Toast.show(I18n.t('analyze.cancelled'), 'info', 3000);
+      } else if (err.retry?.wakeOnHealth) {
+        Outbox.add(text);  // Server unreachable even after retrying — keep the text for later
+      } else {
+        Toast.show(err.message || I18n.t('analyze.failed'), 'error', 7000);
+        console.error('[ClearText API Error]', err);
+      }
     } finally {
+      pending = null;
       setLoadingState(false);
     }
   }
 
   async function handleCopyReport() {
     if (!State.lastResults) {
-      Toast.show('No results to copy yet.', 'info');
+      Toast.show(I18n.t('toast.noCopy'), 'info');
       return;
     }
 
@@ -653,32 +1166,58 @@ const Actions = (() => {
         document.execCommand('copy');
         document.body.removeChild(ta);
       }
-      Toast.show('Report copied to clipboard!', 'success');
+      Toast.show(I18n.t('toast.copied'), 'success');
 
       const btn = DOM.copyReportBtn;
       const originalHtml = btn.innerHTML;
-      btn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M20 6L9 17l-5-5"/></svg><span>Copied!</span>`;
+      btn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M20 6L9 17l-5-5"/></svg><span>${I18n.t('results.copied')}</span>`;
       setTimeout(() => { btn.innerHTML = originalHtml; }, 2000);
 
     } catch (err) {
-      Toast.show('Could not copy to clipboard. Try manually.', 'error');
+      Toast.show(I18n.t('toast.copyFailed'), 'error');
     }
   }
 
   function handleFlag() {
     if (!State.lastResults) {
-      Toast.show('No content to flag yet.', 'info');
+      Toast.show(I18n.t('toast.noFlag'), 'info');
+      return;
+    }
+    if (State.lastResults.reviewId) {
+      Toast.show(I18n.t('toast.alreadyFlagged'), 'info');
+      return;
+    }
+
+    DOM.flagForm.hidden = !DOM.flagForm.hidden;
+    if (!DOM.flagForm.hidden) DOM.flagNote.focus();
+  }
+
+  /** Creates a review item for the current result with the reporter's note */
+  async function handleFlagSubmit() {
+    const results = State.lastResults;
+    if (!results) return;
+
+    DOM.flagSubmitBtn.disabled = true;
+    try {
+      const item = await Review.create(results, DOM.flagNote.value.trim());
+      results.reviewId    = item.id;
+      DOM.flagForm.hidden = true;
+      DOM.flagNote.value  = '';
+    } catch (err) {
+      Toast.show(err.message || I18n.t('toast.flagFailed'), 'error');
       return;
+    } finally {
+      DOM.flagSubmitBtn.disabled = false;
     }
 
     const btn = DOM.flagBtn;
     btn.disabled = true;
     const originalHtml = btn.innerHTML;
-    btn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M20 6L9 17l-5-5"/></svg><span>Flagged</span>`;
+    btn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M20 6L9 17l-5-5"/></svg><span>${I18n.t('results.flagged')}</span>`;
     btn.style.color       = '#f87171';
     btn.style.borderColor = 'rgba(239,68,68,0.4)';
 
-    Toast.show('Content flagged for human review.', 'success');
+    Toast.show(I18n.t('toast.flagged'), 'success');
 
     setTimeout(() => {
       btn.disabled      = false;
@@ -688,10 +1227,27 @@ const Actions = (() => {
     }, 4000);
   }
 
+  function handleExportToggle() {
+    if (!State.lastResults) {
+      Toast.show(I18n.t('toast.noExport'), 'info');
+      return;
+    }
+    const open = DOM.exportMenu.hidden;
+    DOM.exportMenu.hidden = !open;
+    DOM.exportBtn.setAttribute('aria-expanded', String(open));
+  }
+
+  function handleExport(e) {
+    const btn = e.target.closest('[data-export]');
+    if (!btn || !State.lastResults) return;
+    Export.run(btn.dataset.export, [State.lastResults], 'report');
+  }
+
   function handleNewAnalysis() {
     DOM.resultsSection.hidden = true;
     DOM.resultsContent.hidden = true;
     DOM.skeletonLoader.hidden = true;
+    DOM.flagForm.hidden       = true;
     State.lastResults = null;
 
     document.getElementById('analyze').scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -708,6 +1264,11 @@ const Actions = (() => {
     DOM.analyzeBtn.addEventListener('click',     handleAnalyze);
     DOM.copyReportBtn.addEventListener('click',  handleCopyReport);
     DOM.flagBtn.addEventListener('click',        handleFlag);
+    DOM.flagSubmitBtn.addEventListener('click',  handleFlagSubmit);
+    DOM.flagCancelBtn.addEventListener('click',  () => { DOM.flagForm.hidden = true; });
+    DOM.exportBtn.addEventListener('click',      handleExportToggle);
+    DOM.retryCancelBtn.addEventListener('click', handleCancel);
+    DOM.exportMenu.addEventListener('click',     handleExport);
     DOM.newAnalysisBtn.addEventListener('click', handleNewAnalysis);
     DOM.clearBtn.addEventListener('click',       handleClear);
 
@@ -719,11 +1280,4362 @@ const Actions = (() => {
     });
   }
 
-  return { init };
+  return { init, showResults };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   11. BATCH — File upload, queued moderation & sortable table
+   ────────────────────────────────────────────────────────────── */
+const Batch = (() => {
+  const CONCURRENCY  = (typeof CONFIG !== 'undefined' ? CONFIG.BATCH_CONCURRENCY : null) || 3;
+  const MAX_ROWS     = (typeof CONFIG !== 'undefined' ? CONFIG.BATCH_MAX_ROWS    : null) || 500;
+  const TEXT_FIELDS  = ['text', 'comment', 'message', 'body', 'content'];
+
+  let rows      = [];
+  let sortKey   = 'index';
+  let sortDir   = 'asc';
+  let cancelled = false;
+
+  /** Splits CSV source into records, honouring quoted fields (commas, "" escapes, newlines) */
+  function parseCsv(source) {
+    const records = [];
+    let record = [];
+    let field  = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field  = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+    return records.filter((r) => r.some((f) => f.trim()));
+  }
+
+  /** Uses a text/comment/message/… header column when present, else the first column */
+  function textsFromCsv(source) {
+    const records = parseCsv(source);
+    if (!records.length) return [];
+    const header = records[0].map((h) => h.trim().toLowerCase());
+    const col    = header.findIndex((h) => TEXT_FIELDS.includes(h));
+    if (col === -1) return records.map((r) => r[0]);
+    return records.slice(1).map((r) => r[col] ?? '');
+  }
+
+  function textsFromJsonl(source) {
+    return source.split(/\r?\n/).filter((line) => line.trim()).map((line, i) => {
+      let entry;
+      try { entry = JSON.parse(line); } catch (_) {
+        throw new Error(I18n.t('batch.badLine', { n: i + 1 }));
+      }
+      if (typeof entry === 'string') return entry;
+      const key = TEXT_FIELDS.find((k) => typeof entry?.[k] === 'string');
+      if (!key) throw new Error(I18n.t('batch.noTextField', { n: i + 1 }));
+      return entry[key];
+    });
+  }
+
+  /** Turns an uploaded file's contents into a list of non-empty texts */
+  function parseFile(name, source) {
+    const ext = name.split('.').pop().toLowerCase();
+    let texts;
+    if (ext === 'csv')                            texts = textsFromCsv(source);
+    else if (ext === 'jsonl' || ext === 'ndjson') texts = textsFromJsonl(source);
+    else if (ext === 'txt')                       texts = source.split(/\r?\n/);
+    else throw new Error(I18n.t('batch.badType'));
+
+    texts = texts.map((t) => t.trim()).filter(Boolean);
+    if (!texts.length) {
+      throw new Error(I18n.t('batch.noRows'));
+    }
+    if (texts.length > MAX_ROWS) {
+      throw new Error(I18n.t('batch.tooMany', { max: MAX_ROWS.toLocaleString(I18n.locale()) }));
+    }
+    return texts;
+  }
+
+  function updateProgress(done) {
+    const total = rows.length;
+    DOM.batchProgressText.textContent = I18n.t('batch.progress', { done, total });
+    DOM.batchProgressFill.style.width = `${total ? Math.round((done / total) * 100) : 0}%`;
+  }
+
+  /** Value used for ordering a row by the given column; unfinished rows sort last */
+  function sortValue(row, key) {
+    if (key === 'index') return row.index;
+    if (key === 'text')  return row.text.toLowerCase();
+    if (!row.results)    return null;
+    return key === 'overall' ? row.results.overallScore : row.results.scores[key];
+  }
+
+  function sortedRows() {
+    const dir = sortDir === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const va = sortValue(a, sortKey);
+      const vb = sortValue(b, sortKey);
+      if (va == null && vb == null) return a.index - b.index;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      if (va < vb) return -dir;
+      if (va > vb) return dir;
+      return a.index - b.index;
+    });
+  }
+
+  function renderHead() {
+    const columns = [
+      { key: 'index',   label: '#' },
+      { key: 'text',    label: I18n.t('batch.colText') },
+      { key: 'overall', label: I18n.t('batch.colVerdict') },
+      ...Render.CATEGORIES.map(({ key, label }) => ({ key, label })),
+    ];
+    DOM.batchTableHead.innerHTML = columns.map(({ key, label }) => {
+      const ariaSort = key === sortKey ? (sortDir === 'asc' ? 'ascending' : 'descending') : 'none';
+      return `<th scope="col" aria-sort="${ariaSort}">
+          <button class="batch-sort" type="button" data-sort="${key}">${Render.escapeHtml(label)}</button>
+        </th>`;
+    }).join('');
+  }
+
+  function renderCells(row) {
+    if (row.status === 'error') {
+      return `<td colspan="${Render.CATEGORIES.length + 1}" class="batch-cell--error">${Render.escapeHtml(row.error)}</td>`;
+    }
+    if (!row.results) {
+      const label = I18n.t(`batch.status.${row.status === 'running' ? 'running' : 'queued'}`);
+      return `<td colspan="${Render.CATEGORIES.length + 1}" class="batch-cell--pending">${label}</td>`;
+    }
+    const { scores } = row.results;
+    const verdict = Render.getVerdict(scores);
+    const cells   = Render.CATEGORIES.map(({ key }) => {
+      const score = scores[key];
+      if (score == null) return '<td class="batch-cell--score">—</td>';
+      return `<td class="batch-cell--score color-${Render.colorClass(score, key)}">${score}%</td>`;
+    });
+    return `<td><span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span></td>${cells.join('')}`;
+  }
+
+  function renderTable() {
+    renderHead();
+    DOM.batchTableBody.innerHTML = sortedRows().map((row) => `
+      <tr class="batch-row batch-row--${row.status}">
+        <td class="batch-cell--index">${row.index + 1}</td>
+        <td class="batch-cell--text" title="${Render.escapeHtml(row.text)}">${Render.escapeHtml(Render.truncate(row.text, 80))}</td>
+        ${renderCells(row)}
+      </tr>
+    `).join('');
+  }
+
+  /** Moderates every queued row with at most CONCURRENCY requests in flight */
+  async function runQueue() {
+    let done = 0;
+
+    await Pool.run(rows, CONCURRENCY, async (row) => {
+      row.status = 'running';
+      renderTable();
+      try {
+        const rawData = await API.analyzeText(row.text);
+        row.results   = API.parseResponse(rawData, row.text);
+        row.status    = 'done';
+        History.save(row.results);
+      } catch (err) {
+        row.status = 'error';
+        row.error  = err.message || I18n.t('batch.error');
+      }
+      updateProgress(++done);
+      renderTable();
+    }, () => cancelled);
+
+    return done;
+  }
+
+  async function handleFile(file) {
+    if (!file) return;
+    if (State.isBatchRunning) {
+      Toast.show(I18n.t('batch.busy'), 'warning');
+      return;
+    }
+
+    let texts;
+    try {
+      texts = parseFile(file.name, await file.text());
+    } catch (err) {
+      Toast.show(err.message || I18n.t('batch.readFailed'), 'error', 6000);
+      return;
+    }
+
+    rows      = texts.map((text, index) => ({ index, text, status: 'queued', results: null, error: null }));
+    sortKey   = 'index';
+    sortDir   = 'asc';
+    cancelled = false;
+
+    State.isBatchRunning       = true;
+    DOM.batchProgress.hidden   = false;
+    DOM.batchCancelBtn.hidden  = false;
+    DOM.batchResults.hidden    = false;
+    updateProgress(0);
+    renderTable();
+    Toast.show(I18n.t('batch.started', { count: rows.length }), 'info', 3000);
+
+    const done = await runQueue();
+
+    State.isBatchRunning      = false;
+    DOM.batchCancelBtn.hidden = true;
+    DOM.batchFile.value       = '';
+
+    const failed = rows.filter((r) => r.status === 'error').length;
+    if (cancelled) {
+      rows = rows.filter((r) => r.status !== 'queued');
+      renderTable();
+      Toast.show(I18n.t('batch.cancelled', { count: done }), 'info');
+    } else if (failed) {
+      Toast.show(I18n.t('batch.failed', { failed, total: rows.length }), 'warning', 6000);
+    } else {
+      Toast.show(I18n.t('batch.done', { count: rows.length }), 'success');
+    }
+  }
+
+  function handleSort(e) {
+    const btn = e.target.closest('.batch-sort');
+    if (!btn) return;
+    const key = btn.dataset.sort;
+    if (key === sortKey) {
+      sortDir = sortDir === 'asc' ? 'desc' : 'asc';
+    } else {
+      sortKey = key;
+      // Scores are most useful highest-first
+      sortDir = key === 'index' || key === 'text' ? 'asc' : 'desc';
+    }
+    renderTable();
+  }
+
+  function init() {
+    const zone = DOM.batchDropzone;
+    if (!zone) return;
+
+    DOM.batchFile.addEventListener('change', (e) => handleFile(e.target.files[0]));
+    DOM.batchCancelBtn.addEventListener('click', () => { cancelled = true; });
+    DOM.batchTableHead.addEventListener('click', handleSort);
+
+    ['dragenter', 'dragover'].forEach((type) => zone.addEventListener(type, (e) => {
+      e.preventDefault();
+      zone.classList.add('is-dragover');
+    }));
+    ['dragleave', 'drop'].forEach((type) => zone.addEventListener(type, () => {
+      zone.classList.remove('is-dragover');
+    }));
+    zone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      handleFile(e.dataTransfer.files[0]);
+    });
+  }
+
+  return { init, parseFile, refresh: () => rows.length && renderTable() };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   12. STORE — Promise wrapper around the app's IndexedDB database
+   ────────────────────────────────────────────────────────────── */
+const Store = (() => {
+  const DB_NAME    = 'cleartext';
+  const DB_VERSION = 5;
+
+  // Object stores are created on upgrade; bump DB_VERSION when adding one
+  const STORES = {
+    history: { keyPath: 'id', autoIncrement: true },
+    reviews: { keyPath: 'id' },
+    reviewTexts: { keyPath: 'id' },
+    cache:   { keyPath: 'key' },
+    outbox:  { keyPath: 'id', autoIncrement: true },
+  };
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+
+    // Allow a later call to retry if opening failed (e.g. blocked upgrade)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  /** Runs one request in its own transaction and resolves once it commits */
+  async function run(storeName, mode, operation) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx  = db.transaction(storeName, mode);
+      const req = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error);
+    });
+  }
+
+  const get    = (storeName, key)   => run(storeName, 'readonly',  (s) => s.get(key));
+  const getAll = (storeName)        => run(storeName, 'readonly',  (s) => s.getAll());
+  const put    = (storeName, value) => run(storeName, 'readwrite', (s) => s.put(value));
+  const remove = (storeName, key)   => run(storeName, 'readwrite', (s) => s.delete(key));
+  const clear  = (storeName)        => run(storeName, 'readwrite', (s) => s.clear());
+
+  return { get, getAll, put, remove, clear };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   13. HISTORY — Saved analyses panel (search, filter, re-open)
+   ────────────────────────────────────────────────────────────── */
+const History = (() => {
+  const STORE       = 'history';
+  const MAX_ENTRIES = (typeof CONFIG !== 'undefined' ? CONFIG.HISTORY_MAX_ENTRIES : null) || 500;
+
+  let entries   = [];     // newest first
+  let available = true;
+
+  function formatDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function filtered() {
+    const query = DOM.historySearch.value.trim().toLowerCase();
+    const level = DOM.historyFilter.value;
+    return entries.filter((entry) =>
+      (level === 'all' || Render.getVerdict(entry.scores).level === level) &&
+      (!query || entry.text.toLowerCase().includes(query))
+    );
+  }
+
+  function render() {
+    if (!DOM.historyList) return;
+    const visible = filtered();
+
+    DOM.historyCount.textContent = I18n.t(entries.length === 1 ? 'history.countOne' : 'history.countMany', { count: entries.length });
+    DOM.historyClearBtn.disabled = entries.length === 0;
+    DOM.historyEmpty.hidden      = visible.length > 0;
+    DOM.historyEmpty.textContent = I18n.t(!available ? 'history.unavailable' : entries.length ? 'history.noMatch' : 'history.empty');
+
+    DOM.historyList.innerHTML = visible.map(({ id, text, scores, overallScore, timestamp }) => {
+      const verdict = Render.getVerdict(scores);
+      return `
+        <li class="history-item" data-id="${id}">
+          <span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span>
+          <div class="history-item__body">
+            <p class="history-item__text">${Render.escapeHtml(Render.truncate(text, 140))}</p>
+            <span class="history-item__meta">${I18n.t('results.risk', { score: overallScore })} · ${formatDate(timestamp)}</span>
+          </div>
+          <div class="history-item__actions">
+            <button class="btn btn--subtle" type="button" data-action="open">${I18n.t('history.open')}</button>
+            <button class="btn btn--subtle history-item__delete" type="button" data-action="delete" aria-label="${I18n.t('history.deleteLabel')}">${I18n.t('history.delete')}</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+    Insights.refresh();
+  }
+
+  async function load() {
+    try {
+      entries = (await Store.getAll(STORE)).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    } catch (err) {
+      available = false;
+      entries   = [];
+      console.warn('[ClearText History]', err);
+    }
+    render();
+  }
+
+  /** Persists a parsed result and tags it with its storage id; re-saving updates the entry */
+  async function save(results) {
+    if (!available) return;
+    try {
+      const record = { ...results };
+      if (record.id == null) delete record.id;
+      const id = await Store.put(STORE, record);
+      results.id = id;
+
+      const existing = entries.findIndex((entry) => entry.id === id);
+      if (existing !== -1) entries[existing] = { ...record, id };
+      else entries.unshift({ ...record, id });
+
+      // Drop the oldest entries beyond the cap
+      const overflow = entries.splice(MAX_ENTRIES);
+      await Promise.all(overflow.map((entry) => Store.remove(STORE, entry.id)));
+      render();
+    } catch (err) {
+      console.warn('[ClearText History] Could not save analysis', err);
+    }
+  }
+
+  async function remove(id) {
+    try {
+      await Store.remove(STORE, id);
+      entries = entries.filter((entry) => entry.id !== id);
+      render();
+    } catch (err) {
+      Toast.show(I18n.t('history.deleteFailed'), 'error');
+    }
+  }
+
+  async function clearAll() {
+    if (!entries.length) return;
+    if (!window.confirm(I18n.t('history.confirmClear', { count: entries.length }))) return;
+    try {
+      await Store.clear(STORE);
+      entries = [];
+      render();
+      Toast.show(I18n.t('history.cleared'), 'success');
+    } catch (err) {
+      Toast.show(I18n.t('history.clearFailed'), 'error');
+    }
+  }
+
+  function handleExport(e) {
+    const btn = e.target.closest('[data-export]');
+    if (!btn) return;
+    const list = filtered();
+    if (!list.length) {
+      Toast.show(I18n.t('history.noExport'), 'info');
+      return;
+    }
+    Export.run(btn.dataset.export, list, 'history');
+  }
+
+  function handleListClick(e) {
+    const btn  = e.target.closest('[data-action]');
+    const item = e.target.closest('.history-item');
+    if (!btn || !item) return;
+
+    const id    = Number(item.dataset.id);
+    const entry = entries.find((en) => en.id === id);
+    if (!entry) return;
+
+    if (btn.dataset.action === 'open') {
+      Actions.showResults({ ...entry });
+    } else if (btn.dataset.action === 'delete') {
+      remove(id);
+    }
+  }
+
+  function init() {
+    if (!DOM.historyList) return;
+    DOM.historySearch.addEventListener('input', render);
+    DOM.historyFilter.addEventListener('change', render);
+    DOM.historyClearBtn.addEventListener('click', clearAll);
+    DOM.historyExport.addEventListener('click', handleExport);
+    DOM.historyList.addEventListener('click', handleListClick);
+    load();
+  }
+
+  return { init, save, refresh: render, all: () => entries, isFull: () => entries.length >= MAX_ENTRIES };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   14. POLICY — Named threshold profiles per category
+   ────────────────────────────────────────────────────────────── */
+const Policy = (() => {
+  const STORAGE_KEY = 'cleartext.policies';
+
+  // Thresholds and the built-in profiles are in cleartext-core.js, shared with the SDK
+  const { rule } = ClearTextCore;
+  const BUILT_IN = ClearTextCore.PROFILES.map((profile) => ({ ...profile, builtIn: true }));
+
+  let profiles = [];
+  let activeId = 'default';
+
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  function load() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (_) { /* Corrupt or blocked storage */ }
+
+    const custom = Array.isArray(saved?.profiles) ? saved.profiles : [];
+    // Built-ins always exist; a saved copy carries the user's edits to them
+    profiles = [
+      ...BUILT_IN.map((base) => custom.find((p) => p.id === base.id) || clone(base)),
+      ...custom.filter((p) => !BUILT_IN.some((base) => base.id === p.id)),
+    ];
+    activeId = profiles.some((p) => p.id === saved?.activeId) ? saved.activeId : 'default';
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ activeId, profiles }));
+    } catch (_) {
+      Toast.show(I18n.t('policy.saveFailed'), 'warning');
+    }
+  }
+
+  function active() {
+    return profiles.find((p) => p.id === activeId) || BUILT_IN[0];
+  }
+
+  /** 'info' | 'safe' | 'warn' | 'danger' for one category score */
+  function levelFor(key, score) {
+    return ClearTextCore.levelFor(active(), key, score);
+  }
+
+  /** Worst level across non-informational categories, plus the categories at that level */
+  function evaluate(scores) {
+    return ClearTextCore.evaluate(active(), scores);
+  }
+
+  /** Re-draws everything that depends on the active thresholds */
+  function applyEverywhere() {
+    if (State.lastResults && !DOM.resultsContent.hidden) Render.renderResults(State.lastResults);
+    History.refresh();
+    Batch.refresh();
+    Thread.refresh();
+    Review.refresh();
+    Live.refresh();
+    Outbox.refresh();
+    Compare.refresh();
+  }
+
+  /* ── Editor UI ── */
+
+  function renderEditor() {
+    const current = active();
+
+    DOM.policySelect.innerHTML = profiles.map((p) =>
+      `<option value="${p.id}"${p.id === activeId ? ' selected' : ''}>${Render.escapeHtml(p.name)}</option>`
+    ).join('');
+
+    DOM.policyName.value    = current.name;
+    DOM.policyName.disabled = !!current.builtIn;
+    DOM.policyRemoveBtn.textContent = I18n.t(current.builtIn ? 'policy.resetButton' : 'policy.deleteButton');
+    DOM.policyRemoveBtn.setAttribute('aria-label', I18n.t(current.builtIn ? 'policy.resetLabel' : 'policy.deleteLabel'));
+
+    DOM.policyRows.innerHTML = Render.CATEGORIES.map(({ key, label, icon }) => {
+      const r        = current.categories[key] || rule(30, 70);
+      const category = Render.escapeHtml(label);
+      return `
+        <tr data-key="${key}">
+          <th scope="row"><span aria-hidden="true">${icon}</span> ${category}</th>
+          <td><input class="policy-field policy-field--num" type="number" min="0" max="100" step="1" name="warn" value="${r.warn}" aria-label="${I18n.t('policy.warnLabel', { category })}" /></td>
+          <td><input class="policy-field policy-field--num" type="number" min="0" max="100" step="1" name="danger" value="${r.danger}" aria-label="${I18n.t('policy.dangerLabel', { category })}" /></td>
+          <td><input type="checkbox" name="informational"${r.informational ? ' checked' : ''} aria-label="${I18n.t('policy.infoLabel', { category })}" /></td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  /** Reads the editor table; throws with a user-facing message when invalid */
+  function readEditor() {
+    const categories = {};
+    DOM.policyRows.querySelectorAll('tr[data-key]').forEach((row) => {
+      const key    = row.dataset.key;
+      const warn   = Number(row.querySelector('[name="warn"]').value);
+      const danger = Number(row.querySelector('[name="danger"]').value);
+      const category = Render.labelFor(key);
+
+      if (![warn, danger].every((n) => Number.isInteger(n) && n >= 0 && n <= 100)) {
+        throw new Error(I18n.t('policy.badThreshold', { category }));
+      }
+      if (warn > danger) {
+        throw new Error(I18n.t('policy.warnAboveDanger', { category }));
+      }
+      categories[key] = rule(warn, danger, row.querySelector('[name="informational"]').checked);
+    });
+
+    const name = DOM.policyName.value.trim();
+    if (!name) throw new Error(I18n.t('policy.noName'));
+    return { name, categories };
+  }
+
+  function handleSave() {
+    let edited;
+    try {
+      edited = readEditor();
+    } catch (err) {
+      Toast.show(err.message, 'error', 6000);
+      return;
+    }
+    const current = active();
+    if (!current.builtIn) current.name = edited.name;
+    current.categories = edited.categories;
+
+    persist();
+    renderEditor();
+    applyEverywhere();
+    Toast.show(I18n.t('policy.saved', { name: Render.escapeHtml(current.name) }), 'success');
+  }
+
+  function handleSelect() {
+    activeId = DOM.policySelect.value;
+    persist();
+    renderEditor();
+    applyEverywhere();
+  }
+
+  function handleDuplicate() {
+    const source = active();
+    const copy   = {
+      id:         `custom-${Date.now().toString(36)}`,
+      name:       I18n.t('policy.copyName', { name: source.name }),
+      categories: clone(source.categories),
+    };
+    profiles.push(copy);
+    activeId = copy.id;
+    persist();
+    renderEditor();
+    applyEverywhere();
+    DOM.policyName.focus();
+    DOM.policyName.select();
+  }
+
+  function handleRemove() {
+    const current = active();
+    if (current.builtIn) {
+      const base = BUILT_IN.find((p) => p.id === current.id);
+      current.categories = clone(base.categories);
+      Toast.show(I18n.t('policy.reset', { name: base.name }), 'info');
+    } else {
+      if (!window.confirm(I18n.t('policy.confirmDelete', { name: current.name }))) return;
+      profiles = profiles.filter((p) => p.id !== current.id);
+      activeId = 'default';
+      Toast.show(I18n.t('policy.deleted'), 'info');
+    }
+    persist();
+    renderEditor();
+    applyEverywhere();
+  }
+
+  function init() {
+    if (!DOM.policySelect) return;
+    renderEditor();
+    DOM.policySelect.addEventListener('change',     handleSelect);
+    DOM.policySaveBtn.addEventListener('click',     handleSave);
+    DOM.policyDuplicateBtn.addEventListener('click', handleDuplicate);
+    DOM.policyRemoveBtn.addEventListener('click',   handleRemove);
+    // Category labels and verdicts are drawn in the interface language
+    I18n.onChange(() => { renderEditor(); applyEverywhere(); });
+  }
+
+  load();
+
+  return { init, active, levelFor, evaluate };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   15. POOL — Runs async tasks with a concurrency limit
+   ────────────────────────────────────────────────────────────── */
+const Pool = (() => {
+  /**
+   * Calls `task(item, index)` for every item with at most `limit` in flight.
+   * Stops picking up new items once `isCancelled()` returns true.
+   */
+  async function run(items, limit, task, isCancelled = () => false) {
+    let next = 0;
+
+    async function worker() {
+      while (!isCancelled() && next < items.length) {
+        const index = next++;
+        await task(items[index], index);
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  }
+
+  return { run };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   16. SEGMENTER — Sentence spans over the original text
+   ────────────────────────────────────────────────────────────── */
+const Segmenter = (() => {
+  const native = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'sentence' })
+    : null;
+
+  // Fallback: runs of text up to and including terminal punctuation or a line break
+  const SENTENCE_RE = /[^.!?…\n]+(?:[.!?…]+["'”’)\]]*|\n+|$)/g;
+
+  /** Splits text into trimmed sentence spans: { text, start, end } offsets into `text` */
+  function sentences(text) {
+    const parts = native
+      ? Array.from(native.segment(text), ({ segment, index }) => ({ segment, index }))
+      : Array.from(text.matchAll(SENTENCE_RE), (m) => ({ segment: m[0], index: m.index }));
+
+    return parts.map(({ segment, index }) => {
+      const lead = segment.length - segment.trimStart().length;
+      const body = segment.trim();
+      return { text: body, start: index + lead, end: index + lead + body.length };
+    }).filter((span) => span.text);
+  }
+
+  /** Merges neighbouring spans so there are at most `max` of them */
+  function group(text, spans, max) {
+    if (spans.length <= max) return spans;
+    const size = Math.ceil(spans.length / max);
+    const groups = [];
+    for (let i = 0; i < spans.length; i += size) {
+      const start = spans[i].start;
+      const end   = spans[Math.min(i + size, spans.length) - 1].end;
+      groups.push({ text: text.slice(start, end), start, end });
+    }
+    return groups;
+  }
+
+  /** Cuts one over-long span at whitespace so no piece exceeds `maxChars` */
+  function split(text, span, maxChars) {
+    const pieces = [];
+    let start = span.start;
+    while (span.end - start > maxChars) {
+      const lastSpace = text.slice(start, start + maxChars).search(/\s\S*$/);
+      const end       = start + (lastSpace > 0 ? lastSpace : maxChars);
+      pieces.push({ start, end });
+      start = end;
+      while (start < span.end && /\s/.test(text[start])) start++;
+    }
+    pieces.push({ start, end: span.end });
+    return pieces;
+  }
+
+  /**
+   * Packs neighbouring spans into chunks of at most `maxChars` characters of
+   * the original text (whitespace between sentences included).
+   */
+  function pack(text, spans, maxChars) {
+    const chunks = [];
+    let current  = null;
+
+    spans.flatMap((span) => split(text, span, maxChars)).forEach((piece) => {
+      if (current && piece.end - current.start <= maxChars) {
+        current.end = piece.end;
+      } else {
+        if (current) chunks.push(current);
+        current = { ...piece };
+      }
+    });
+    if (current) chunks.push(current);
+
+    return chunks.map(({ start, end }) => ({ text: text.slice(start, end), start, end }));
+  }
+
+  return { sentences, group, pack };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   17. EXPLAIN — Per-sentence scoring & inline heat highlighting
+   ────────────────────────────────────────────────────────────── */
+const Explain = (() => {
+  const MAX_CHUNKS     = (typeof CONFIG !== 'undefined' ? CONFIG.EXPLAIN_MAX_CHUNKS : null) || 40;
+  const CONCURRENCY    = (typeof CONFIG !== 'undefined' ? CONFIG.BATCH_CONCURRENCY  : null) || 3;
+  const MAX_CHARACTERS = (typeof CONFIG !== 'undefined' ? CONFIG.MAX_CHARACTERS     : null) || 5000;
+
+  let isRunning = false;
+  let focusKey  = 'all';   // category driving the highlight colours
+
+  function setButton(label, busy) {
+    const btn = DOM.explainBtn;
+    btn.disabled    = busy;
+    btn.textContent = label;
+  }
+
+  /** Score and colour level of one chunk for the focused category */
+  function heatOf(scores) {
+    if (focusKey === 'all') {
+      const level = Policy.evaluate(scores).level;
+      return { score: Math.max(...Object.values(scores)), level: level === 'hate' ? 'danger' : level };
+    }
+    const score = scores[focusKey] ?? 0;
+    return { score, level: Render.colorClass(score, focusKey) };
+  }
+
+  function renderControls() {
+    const options = [{ key: 'all', label: I18n.t('explain.allCategories') }, ...Render.CATEGORIES];
+    DOM.explainControls.innerHTML = options.map(({ key, label }) =>
+      `<button class="explain-chip" type="button" data-focus="${key}" aria-pressed="${key === focusKey}">${Render.escapeHtml(label)}</button>`
+    ).join('');
+  }
+
+  /** Rewrites the analyzed-text snippet with one highlight per scored chunk */
+  function render(results) {
+    const { text, chunks } = results;
+    let cursor = 0;
+    let html   = '';
+
+    chunks.forEach((chunk, i) => {
+      html += Render.escapeHtml(text.slice(cursor, chunk.start));
+      const body = Render.escapeHtml(text.slice(chunk.start, chunk.end));
+      if (chunk.scores) {
+        const { score, level } = heatOf(chunk.scores);
+        html += `<mark class="explain-chunk explain-chunk--${level}" style="--heat: ${(score / 100).toFixed(2)}" tabindex="0" data-index="${i}">${body}</mark>`;
+      } else {
+        html += `<span class="explain-chunk explain-chunk--unscored" title="${I18n.t('explain.unscored')}">${body}</span>`;
+      }
+      cursor = chunk.end;
+    });
+    html += Render.escapeHtml(text.slice(cursor));
+
+    DOM.analyzedText.innerHTML = html;
+    DOM.analyzedText.classList.add('is-explained');
+    DOM.explainControls.hidden = false;
+    renderControls();
+    setButton(I18n.t('explain.again'), false);
+  }
+
+  function reset() {
+    hideTooltip();
+    DOM.analyzedText.classList.remove('is-explained');
+    DOM.explainControls.hidden = true;
+    if (!isRunning) setButton(I18n.t('explain.button'), false);
+  }
+
+  async function run() {
+    const results = State.lastResults;
+    if (!results || isRunning) return;
+
+    const spans = Segmenter.group(results.text, Segmenter.sentences(results.text), MAX_CHUNKS);
+    if (spans.some((span) => span.text.length > MAX_CHARACTERS)) {
+      Toast.show(I18n.t('explain.tooLong'), 'info', 6000);
+      return;
+    }
+    if (spans.length < 2) {
+      Toast.show(I18n.t('explain.single'), 'info');
+      return;
+    }
+
+    isRunning = true;
+    setButton(I18n.t('explain.progress', { done: 0, total: spans.length }), true);
+
+    const chunks = spans.map(({ start, end }) => ({ start, end, scores: null }));
+    let done   = 0;
+    let failed = 0;
+
+    await Pool.run(spans, CONCURRENCY, async (span, i) => {
+      try {
+        const rawData    = await API.analyzeText(span.text);
+        chunks[i].scores = API.parseResponse(rawData, span.text).scores;
+      } catch (err) {
+        failed++;
+        console.error('[ClearText Explain Error]', err);
+      }
+      setButton(I18n.t('explain.progress', { done: ++done, total: spans.length }), true);
+    });
+
+    isRunning = false;
+    setButton(I18n.t('explain.button'), false);
+
+    if (failed === spans.length) {
+      Toast.show(I18n.t('explain.failed'), 'error', 6000);
+      return;
+    }
+    if (failed) {
+      Toast.show(I18n.t('explain.partFailed', { failed, total: spans.length }), 'warning', 5000);
+    }
+
+    results.chunks = chunks;
+    History.save(results);
+    if (State.lastResults === results) render(results);
+  }
+
+  /* ── Tooltip ── */
+
+  function showTooltip(mark) {
+    const chunk = State.lastResults?.chunks?.[mark.dataset.index];
+    if (!chunk?.scores) return;
+
+    const tip = DOM.explainTooltip;
+    tip.innerHTML = Render.CATEGORIES.filter(({ key }) => chunk.scores[key] != null).map(({ key, label, icon }) => {
+      const score = chunk.scores[key];
+      return `<div class="explain-tooltip__row">
+          <span><span aria-hidden="true">${icon}</span> ${Render.escapeHtml(label)}</span>
+          <span class="explain-tooltip__value color-${Render.colorClass(score, key)}">${score}%</span>
+        </div>`;
+    }).join('');
+    tip.hidden = false;
+
+    const rect = mark.getBoundingClientRect();
+    const top  = rect.top - tip.offsetHeight - 8;
+    tip.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - tip.offsetWidth - 8))}px`;
+    tip.style.top  = `${top > 8 ? top : rect.bottom + 8}px`;
+    mark.setAttribute('aria-describedby', 'explain-tooltip');
+  }
+
+  function hideTooltip() {
+    const tip = DOM.explainTooltip;
+    if (tip) tip.hidden = true;
+    DOM.analyzedText.querySelectorAll('[aria-describedby]').forEach((el) => el.removeAttribute('aria-describedby'));
+  }
+
+  function handleFocusChange(e) {
+    const chip = e.target.closest('.explain-chip');
+    if (!chip || !State.lastResults?.chunks) return;
+    focusKey = chip.dataset.focus;
+    render(State.lastResults);
+  }
+
+  function init() {
+    if (!DOM.explainBtn) return;
+    DOM.explainBtn.addEventListener('click', run);
+    DOM.explainControls.addEventListener('click', handleFocusChange);
+
+    const text = DOM.analyzedText;
+    text.addEventListener('mouseover', (e) => {
+      const mark = e.target.closest('.explain-chunk[data-index]');
+      if (mark) showTooltip(mark);
+    });
+    text.addEventListener('mouseout', (e) => {
+      if (e.target.closest('.explain-chunk[data-index]')) hideTooltip();
+    });
+    text.addEventListener('focusin', (e) => {
+      const mark = e.target.closest('.explain-chunk[data-index]');
+      if (mark) showTooltip(mark);
+    });
+    text.addEventListener('focusout', hideTooltip);
+    text.addEventListener('scroll', hideTooltip, { passive: true });
+    window.addEventListener('scroll', hideTooltip, { passive: true });
+  }
+
+  return { init, render, reset };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   18. LONG TEXT — Sentence-aligned chunking for oversized input
+   ────────────────────────────────────────────────────────────── */
+const LongText = (() => {
+  const PART_SIZE = (typeof CONFIG !== 'undefined' ? CONFIG.MAX_CHARACTERS       : null) || 5000;
+  const MAX_INPUT = (typeof CONFIG !== 'undefined' ? CONFIG.MAX_INPUT_CHARACTERS : null) || 100000;
+
+  /**
+   * Characters API.analyzeText counts against MAX_CHARACTERS: the text as typed or
+   * as sent, whichever is longer. Spelled-out emoji and placeholders can make
+   * the text sent the longer one.
+   */
+  function sizeOf(text) {
+    const trimmed = text.trim();
+    return Math.max(trimmed.length, Redact.asSent(trimmed).text.length);
+  }
+
+  function needsChunking(text) {
+    return text.trim().length > PART_SIZE || sizeOf(text) > PART_SIZE;
+  }
+
+  /**
+   * `chunk` as parts that each fit once prepared for sending: a chunk that grows
+   * past PART_SIZE is packed again, smaller in proportion to how much it grew.
+   */
+  function fit(text, chunk, size = PART_SIZE) {
+    const length = sizeOf(chunk.text);
+    if (length <= PART_SIZE) return [chunk];
+    const smaller = Math.min(size - 1, Math.floor((size * PART_SIZE) / length));
+    if (smaller < 1) return [chunk];
+
+    const spans = Segmenter.sentences(chunk.text)
+      .map((span) => ({ ...span, start: span.start + chunk.start, end: span.end + chunk.start }));
+    return Segmenter.pack(text, spans, smaller).flatMap((part) => fit(text, part, smaller));
+  }
+
+  /** Folds per-part results into one: worst score per category and sub-category */
+  function combine(text, parts) {
+    const scores    = {};
+    const subScores = {};
+    const flagged   = new Set();
+
+    parts.forEach(({ results }) => {
+      Object.entries(results.scores).forEach(([key, score]) => {
+        scores[key] = Math.max(scores[key] ?? 0, score);
+      });
+      Object.entries(results.subScores || {}).forEach(([group, subs]) => {
+        subScores[group] = subScores[group] || {};
+        Object.entries(subs).forEach(([name, score]) => {
+          subScores[group][name] = Math.max(subScores[group][name] ?? 0, score);
+        });
+      });
+      (results.flaggedCategories || []).forEach((name) => flagged.add(name));
+    });
+    const ruleHits      = Rules.merge(parts.map(({ results }) => results.ruleHits || []));
+    const normalization = Normalize.merge(parts.map(({ results }) => results));
+    const redaction     = Redact.merge(text, parts.map(({ results }) => results));
+    const language      = Language.assess(text, Providers.get(parts[0]?.results.backend?.provider ?? Backends.active().provider));
+
+    const summaries = parts.map(({ start, end, results }) => ({
+      start, end, scores: results.scores, overallScore: results.overallScore,
+    }));
+    const worstPart = summaries.reduce((worst, part, i) =>
+      part.overallScore > summaries[worst].overallScore ? i : worst, 0);
+
+    return {
+      text,
+      scores,
+      subScores,
+      overallScore: Math.max(...Object.values(scores)),
+      flaggedByApi: parts.some(({ results }) => results.flaggedByApi),
+      flaggedCategories: [...flagged],
+      ...(language && { language }),
+      ...(parts.every(({ results }) => results.cached) && { cached: true }),
+      ...(parts[0]?.results.backend && { backend: parts[0].results.backend }),
+      ...(ruleHits.length && { ruleHits }),
+      ...(normalization && { normalization }),
+      ...(redaction && { redaction }),
+      parts: summaries,
+      worstPart,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Moderates text longer than MAX_CHARACTERS (as typed or as sent) as a sequence
+   * of sentence-aligned parts. `onProgress(done, total)` fires before each request and at the end;
+   * `requestOptions` ({ signal, onRetry }) is passed to every API.analyzeText call.
+   */
+  async function analyze(text, onProgress = () => {}, requestOptions = {}) {
+    if (text.trim().length > MAX_INPUT) {
+      throw new Error(I18n.t('api.tooLong', { max: MAX_INPUT.toLocaleString() }));
+    }
+
+    const chunks = Segmenter.pack(text, Segmenter.sentences(text), PART_SIZE).flatMap((chunk) => fit(text, chunk));
+    const parts  = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress(i, chunks.length);
+      const { start, end, text: partText } = chunks[i];
+      try {
+        const rawData = await API.analyzeText(partText, requestOptions);
+        parts.push({ start, end, results: API.parseResponse(rawData, partText) });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new Error(I18n.t('api.partFailed', { part: i + 1, total: chunks.length, message: err.message }));
+      }
+    }
+    onProgress(chunks.length, chunks.length);
+
+    return combine(text, parts);
+  }
+
+  return { needsChunking, analyze };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   19. REVIEW — Flagged-content queue for human moderators
+   ────────────────────────────────────────────────────────────── */
+const Review = (() => {
+  const STORE      = 'reviews';
+  const TEXT_STORE = 'reviewTexts';   // Original texts of items held by a remote sink
+  const SINK_NAME = (typeof CONFIG !== 'undefined' ? CONFIG.REVIEW_SINK     : null) || 'local';
+  const ENDPOINT  = (typeof CONFIG !== 'undefined' ? CONFIG.REVIEW_ENDPOINT : null) || '';
+
+  const STATUSES    = ['open', 'escalated', 'approved', 'removed'];
+  const statusLabel = (status) => I18n.t(`review.status.${status}`);
+
+  // Which statuses a moderator can move an item to from each status
+  const TRANSITIONS = {
+    open:      ['approved', 'removed', 'escalated'],
+    escalated: ['approved', 'removed'],
+    approved:  ['open'],
+    removed:   ['open'],
+  };
+
+  /**
+   * A sink stores review items. It must implement:
+   *   list()       → Promise<item[]>
+   *   create(item) → Promise<item | null>   (null = keep the local copy)
+   *   update(item) → Promise<item | null>
+   */
+  const LOCAL = {
+    get label() { return I18n.t('review.sinkLocal'); },
+    list:   () => Store.getAll(STORE),
+    create: async (item) => { await Store.put(STORE, item); return item; },
+    update: async (item) => { await Store.put(STORE, item); return item; },
+  };
+  const sinks = { local: LOCAL };
+
+  /** JSON over HTTP: GET/POST {endpoint}, PUT {endpoint}/{id} */
+  function httpSink(endpoint) {
+    const base = endpoint.trim().replace(/\/$/, '');
+
+    async function request(url, options = {}) {
+      let res;
+      try {
+        res = await fetch(url, { ...options, headers: { 'Content-Type': 'application/json' } });
+      } catch (_) {
+        throw new Error(I18n.t('review.unreachable'));
+      }
+      if (!res.ok) throw new Error(I18n.t('review.serverError', { status: res.status }));
+      return res.status === 204 ? null : res.json();
+    }
+
+    return {
+      get label() { return I18n.t('review.sinkHttp', { url: base }); },
+      list:   () => request(base, { method: 'GET' }),
+      create: (item) => request(base, { method: 'POST', body: JSON.stringify(item) }),
+      update: (item) => request(`${base}/${encodeURIComponent(item.id)}`, { method: 'PUT', body: JSON.stringify(item) }),
+    };
+  }
+
+  if (ENDPOINT) sinks.http = httpSink(ENDPOINT);
+
+  let items      = [];          // newest first, as the sink holds them
+  let originals  = new Map();   // id → original text, for items a remote sink only has redacted
+  let filter     = 'open';
+  let loadFailed = false;
+
+  function registerSink(name, sink) {
+    sinks[name] = sink;
+  }
+
+  function sink() {
+    return sinks[SINK_NAME] || sinks.local;
+  }
+
+  /** Any sink but the built-in device store; it gets the text with personal details replaced */
+  const isRemote = () => sink() !== LOCAL;
+
+  function newId() {
+    return `rv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function formatDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function upsert(item) {
+    const i = items.findIndex((it) => it.id === item.id);
+    if (i === -1) items.unshift(item);
+    else items[i] = item;
+  }
+
+  /**
+   * Creates an open review item from a parsed result. A remote sink is sent the
+   * redacted text; the original stays in this browser's IndexedDB, keyed by item id.
+   */
+  async function create(results, note = '') {
+    const now    = new Date().toISOString();
+    const remote = isRemote();
+    const item   = {
+      id:                newId(),
+      status:            'open',
+      note,
+      comments:          [],
+      text:              remote ? Redact.shareable(results) : results.text,
+      ...(remote && { textRedacted: true }),
+      scores:            results.scores,
+      subScores:         results.subScores || {},
+      overallScore:      results.overallScore,
+      flaggedByApi:      results.flaggedByApi,
+      flaggedCategories: results.flaggedCategories || [],
+      historyId:         results.id ?? null,
+      createdAt:         now,
+      updatedAt:         now,
+    };
+    const saved = (await sink().create(item)) || item;
+    if (remote) keepOriginal(saved.id, results.text);
+    upsert(saved);
+    render();
+    return saved;
+  }
+
+  function keepOriginal(id, text) {
+    originals.set(id, text);
+    Store.put(TEXT_STORE, { id, text }).catch((err) => console.warn('[ClearText Review] Could not keep the original text', err));
+  }
+
+  async function loadOriginals() {
+    if (!isRemote()) return new Map();
+    try {
+      return new Map((await Store.getAll(TEXT_STORE)).map(({ id, text }) => [id, text]));
+    } catch (_) {
+      return new Map();   // Without IndexedDB the queue shows the redacted text
+    }
+  }
+
+  async function update(id, changes) {
+    const current = items.find((it) => it.id === id);
+    if (!current) return;
+    const next  = { ...current, ...changes, updatedAt: new Date().toISOString() };
+    const saved = (await sink().update(next)) || next;
+    upsert(saved);
+    render();
+  }
+
+  async function load() {
+    try {
+      const [list, texts] = await Promise.all([sink().list(), loadOriginals()]);
+      items      = (Array.isArray(list) ? list : []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      originals  = texts;
+      loadFailed = false;
+    } catch (err) {
+      items      = [];
+      loadFailed = true;
+      console.warn('[ClearText Review]', err);
+    }
+    render();
+  }
+
+  /* ── Queue view ── */
+
+  function renderTabs() {
+    const counts = { all: items.length };
+    STATUSES.forEach((status) => {
+      counts[status] = items.filter((it) => it.status === status).length;
+    });
+    const tabs = [...STATUSES, 'all'].map((status) => [status, statusLabel(status)]);
+    DOM.reviewTabs.innerHTML = tabs.map(([status, label]) =>
+      `<button class="review-tab" type="button" role="tab" data-status="${status}" aria-selected="${status === filter}">
+        ${label} <span class="review-tab__count">${counts[status]}</span>
+      </button>`
+    ).join('');
+  }
+
+  function renderItem(item) {
+    const verdict  = Render.getVerdict(item.scores);
+    const comments = (item.comments || []).map((c) => `
+      <li class="review-comment">
+        <span class="review-comment__date">${formatDate(c.timestamp)}</span>
+        <p>${Render.escapeHtml(c.text)}</p>
+      </li>
+    `).join('');
+    const actions = (TRANSITIONS[item.status] || []).map((status) =>
+      `<button class="btn btn--action review-action review-action--${status}" type="button" data-set-status="${status}">${I18n.t(`review.action.${status}`)}</button>`
+    ).join('');
+
+    return `
+      <li class="review-item" data-id="${Render.escapeHtml(item.id)}">
+        <div class="review-item__head">
+          <span class="review-status review-status--${item.status}">${STATUSES.includes(item.status) ? statusLabel(item.status) : item.status}</span>
+          <span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span>
+          <span class="review-item__date">${I18n.t('review.flaggedOn', { date: formatDate(item.createdAt) })}</span>
+        </div>
+        <p class="review-item__text">${Render.escapeHtml(Render.truncate(originals.get(item.id) ?? item.text, 400))}</p>
+        ${item.note ? `<p class="review-item__note"><span>${I18n.t('review.reporterNote')}</span>${Render.escapeHtml(item.note)}</p>` : ''}
+        ${comments ? `<ul class="review-comments" aria-label="${I18n.t('review.comments')}">${comments}</ul>` : ''}
+        <form class="review-comment-form">
+          <label class="sr-only" for="review-comment-${Render.escapeHtml(item.id)}">${I18n.t('review.commentLabel')}</label>
+          <input id="review-comment-${Render.escapeHtml(item.id)}" class="review-comment-input" name="comment" type="text" maxlength="1000" placeholder="${I18n.t('review.commentPlaceholder')}" autocomplete="off" />
+          <button class="btn btn--subtle" type="submit">${I18n.t('review.commentButton')}</button>
+        </form>
+        <div class="review-item__actions">${actions}</div>
+      </li>
+    `;
+  }
+
+  function render() {
+    if (!DOM.reviewList) return;
+    DOM.reviewSink.textContent = sink().label || SINK_NAME;
+    renderTabs();
+    const visible = filter === 'all' ? items : items.filter((it) => it.status === filter);
+    DOM.reviewList.innerHTML = visible.map(renderItem).join('');
+    DOM.reviewEmpty.hidden = visible.length > 0;
+    if (!visible.length) {
+      DOM.reviewEmpty.textContent = I18n.t(loadFailed ? 'review.loadFailed' : items.length ? 'review.emptyView' : 'review.empty');
+    }
+  }
+
+  async function handleListClick(e) {
+    const btn  = e.target.closest('[data-set-status]');
+    const item = e.target.closest('.review-item');
+    if (!btn || !item) return;
+
+    btn.disabled = true;
+    try {
+      await update(item.dataset.id, { status: btn.dataset.setStatus });
+      Toast.show(I18n.t('review.marked', { status: statusLabel(btn.dataset.setStatus).toLocaleLowerCase(I18n.locale()) }), 'success', 2500);
+    } catch (err) {
+      btn.disabled = false;
+      Toast.show(err.message || I18n.t('review.updateFailed'), 'error');
+    }
+  }
+
+  async function handleComment(e) {
+    const form = e.target.closest('.review-comment-form');
+    if (!form) return;
+    e.preventDefault();
+
+    const input = form.elements.comment;
+    const text  = input.value.trim();
+    if (!text) return;
+
+    const id      = form.closest('.review-item').dataset.id;
+    const current = items.find((it) => it.id === id);
+    try {
+      await update(id, { comments: [...(current.comments || []), { text, timestamp: new Date().toISOString() }] });
+    } catch (err) {
+      Toast.show(err.message || I18n.t('review.commentFailed'), 'error');
+    }
+  }
+
+  function init() {
+    if (!DOM.reviewList) return;
+    DOM.reviewTabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('.review-tab');
+      if (!tab) return;
+      filter = tab.dataset.status;
+      render();
+    });
+    DOM.reviewList.addEventListener('click', handleListClick);
+    DOM.reviewList.addEventListener('submit', handleComment);
+    I18n.onChange(render);
+    load();
+  }
+
+  return { init, create, registerSink, refresh: render };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   20. EXPORT — Downloadable reports for one or many results
+   ────────────────────────────────────────────────────────────── */
+const Export = (() => {
+  const LEVEL_COLORS = { info: '#5b8ef0', safe: '#16a34a', warn: '#d97706', danger: '#dc2626' };
+
+  function stamp(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  }
+
+  /** Raw sub-category scores flattened to { 'hate/threatening': 3, ... } */
+  function flatSubScores(results) {
+    return Object.assign({}, ...Object.values(results.subScores || {}));
+  }
+
+  /* ── JSON ── */
+
+  function toJson(list) {
+    const policy = Policy.active();
+    return JSON.stringify({
+      generator:  'ClearText',
+      exportedAt: new Date().toISOString(),
+      policy:     { name: policy.name, categories: policy.categories },
+      results:    list.map((results) => ({ ...results, verdict: Render.getVerdict(results.scores).level })),
+    }, null, 2);
+  }
+
+  /* ── CSV ── */
+
+  function csvCell(value) {
+    let str = value == null ? '' : String(value);
+    // Keep spreadsheets from evaluating user text as a formula
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function toCsv(list) {
+    const policy   = Policy.active().name;
+    const subNames = [...new Set(list.flatMap((results) => Object.keys(flatSubScores(results))))];
+    const header   = [
+      'timestamp', 'verdict', 'policy', 'backend', 'overall_score', 'flagged_by_ai',
+      ...Render.CATEGORIES.map(({ key }) => key),
+      ...subNames.map((name) => `raw:${name}`),
+      'flagged_categories', 'text',
+    ];
+    const rows = list.map((results) => {
+      const subs = flatSubScores(results);
+      return [
+        results.timestamp,
+        Render.getVerdict(results.scores).badgeText,
+        policy,
+        results.backend?.name,
+        results.overallScore,
+        results.flaggedByApi ? 'yes' : 'no',
+        ...Render.CATEGORIES.map(({ key }) => results.scores[key]),
+        ...subNames.map((name) => subs[name]),
+        (results.flaggedCategories || []).join('; '),
+        results.text,
+      ];
+    });
+    // BOM so Excel opens the file as UTF-8
+    return '\ufeff' + [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+  }
+
+  const t           = (key, params) => I18n.t(key, params);
+  const levelLabel  = (level) => t(`export.level.${level}`);
+  const resultCount = (count) => t(count === 1 ? 'export.resultsOne' : 'export.resultsMany', { count });
+
+  /** "Exported <date> · Policy profile: <name> · 3 results" */
+  const exportedLine = (count) =>
+    t('export.subtitle', { date: new Date().toLocaleString(), policy: Policy.active().name, results: resultCount(count) });
+
+  /* ── Markdown ── */
+
+  function mdEscape(str) {
+    return str.replace(/([\\`*_{}[\]<>()#+!|~-])/g, '\\$1');
+  }
+
+  function markdownSection(results, heading) {
+    const { text, scores, overallScore, flaggedByApi, timestamp } = results;
+    const verdict = Render.getVerdict(scores);
+    const flagged = results.flaggedCategories || [];
+    const subs    = results.subScores || {};
+
+    const rows = Render.CATEGORIES.flatMap(({ key, label }) => {
+      const score = scores[key];
+      if (score == null) return [];
+      return [
+        `| ${label} | ${score}% | ${levelLabel(Render.colorClass(score, key))} |`,
+        ...Object.entries(subs[key] || {}).map(([name, sub]) =>
+          `| ↳ \`${name}\`${flagged.includes(name) ? ` (${t('report.flaggedTag')})` : ''} | ${sub}% | |`),
+      ];
+    });
+
+    return [
+      `## ${heading}${verdict.title} — ${verdict.badgeText}`,
+      '',
+      `- **${t('export.date')}:** ${new Date(timestamp).toLocaleString()}`,
+      ...(results.backend ? [`- **${t('export.backend')}:** ${mdEscape(results.backend.name)}`] : []),
+      `- **${t('export.overall')}:** ${overallScore}%`,
+      `- **${t('export.flagged')}:** ${t(flaggedByApi ? 'export.yes' : 'export.no')}${flagged.length ? ` (${flagged.map((f) => `\`${f}\``).join(', ')})` : ''}`,
+      '',
+      `| ${t('export.category')} | ${t('export.score')} | ${t('export.level')} |`,
+      '| --- | ---: | --- |',
+      ...rows,
+      '',
+      ...(results.normalization ? [`**${t('export.normalization')}:** ${mdEscape(Normalize.describe(results.normalization))}`, ''] : []),
+      ...(results.redaction ? [`**${t('export.redaction')}:** ${mdEscape(Redact.describe(results.redaction.found))}`, ''] : []),
+      ...(results.ruleHits ? [
+        `**${t('export.rules')}:**`,
+        '',
+        ...results.ruleHits.map((hit) => `- **${mdEscape(hit.label)}** — ${mdEscape(Rules.describe(hit))}`),
+        '',
+      ] : []),
+      `**${t(results.textRedacted ? 'export.textRedacted' : 'export.text')}:**`,
+      '',
+      ...text.split('\n').map((line) => `> ${mdEscape(line)}`),
+    ].join('\n');
+  }
+
+  function toMarkdown(list) {
+    const sections = list.map((results, i) => markdownSection(results, list.length > 1 ? `${i + 1}. ` : ''));
+    return [
+      `# ${t('export.title')}`,
+      '',
+      `_${mdEscape(exportedLine(list.length))}_`,
+      '',
+      sections.join('\n\n---\n\n'),
+      '',
+    ].join('\n');
+  }
+
+  /* ── Printable HTML (save as PDF from the print dialog) ── */
+
+  function printableCard(results) {
+    const esc     = Render.escapeHtml;
+    const verdict = Render.getVerdict(results.scores);
+    const bars    = Render.CATEGORIES.map(({ key, label }) => {
+      const score = results.scores[key];
+      if (score == null) return '';
+      const level = Render.colorClass(score, key);
+      return `
+        <div class="bar">
+          <span class="bar__label">${esc(label)}</span>
+          <span class="bar__track"><span class="bar__fill" style="width: ${score}%; background: ${LEVEL_COLORS[level]}"></span></span>
+          <span class="bar__value">${score}%</span>
+        </div>`;
+    }).join('');
+
+    return `
+      <article class="report">
+        <header class="report__head">
+          <h2>${esc(verdict.title)}</h2>
+          <span class="badge badge--${verdict.level}">${verdict.badgeText}</span>
+        </header>
+        <p class="meta">${esc(new Date(results.timestamp).toLocaleString())}${results.backend ? ` · ${esc(results.backend.name)}` : ''} · ${esc(t('export.overall'))}: ${results.overallScore}% · ${esc(t('export.flagged'))}: ${esc(t(results.flaggedByApi ? 'export.yes' : 'export.no'))}</p>
+        <section class="bars">${bars}</section>
+        <h3>${esc(t(results.textRedacted ? 'export.textRedacted' : 'export.text'))}</h3>
+        <pre class="text">${esc(results.text)}</pre>
+      </article>`;
+  }
+
+  function toPrintableHtml(list) {
+    const esc = Render.escapeHtml;
+    const dir = I18n.LOCALES.find((l) => l.code === I18n.locale())?.dir || 'ltr';
+    return `<!DOCTYPE html>
+<html lang="${I18n.locale()}" dir="${dir}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${esc(t('export.title'))}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { font-family: system-ui, -apple-system, sans-serif; color: #111; background: #fff; padding: 32px; line-height: 1.5; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    .subtitle { color: #555; font-size: 12px; margin-bottom: 24px; }
+    .report { border: 1px solid #ddd; border-radius: 10px; padding: 20px; margin-bottom: 20px; break-inside: avoid-page; }
+    .report__head { display: flex; justify-content: space-between; align-items: center; gap: 12px; }
+    .report h2 { font-size: 17px; }
+    .report h3 { font-size: 12px; text-transform: uppercase; letter-spacing: 0.06em; color: #555; margin: 16px 0 6px; }
+    .meta { color: #555; font-size: 12px; margin: 4px 0 14px; }
+    .badge { font-size: 11px; font-weight: 700; letter-spacing: 0.06em; padding: 3px 10px; border-radius: 999px; border: 1px solid; }
+    .badge--safe { color: #16a34a; } .badge--warn { color: #d97706; } .badge--hate { color: #dc2626; }
+    .bar { display: grid; grid-template-columns: 140px 1fr 44px; align-items: center; gap: 10px; font-size: 13px; margin-bottom: 6px; }
+    .bar__track { height: 8px; background: #eee; border-radius: 999px; overflow: hidden; }
+    .bar__fill { display: block; height: 100%; border-radius: 999px; }
+    .bar__value { font-family: ui-monospace, monospace; text-align: right; }
+    .text { font-family: ui-monospace, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-word; border-left: 3px solid #ddd; padding-left: 10px; }
+    footer { color: #888; font-size: 11px; margin-top: 24px; }
+  </style>
+</head>
+<body>
+  <h1>${esc(t('export.title'))}</h1>
+  <p class="subtitle">${esc(exportedLine(list.length))}</p>
+  ${list.map(printableCard).join('')}
+  <footer>${esc(t('report.footer'))} · cleartext.app</footer>
+</body>
+</html>`;
+  }
+
+  /* ── Delivery ── */
+
+  function download(content, filename, mime) {
+    const url  = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function openPrintView(html, filename) {
+    const win = window.open('', '_blank');
+    if (!win) {
+      download(html, filename, 'text/html');
+      Toast.show(I18n.t('export.popupBlocked'), 'warning', 6000);
+      return;
+    }
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    setTimeout(() => win.print(), 300);
+  }
+
+  const FORMATS = {
+    json:     { ext: 'json', mime: 'application/json', build: toJson },
+    csv:      { ext: 'csv',  mime: 'text/csv',         build: toCsv },
+    markdown: { ext: 'md',   mime: 'text/markdown',    build: toMarkdown },
+    print:    { ext: 'html', mime: 'text/html',        build: toPrintableHtml },
+  };
+
+  /** Exports `list` (one or more parsed results) in the given format, text redacted if the user chose that */
+  function run(format, list, name = 'report') {
+    const spec = FORMATS[format];
+    if (!spec || !list.length) return;
+
+    const filename = `cleartext-${name}-${stamp()}.${spec.ext}`;
+    try {
+      const content = spec.build(list.map(Redact.forReport));
+      if (format === 'print') {
+        openPrintView(content, filename);
+      } else {
+        download(content, filename, spec.mime);
+        Toast.show(I18n.t('export.done', { results: resultCount(list.length), format: spec.ext.toUpperCase() }), 'success', 3000);
+      }
+    } catch (err) {
+      Toast.show(I18n.t('export.failed'), 'error');
+      console.error('[ClearText Export Error]', err);
+    }
+  }
+
+  return { run, download, stamp, csvCell, toJson, toCsv, toMarkdown, toPrintableHtml };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   21. LIVE — Debounced as-you-type checks with an inline risk meter
+   ────────────────────────────────────────────────────────────── */
+const Live = (() => {
+  const STORAGE_KEY    = 'cleartext.live';
+  const DEBOUNCE_MS    = (typeof CONFIG !== 'undefined' ? CONFIG.LIVE_DEBOUNCE_MS : null) || 700;
+  const MAX_CHARACTERS = (typeof CONFIG !== 'undefined' ? CONFIG.MAX_CHARACTERS   : null) || 5000;
+  const LEVEL_CLASS    = { safe: 'color-safe', warn: 'color-warn', hate: 'color-danger' };
+
+  let enabled     = false;
+  let debounceId  = null;
+  let controller  = null;   // AbortController of the in-flight live request
+  let lastText    = null;   // Trimmed text last sent (or in flight)
+  let lastResults = null;
+
+  function setMeter(state, label, results = null) {
+    DOM.liveMeter.hidden      = false;
+    DOM.liveMeter.className   = `live-meter live-meter--${state}`;
+    DOM.liveMeterLabel.textContent = label;
+
+    const fill = DOM.liveMeterFill;
+    fill.className   = 'live-meter__fill';
+    fill.style.width = '0%';
+    if (!results) return;
+
+    const verdict = Render.getVerdict(results.scores);
+    fill.classList.add(LEVEL_CLASS[verdict.level]);
+    fill.style.width = `${results.overallScore}%`;
+  }
+
+  function showResults(results) {
+    const verdict = Render.getVerdict(results.scores);
+    const top     = Render.CATEGORIES
+      .filter(({ key }) => results.scores[key] != null)
+      .reduce((a, b) => (results.scores[b.key] > results.scores[a.key] ? b : a));
+    const detail  = verdict.level === 'safe' ? '' : ` · ${top.label} ${results.scores[top.key]}%`;
+    setMeter(verdict.level, `${verdict.badgeText} · ${results.overallScore}%${detail}`, results);
+  }
+
+  function cancel() {
+    clearTimeout(debounceId);
+    debounceId = null;
+    if (controller) controller.abort();
+    controller = null;
+  }
+
+  async function check() {
+    const text = DOM.textInput.value.trim();
+    if (text === lastText) return;
+
+    cancel();
+    lastText = text;
+
+    if (!text) {
+      lastResults = null;
+      DOM.liveMeter.hidden = true;
+      return;
+    }
+    if (text.length > MAX_CHARACTERS) {
+      lastResults = null;
+      setMeter('idle', I18n.t('live.tooLong'));
+      return;
+    }
+
+    const own = new AbortController();
+    controller = own;
+    setMeter('checking', I18n.t('live.checking'), lastResults);
+
+    try {
+      const data    = await API.analyzeText(text, { signal: own.signal });
+      lastResults   = API.parseResponse(data, text);
+      showResults(lastResults);
+    } catch (err) {
+      if (own.signal.aborted) return;  // Superseded by newer input
+      lastText    = null;             // Allow the same text to be retried
+      lastResults = null;
+      setMeter('error', I18n.t('live.unavailable'));
+      console.warn('[ClearText Live]', err.message);
+    } finally {
+      if (controller === own) controller = null;
+    }
+  }
+
+  function handleInput() {
+    if (!enabled) return;
+    clearTimeout(debounceId);
+    debounceId = setTimeout(check, DEBOUNCE_MS);
+  }
+
+  function setEnabled(on) {
+    enabled = on;
+    DOM.liveToggle.checked = on;
+    try { localStorage.setItem(STORAGE_KEY, on ? '1' : '0'); } catch (_) { /* Storage blocked */ }
+
+    if (on) {
+      check();
+      return;
+    }
+    cancel();
+    lastText    = null;
+    lastResults = null;
+    DOM.liveMeter.hidden = true;
+  }
+
+  /** Re-colours the meter after the active policy changes */
+  function refresh() {
+    if (enabled && lastResults) showResults(lastResults);
+  }
+
+  function init() {
+    let saved = null;
+    try { saved = localStorage.getItem(STORAGE_KEY); } catch (_) { /* Storage blocked */ }
+
+    DOM.textInput.addEventListener('input', handleInput);
+    DOM.liveToggle.addEventListener('change', () => setEnabled(DOM.liveToggle.checked));
+    if (saved === '1') setEnabled(true);
+  }
+
+  return { init, refresh };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   22. CACHE — Content-hash keyed /moderate responses (memory + IndexedDB)
+   ────────────────────────────────────────────────────────────── */
+const Cache = (() => {
+  const STORE       = 'cache';
+  const TTL_MS      = (typeof CONFIG !== 'undefined' ? CONFIG.CACHE_TTL_MS         : null) || 86400000;
+  const MAX_MEMORY  = (typeof CONFIG !== 'undefined' ? CONFIG.CACHE_MEMORY_ENTRIES : null) || 200;
+
+  const memory   = new Map();   // key → { key, data, storedAt }, oldest first
+  const inflight = new Map();   // key → { promise, controller, waiting }
+  let pruned = false;
+
+  /** SHA-256 of endpoint + text; falls back to the raw string where SubtleCrypto is unavailable */
+  async function key(endpoint, text) {
+    const source = `${endpoint}\n${text}`;
+    if (!globalThis.crypto?.subtle) return `raw:${source}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function remember(entry) {
+    memory.delete(entry.key);
+    memory.set(entry.key, entry);
+    if (memory.size > MAX_MEMORY) memory.delete(memory.keys().next().value);
+  }
+
+  const isFresh = (entry) => Date.now() - entry.storedAt < TTL_MS;
+
+  /** Drops expired entries from IndexedDB, once per page load */
+  async function prune() {
+    if (pruned) return;
+    pruned = true;
+    const entries = await Store.getAll(STORE);
+    await Promise.all(entries.filter((entry) => !isFresh(entry)).map((entry) => Store.remove(STORE, entry.key)));
+  }
+
+  /** Cached raw response for `cacheKey`, or null when missing or expired */
+  async function lookup(cacheKey) {
+    let entry = memory.get(cacheKey);
+    if (!entry) {
+      try {
+        entry = await Store.get(STORE, cacheKey);
+      } catch (err) {
+        console.warn('[ClearText Cache]', err.message);
+      }
+    }
+    if (!entry) return null;
+    if (!isFresh(entry)) {
+      memory.delete(cacheKey);
+      Store.remove(STORE, cacheKey).catch(() => {});
+      return null;
+    }
+    remember(entry);
+    return entry.data;
+  }
+
+  async function store(cacheKey, data) {
+    const entry = { key: cacheKey, data, storedAt: Date.now() };
+    remember(entry);
+    try {
+      await Store.put(STORE, entry);
+      await prune();
+    } catch (err) {
+      console.warn('[ClearText Cache]', err.message);
+    }
+  }
+
+  /**
+   * Runs `start(signal, notify)` once per key while it is in flight; identical calls share
+   * its result and every caller's `onRetry` hears `notify`. Each caller's own `signal`
+   * only detaches that caller — the request itself is aborted once every caller has gone.
+   */
+  function share(cacheKey, start, { signal, onRetry } = {}) {
+    let entry = inflight.get(cacheKey);
+    if (!entry) {
+      const controller = new AbortController();
+      const listeners  = new Set();
+      entry = { controller, listeners, waiting: 0 };
+      entry.promise = start(controller.signal, (wait) => listeners.forEach((fn) => fn(wait)))
+        .then((data) => { store(cacheKey, data); return data; })
+        .finally(() => { if (inflight.get(cacheKey) === entry) inflight.delete(cacheKey); });
+      entry.promise.catch(() => {});  // Rejections are delivered to the callers below
+      inflight.set(cacheKey, entry);
+    }
+
+    const shared = entry;
+    shared.waiting++;
+    if (onRetry) shared.listeners.add(onRetry);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.listeners.delete(onRetry);
+        if (--shared.waiting === 0) {
+          if (inflight.get(cacheKey) === shared) inflight.delete(cacheKey);
+          shared.controller.abort();
+        }
+        reject(new DOMException('The request was aborted.', 'AbortError'));
+      };
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => {
+          shared.listeners.delete(onRetry);
+          signal?.removeEventListener('abort', onAbort);
+        });
+    });
+  }
+
+  return { key, lookup, share };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   23. RETRY — Exponential backoff with jitter, honouring server hints
+   ────────────────────────────────────────────────────────────── */
+const Retry = (() => {
+  const MAX_ATTEMPTS = (typeof CONFIG !== 'undefined' ? CONFIG.RETRY_MAX_ATTEMPTS : null) || 4;
+  const BASE_MS      = 1000;
+  const MAX_DELAY_MS = 30000;    // backoff ceiling
+  const MAX_HINT_MS  = 120000;   // longest estimated_time / Retry-After we will honour
+
+  /** "Equal jitter": half the exponential step, plus a random share of the other half */
+  function backoff(retry) {
+    const step = Math.min(MAX_DELAY_MS, BASE_MS * 2 ** retry);
+    return Math.round(step / 2 + Math.random() * (step / 2));
+  }
+
+  function delayFor(err, retry) {
+    const hint = err.retry.afterMs;
+    return hint != null
+      ? Math.min(hint, MAX_HINT_MS) + Math.round(Math.random() * 1000)
+      : backoff(retry);
+  }
+
+  /**
+   * Resolves after `ms`, or sooner when `wakeOnHealth` and /health reports online.
+   * Rejects with an AbortError if `signal` aborts first.
+   */
+  function wait(ms, signal, wakeOnHealth) {
+    return new Promise((resolve, reject) => {
+      let unsubscribe = () => {};
+      const done = () => {
+        clearTimeout(timerId);
+        unsubscribe();
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        done();
+        reject(new DOMException('The request was aborted.', 'AbortError'));
+      };
+      const timerId = setTimeout(() => { done(); resolve(); }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (wakeOnHealth) {
+        unsubscribe = ServerStatus.onOnline(() => { done(); resolve(); });
+        ServerStatus.check();
+      }
+    });
+  }
+
+  /**
+   * Calls `attempt(signal)` until it succeeds, fails with a non-retryable error,
+   * or MAX_ATTEMPTS is reached. Before each wait `onWait({ attempt, maxAttempts,
+   * until, reason, message })` fires, and `onWait(null)` once the retry starts.
+   */
+  async function run(attempt, { signal, onWait = () => {} } = {}) {
+    for (let n = 1; ; n++) {
+      try {
+        return await attempt(signal);
+      } catch (err) {
+        if (!err.retry || n >= MAX_ATTEMPTS || signal?.aborted) throw err;
+
+        const delayMs = delayFor(err, n - 1);
+        onWait({
+          attempt:     n + 1,
+          maxAttempts: MAX_ATTEMPTS,
+          until:       Date.now() + delayMs,
+          reason:      err.retry.reason,
+          message:     err.message,
+        });
+        await wait(delayMs, signal, err.retry.wakeOnHealth);
+        onWait(null);
+      }
+    }
+  }
+
+  return { run };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   24. OUTBOX — Texts submitted offline, sent once the server is back
+   ────────────────────────────────────────────────────────────── */
+const Outbox = (() => {
+  const STORE = 'outbox';
+
+  let items    = [];      // oldest first; finished items stay (with results) until cleared
+  let flushing = false;
+
+  function render() {
+    const waiting = items.filter((item) => item.status === 'queued' || item.status === 'sending').length;
+
+    DOM.outbox.hidden            = items.length === 0;
+    DOM.outboxCount.textContent  = I18n.t('outbox.waiting', { count: waiting });
+    DOM.outboxSendBtn.disabled   = waiting === 0 || flushing;
+    DOM.outboxClearBtn.disabled  = waiting === items.length;
+
+    DOM.outboxList.innerHTML = items.map(({ id, text, status, error, results }) => {
+      let state;
+      if (status === 'done') {
+        const verdict = Render.getVerdict(results.scores);
+        state = `<span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span>`;
+      } else {
+        state = `<span class="outbox-status outbox-status--${status}">${I18n.t(`outbox.status.${status}`)}</span>`;
+      }
+      const meta = status === 'done'  ? I18n.t('results.risk', { score: results.overallScore })
+                 : status === 'failed' ? Render.escapeHtml(error)
+                 : I18n.t('outbox.autoSend');
+      const actions = status === 'done'
+        ? `<button class="btn btn--subtle" type="button" data-action="open">${I18n.t('outbox.open')}</button>`
+        : status === 'sending' ? ''
+        : `<button class="btn btn--subtle history-item__delete" type="button" data-action="remove" aria-label="${I18n.t('outbox.removeLabel')}">${I18n.t('outbox.remove')}</button>`;
+      return `
+        <li class="history-item outbox-item" data-id="${id}">
+          ${state}
+          <div class="history-item__body">
+            <p class="history-item__text">${Render.escapeHtml(Render.truncate(text, 140))}</p>
+            <span class="history-item__meta">${meta}</span>
+          </div>
+          <div class="history-item__actions">${actions}</div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /** Persists the fields that survive a reload; results live only in memory and History */
+  function persist(item) {
+    const { id, text, queuedAt, status, error } = item;
+    return Store.put(STORE, { id, text, queuedAt, status: status === 'sending' ? 'queued' : status, error })
+      .catch((err) => console.warn('[ClearText Outbox]', err));
+  }
+
+  /** Queues `text` for later and tries to send right away if we are back online */
+  async function add(text) {
+    const item = { text, queuedAt: new Date().toISOString(), status: 'queued' };
+    try {
+      item.id = await Store.put(STORE, item);
+    } catch (err) {
+      item.id = `mem-${Date.now()}`;  // IndexedDB unavailable: queue for this session only
+      console.warn('[ClearText Outbox]', err);
+    }
+    items.push(item);
+    render();
+    Toast.show(I18n.t(navigator.onLine ? 'outbox.queuedDown' : 'outbox.queuedOffline'), 'info', 6000);
+    DOM.outbox.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    // /health may have come back while this text was failing; then nothing fires ServerStatus.onOnline
+    if (navigator.onLine && State.isServerOnline) flush();
+  }
+
+  async function analyze(text) {
+    if (LongText.needsChunking(text)) return LongText.analyze(text);
+    return API.parseResponse(await API.analyzeText(text), text);
+  }
+
+  /** Sends queued items one at a time, oldest first; stops if the server drops again */
+  async function flush() {
+    if (flushing || !navigator.onLine) return;
+    flushing = true;
+
+    let sent = 0;
+    for (const item of items.filter((it) => it.status === 'queued')) {
+      item.status = 'sending';
+      render();
+      try {
+        item.results = await analyze(item.text);
+        item.status  = 'done';
+        sent++;
+        Store.remove(STORE, item.id).catch(() => {});
+        History.save(item.results);
+      } catch (err) {
+        if (err.retry?.wakeOnHealth) {
+          item.status = 'queued';  // Still unreachable — wait for the next reconnect
+          render();
+          break;
+        }
+        item.status = 'failed';
+        item.error  = err.message;
+        persist(item);
+      }
+      render();
+    }
+
+    flushing = false;
+    render();
+    if (sent) Toast.show(I18n.t(sent === 1 ? 'outbox.sentOne' : 'outbox.sentMany', { count: sent }), 'success', 4000);
+  }
+
+  async function remove(id) {
+    items = items.filter((item) => item.id !== id);
+    render();
+    try { await Store.remove(STORE, id); } catch (_) { /* Already gone */ }
+  }
+
+  function clearFinished() {
+    items.filter((item) => item.status === 'failed').forEach((item) => Store.remove(STORE, item.id).catch(() => {}));
+    items = items.filter((item) => item.status === 'queued' || item.status === 'sending');
+    render();
+  }
+
+  function handleListClick(e) {
+    const btn = e.target.closest('[data-action]');
+    const li  = e.target.closest('.outbox-item');
+    if (!btn || !li) return;
+
+    const item = items.find((it) => String(it.id) === li.dataset.id);
+    if (!item) return;
+
+    if (btn.dataset.action === 'open') Actions.showResults(item.results);
+    else if (btn.dataset.action === 'remove') remove(item.id);
+  }
+
+  /** Re-renders verdict badges after the active policy changes */
+  function refresh() {
+    if (items.length) render();
+  }
+
+  async function init() {
+    DOM.outboxList.addEventListener('click', handleListClick);
+    DOM.outboxSendBtn.addEventListener('click', flush);
+    DOM.outboxClearBtn.addEventListener('click', clearFinished);
+    window.addEventListener('online', flush);
+    ServerStatus.onOnline(flush);
+
+    try {
+      items = (await Store.getAll(STORE)).map((item) => ({ ...item, status: item.status === 'failed' ? 'failed' : 'queued' }));
+    } catch (err) {
+      console.warn('[ClearText Outbox]', err);
+    }
+    render();
+  }
+
+  return { init, add, refresh };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   25. PWA — Registers sw.js and offers updates through Toast
+   ────────────────────────────────────────────────────────────── */
+const PWA = (() => {
+  let updateAccepted = false;
+
+  function promptUpdate(worker) {
+    const toast = Toast.show(
+      `${I18n.t('pwa.update')} <button class="toast__action" type="button">${I18n.t('pwa.reload')}</button>`,
+      'info', 30000
+    );
+    toast.querySelector('.toast__action').addEventListener('click', () => {
+      updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+  }
+
+  /** Prompts once a new worker has installed behind the one controlling this page */
+  function watch(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      promptUpdate(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate(worker);
+      });
+    });
+  }
+
+  function init() {
+    if (!('serviceWorker' in navigator)) return;
+    // Service workers need a secure context; skip file:// and plain-http previews
+    if (!window.isSecureContext) return;
+
+    // The first install also claims the page; only reload for an accepted update
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!updateAccepted) return;
+      updateAccepted = false;
+      window.location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js')
+      .then(watch)
+      .catch((err) => console.warn('[ClearText PWA] Service worker registration failed', err));
+  }
+
+  return { init };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   26. BACKENDS — Named backend endpoints, switchable at runtime
+   ────────────────────────────────────────────────────────────── */
+const Backends = (() => {
+  const STORAGE_KEY = 'cleartext.backends';
+  const QUERY_PARAM = 'backend';
+
+  /** Base URL without a trailing slash or /moderate suffix */
+  const normalize = (url) => url.trim().replace(/\/+$/, '').replace(/\/moderate$/, '');
+
+  const BUILT_IN = [
+    ...(typeof CONFIG !== 'undefined' ? [{
+      id: 'production', name: 'Production', builtIn: true,
+      url: normalize(CONFIG.BACKEND_URL),
+      moderate: CONFIG.MODERATE_ENDPOINT.trim().replace(/\/$/, ''),
+      provider: CONFIG.PROVIDER || 'openai',
+    }] : []),
+    { id: 'local', name: 'Local', builtIn: true, url: 'http://localhost:3000', provider: 'openai' },
+  ];
+
+  let backends = [];
+  let activeId = BUILT_IN[0].id;
+  let override = null;   // Backend chosen by ?backend= for this visit only
+
+  function withEndpoints(backend) {
+    return {
+      ...backend,
+      provider:    backend.provider || 'openai',
+      moderateUrl: backend.moderate || `${backend.url}/moderate`,
+      healthUrl:   `${backend.url}/health`,
+    };
+  }
+
+  function active() {
+    const backend = override || backends.find((b) => b.id === activeId) || BUILT_IN[0];
+    return withEndpoints(backend);
+  }
+
+  /** Every configured backend with its endpoints, including a ?backend= link */
+  function list() {
+    return [...backends, ...(override?.id === 'link' ? [override] : [])].map(withEndpoints);
+  }
+
+  function load() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (_) { /* Corrupt or blocked storage */ }
+
+    const custom = Array.isArray(saved?.backends) ? saved.backends.filter((b) => !b.builtIn) : [];
+    backends = [...BUILT_IN, ...custom];
+    if (backends.some((b) => b.id === saved?.activeId)) activeId = saved.activeId;
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ activeId, backends: backends.filter((b) => !b.builtIn) }));
+    } catch (_) {
+      Toast.show(I18n.t('backends.saveFailed'), 'warning');
+    }
+  }
+
+  /** Throws with a user-facing message unless `url` is an absolute http(s) URL */
+  function validateUrl(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch (_) { throw new Error(I18n.t('backends.badUrl')); }
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error(I18n.t('backends.badProtocol'));
+    return normalize(parsed.href);
+  }
+
+  /** ?backend= matches a backend id or name, or is itself a base URL */
+  function readOverride() {
+    const value = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+    if (!value) return null;
+
+    const match = backends.find((b) => b.id === value || b.name.toLowerCase() === value.toLowerCase());
+    if (match) return match;
+    try {
+      return { id: 'link', name: 'From link', url: validateUrl(value) };
+    } catch (err) {
+      Toast.show(I18n.t('backends.ignoredLink', { param: QUERY_PARAM, message: Render.escapeHtml(err.message) }), 'warning', 6000);
+      return null;
+    }
+  }
+
+  /* ── Settings UI ── */
+
+  function render() {
+    const current = active();
+    DOM.backendList.innerHTML = list().map((b) => {
+      const { moderateUrl, provider } = b;
+      const isActive = b.id === current.id;
+      return `
+        <li class="backend-item${isActive ? ' is-active' : ''}" data-id="${b.id}">
+          <input type="radio" name="backend" value="${b.id}" id="backend-${b.id}"${isActive ? ' checked' : ''} />
+          <label class="backend-item__body" for="backend-${b.id}">
+            <span class="backend-item__name">${Render.escapeHtml(b.name)}</span>
+            <span class="backend-item__url">${Render.escapeHtml(moderateUrl)} · ${Render.escapeHtml(Providers.get(provider).label)}</span>
+          </label>
+          ${b.builtIn || b.id === 'link' ? '' : `<button class="btn btn--subtle history-item__delete" type="button" data-action="remove" aria-label="${I18n.t('backends.removeLabel')}">${I18n.t('backends.remove')}</button>`}
+        </li>
+      `;
+    }).join('');
+
+    Compare.refreshBackends();
+
+    DOM.backendOverride.hidden      = !override;
+    DOM.backendOverride.textContent = override
+      ? I18n.t('backends.override', { name: override.name, param: QUERY_PARAM })
+      : '';
+  }
+
+  function select(id) {
+    if (id === 'link') return;
+    override = null;
+    activeId = id;
+    persist();
+    render();
+    ServerStatus.reset();
+    Toast.show(I18n.t('backends.switched', { name: Render.escapeHtml(active().name) }), 'info', 3000);
+  }
+
+  function handleAdd(e) {
+    e.preventDefault();
+    const form = DOM.backendForm;
+    const name = form.elements.name.value.trim();
+    let url;
+    try {
+      if (!name) throw new Error(I18n.t('backends.noName'));
+      if (backends.some((b) => b.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(I18n.t('backends.duplicate', { name }));
+      }
+      url = validateUrl(form.elements.url.value);
+    } catch (err) {
+      Toast.show(Render.escapeHtml(err.message), 'error', 6000);
+      return;
+    }
+
+    const backend = { id: `custom-${Date.now().toString(36)}`, name, url, provider: form.elements.provider.value };
+    backends.push(backend);
+    form.reset();
+    select(backend.id);
+  }
+
+  function handleListClick(e) {
+    const item = e.target.closest('.backend-item');
+    if (!item || e.target.closest('[data-action="remove"]') === null) return;
+
+    const backend = backends.find((b) => b.id === item.dataset.id);
+    if (!backend || !window.confirm(I18n.t('backends.confirmRemove', { name: backend.name }))) return;
+
+    backends = backends.filter((b) => b.id !== backend.id);
+    if (activeId === backend.id) {
+      select(BUILT_IN[0].id);
+      return;
+    }
+    persist();
+    render();
+  }
+
+  function init() {
+    override = readOverride();
+    if (!DOM.backendList) return;
+    DOM.backendForm.elements.provider.innerHTML = Providers.list().map(({ id, label }) =>
+      `<option value="${id}">${Render.escapeHtml(label)}</option>`
+    ).join('');
+    render();
+    DOM.backendList.addEventListener('change', (e) => { if (e.target.name === 'backend') select(e.target.value); });
+    DOM.backendList.addEventListener('click', handleListClick);
+    DOM.backendForm.addEventListener('submit', handleAdd);
+    I18n.onChange(render);
+  }
+
+  load();
+
+  return { init, active, list };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   27. PROVIDERS — Adapters from each model's labels to Render.CATEGORIES
+   ────────────────────────────────────────────────────────────── */
+const Providers = (() => {
+  // The adapters themselves live in cleartext-core.js, shared with the SDK
+  const get      = (id) => ClearTextCore.adapter(id);
+  const list     = () => ClearTextCore.listAdapters();
+  const register = (adapter) => ClearTextCore.register(adapter);
+
+  return { get, list, register };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   28. COMPARE — Two texts, or one text on two backends, side by side
+   ────────────────────────────────────────────────────────────── */
+const Compare = (() => {
+  const LEVEL_RANK = { safe: 0, warn: 1, hate: 2 };
+  const SIDES      = ['a', 'b'];
+
+  let controller = null;   // AbortController of the comparison in flight
+  let last       = null;   // { a, b } sides of the last comparison: { title | titleKey, results }
+
+  const mode = () => DOM.compareForm.elements.mode.value;
+
+  /** A backend's name, or "Text A"/"Text B" in the current interface language */
+  const titleOf = ({ title, titleKey }) => (titleKey ? I18n.t(titleKey) : title);
+
+  function setMode() {
+    const byBackend = mode() === 'backends';
+    DOM.compareFieldB.hidden   = byBackend;
+    DOM.compareBackends.hidden = !byBackend;
+    DOM.compareInputs.classList.toggle('is-single', byBackend);
+    DOM.compareForm.querySelector('label[for="compare-text-a"]').textContent = I18n.t(byBackend ? 'compare.text' : 'compare.textA');
+  }
+
+  /** Re-fills both backend pickers, keeping each selection while it still exists */
+  function refreshBackends() {
+    if (!DOM.compareForm) return;
+    const backends = Backends.list();
+    const current  = Backends.active();
+
+    SIDES.forEach((side, i) => {
+      const select   = DOM.compareForm.elements[`backend${side.toUpperCase()}`];
+      const previous = select.value;
+      select.innerHTML = backends.map(({ id, name, provider }) =>
+        `<option value="${id}">${Render.escapeHtml(name)} · ${Render.escapeHtml(Providers.get(provider).label)}</option>`
+      ).join('');
+
+      // Default: the active backend against the next one in the list
+      const fallback = i === 0 ? current.id : (backends.find((b) => b.id !== current.id) ?? current).id;
+      select.value   = backends.some((b) => b.id === previous) ? previous : fallback;
+    });
+  }
+
+  async function analyze(text, backend, signal) {
+    if (LongText.needsChunking(text)) return LongText.analyze(text, undefined, { signal, backend });
+    return API.parseResponse(await API.analyzeText(text, { signal, backend }), text);
+  }
+
+  /** The two requests to make: { title, text, backend } per side */
+  function readForm() {
+    const { elements } = DOM.compareForm;
+    const textA = elements.textA.value.trim();
+
+    if (mode() === 'texts') {
+      const textB = elements.textB.value.trim();
+      if (!textA || !textB) throw new Error(I18n.t('compare.needBoth'));
+      const backend = Backends.active();
+      return [{ titleKey: 'compare.textA', text: textA, backend }, { titleKey: 'compare.textB', text: textB, backend }];
+    }
+
+    if (!textA) throw new Error(I18n.t('compare.needText'));
+    const backends = Backends.list();
+    const [a, b]   = SIDES.map((side) => backends.find((x) => x.id === elements[`backend${side.toUpperCase()}`].value));
+    if (!a || !b) throw new Error(I18n.t('compare.needBackends'));
+    if (a.id === b.id) throw new Error(I18n.t('compare.sameBackend'));
+    return [{ title: a.name, text: textA, backend: a }, { title: b.name, text: textA, backend: b }];
+  }
+
+  /**
+   * Which side is safer: the lower verdict level wins, then the lower overall
+   * score. `side` is null when the two are indistinguishable.
+   */
+  function safer(a, b) {
+    const levelA = Render.getVerdict(a.scores).level;
+    const levelB = Render.getVerdict(b.scores).level;
+    const margin = Math.abs(a.overallScore - b.overallScore);
+
+    if (levelA !== levelB) return { side: LEVEL_RANK[levelA] < LEVEL_RANK[levelB] ? 'a' : 'b', margin };
+    if (a.overallScore !== b.overallScore) return { side: a.overallScore < b.overallScore ? 'a' : 'b', margin };
+    return { side: null, margin: 0 };
+  }
+
+  function summaryText() {
+    const { side, margin } = safer(last.a.results, last.b.results);
+    if (!side) return I18n.t('compare.same', { score: last.a.results.overallScore });
+
+    const winner = last[side];
+    const loser  = last[side === 'a' ? 'b' : 'a'];
+    const levels = [winner, loser].map(({ results }) => Render.getVerdict(results.scores).badgeText.toLocaleLowerCase(I18n.locale()));
+    const detail = levels[0] === levels[1]
+      ? I18n.t('compare.both', { level: levels[0] })
+      : I18n.t('compare.versus', { a: levels[0], b: levels[1] });
+    return I18n.t(margin === 1 ? 'compare.saferOne' : 'compare.saferMany', {
+      title: titleOf(winner), margin, winner: winner.results.overallScore, loser: loser.results.overallScore, detail,
+    });
+  }
+
+  function renderColumn(side, isSafer) {
+    const { results } = last[side];
+    const title   = titleOf(last[side]);
+    const verdict = Render.getVerdict(results.scores);
+    const column  = document.getElementById(`compare-col-${side}`);
+    const meta    = [
+      results.backend?.name,
+      results.parts && I18n.t('compare.parts', { count: results.parts.length }),
+      results.cached && I18n.t('results.cached'),
+    ].filter(Boolean).join(' · ');
+
+    column.classList.toggle('is-safer', isSafer);
+    column.innerHTML = `
+      <div class="compare-column__head">
+        <h3 class="scores-title">${Render.escapeHtml(title)}${isSafer ? ` <span class="score-tag">${I18n.t('compare.safer')}</span>` : ''}</h3>
+        <span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span>
+      </div>
+      <div class="compare-column__head">
+        <span class="compare-column__score color-${verdict.level === 'hate' ? 'danger' : verdict.level}">${results.overallScore}%</span>
+        <span class="compare-column__meta">${Render.escapeHtml(meta)}</span>
+      </div>
+      <blockquote class="snippet-text">${Render.escapeHtml(Render.truncate(results.text, 160))}</blockquote>
+      <div class="scores-list" role="list" aria-label="${Render.escapeHtml(I18n.t('compare.scoresLabel', { title }))}"></div>
+    `;
+    Render.renderScoreList(column.querySelector('.scores-list'), results, `compare-${side}-subs`);
+  }
+
+  function formatDelta(delta) {
+    if (delta === 0) return '0';
+    return delta > 0 ? `+${delta}` : `−${Math.abs(delta)}`;
+  }
+
+  function renderDeltas() {
+    const a = last.a.results.scores;
+    const b = last.b.results.scores;
+    document.getElementById('compare-head-a').textContent = titleOf(last.a);
+    document.getElementById('compare-head-b').textContent = titleOf(last.b);
+
+    DOM.compareRows.innerHTML = Render.CATEGORIES
+      .filter(({ key }) => a[key] != null || b[key] != null)
+      .map(({ key, label, icon }) => {
+        // A category only one provider measures has no meaningful difference
+        const measured = a[key] != null && b[key] != null;
+        const delta    = measured ? b[key] - a[key] : 0;
+        const trend    = delta < 0 ? 'lower' : delta > 0 ? 'higher' : 'same';
+        return `
+          <tr>
+            <th scope="row">${icon} ${label}</th>
+            <td>${a[key] != null ? `${a[key]}%` : '–'}</td>
+            <td>${b[key] != null ? `${b[key]}%` : '–'}</td>
+            <td class="compare-delta--${trend}">${measured ? formatDelta(delta) : '–'}</td>
+          </tr>
+        `;
+      }).join('');
+  }
+
+  function render() {
+    const { side } = safer(last.a.results, last.b.results);
+    DOM.compareResults.hidden    = false;
+    DOM.compareSummary.className = `compare-summary glass-card${side ? ` is-${side}` : ''}`;
+    DOM.compareSummary.textContent = summaryText();
+    SIDES.forEach((s) => renderColumn(s, s === side));
+    renderDeltas();
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    let requests;
+    try {
+      requests = readForm();
+    } catch (err) {
+      Toast.show(Render.escapeHtml(err.message), 'warning');
+      return;
+    }
+
+    if (controller) controller.abort();
+    const own = new AbortController();
+    controller = own;
+    DOM.compareBtn.disabled    = true;
+    DOM.compareBtn.textContent = I18n.t('compare.busy');
+
+    try {
+      const results = await Promise.all(requests.map(({ text, backend }) => analyze(text, backend, own.signal)));
+      const side    = ({ title, titleKey }, i) => ({ title, titleKey, results: results[i] });
+      last = { a: side(requests[0], 0), b: side(requests[1], 1) };
+      render();
+    } catch (err) {
+      if (own.signal.aborted) return;  // Superseded by a newer comparison
+      own.abort();                     // Stop the other side
+      Toast.show(Render.escapeHtml(err.message || I18n.t('compare.failed')), 'error', 6000);
+    } finally {
+      if (controller === own) {
+        controller = null;
+        DOM.compareBtn.disabled    = false;
+        DOM.compareBtn.textContent = I18n.t('compare.button');
+      }
+    }
+  }
+
+  function init() {
+    if (!DOM.compareForm) return;
+    refreshBackends();
+    setMode();
+    DOM.compareForm.addEventListener('change', (e) => { if (e.target.name === 'mode') setMode(); });
+    I18n.onChange(setMode);
+    DOM.compareForm.addEventListener('submit', handleSubmit);
+    DOM.compareResults.addEventListener('click', Render.toggleSubScores);
+  }
+
+  return { init, refresh: () => last && render(), refreshBackends };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   29. REPHRASE — Soften or mask the riskiest sentences, re-score, repeat
+   ────────────────────────────────────────────────────────────── */
+const Rephrase = (() => {
+  const STORAGE_KEY = 'cleartext.rephrase';
+  const MAX_ROUNDS  = (typeof CONFIG !== 'undefined' ? CONFIG.REPHRASE_MAX_ROUNDS : null) || 5;
+  const MAX_CHUNKS  = (typeof CONFIG !== 'undefined' ? CONFIG.EXPLAIN_MAX_CHUNKS  : null) || 40;
+  const CONCURRENCY = (typeof CONFIG !== 'undefined' ? CONFIG.BATCH_CONCURRENCY   : null) || 3;
+  const MAX_DIFF_CELLS = 250000;   // Token LCS table size before the diff falls back to replace-all
+
+  const DEFAULT_DICTIONARY = [
+    'idiot = person',
+    'idiots = people',
+    'moron = person',
+    'stupid = mistaken',
+    'dumb = unwise',
+    'loser = person',
+    'trash = not great',
+    'garbage = not great',
+    'disgusting = unpleasant',
+    'pathetic = disappointing',
+    'hate = strongly dislike',
+    'shut up = please stop',
+    'kill = stop',
+    'die = go away',
+    'damn =',
+    'hell =',
+  ].join('\n');
+
+  let source    = DEFAULT_DICTIONARY;
+  let isRunning = false;
+  let runFor    = null;   // The results a running rephrase started from
+  let rewrite   = null;   // { results, text } of the last suggestion
+
+  /* ── Dictionary ── */
+
+  /** `term = replacement` lines; an empty replacement masks the term, `#` starts a comment */
+  function parseDictionary(text) {
+    return text.split(/\r?\n/)
+      .map((line) => line.replace(/#.*/, '').trim())
+      .filter((line) => line.includes('='))
+      .map((line) => {
+        const at = line.indexOf('=');
+        return { term: line.slice(0, at).trim().toLowerCase().replace(/\s+/g, ' '), replacement: line.slice(at + 1).trim() };
+      })
+      .filter(({ term }) => term);
+  }
+
+  /** One case-insensitive, whole-word pattern over every term, longest first */
+  function compile(entries) {
+    if (!entries.length) return null;
+    const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const terms  = entries.map(({ term }) => term).sort((a, b) => b.length - a.length).map(escape);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  function load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved != null) source = saved;
+    } catch (_) { /* Storage blocked: defaults apply */ }
+  }
+
+  function handleDictSave() {
+    source = DOM.rephraseDictionary.value;
+    try {
+      localStorage.setItem(STORAGE_KEY, source);
+      Toast.show(I18n.t('rephrase.dictSaved', { count: parseDictionary(source).length }), 'success', 3000);
+    } catch (_) {
+      Toast.show(I18n.t('rephrase.dictSaveFailed'), 'warning');
+    }
+  }
+
+  function handleDictReset() {
+    DOM.rephraseDictionary.value = DEFAULT_DICTIONARY;
+    handleDictSave();
+  }
+
+  /* ── Rewriting ── */
+
+  const mask = (str) => str.replace(/[\p{L}\p{N}]+/gu, (word) => word[0] + '*'.repeat(word.length - 1));
+
+  /** Applies the dictionary to one segment, keeping a leading capital */
+  function soften(str, entries, pattern) {
+    if (!pattern) return str;
+    return str.replace(pattern, (match) => {
+      const { replacement } = entries.find(({ term }) => term === match.toLowerCase().replace(/\s+/g, ' '));
+      if (!replacement) return mask(match);
+      return match[0] === match[0].toUpperCase() && match[0] !== match[0].toLowerCase()
+        ? replacement[0].toUpperCase() + replacement.slice(1)
+        : replacement;
+    });
+  }
+
+  const isRisky = (scores) => Policy.evaluate(scores).level !== 'safe';
+
+  async function score(text) {
+    if (LongText.needsChunking(text)) return LongText.analyze(text);
+    return API.parseResponse(await API.analyzeText(text), text);
+  }
+
+  /** Sentence groups of `text` with their scores; a single sentence reuses `results` */
+  async function scoreSegments(text, results, onProgress) {
+    const spans = Segmenter.group(text, Segmenter.sentences(text), MAX_CHUNKS);
+    if (spans.length < 2) return [{ start: 0, end: text.length, scores: results.scores, overallScore: results.overallScore }];
+
+    let done = 0;
+    const segments = spans.map(({ start, end }) => ({ start, end }));
+    await Pool.run(spans, CONCURRENCY, async (span, i) => {
+      const { scores, overallScore } = await score(span.text);
+      Object.assign(segments[i], { scores, overallScore });
+      onProgress(++done, spans.length);
+    });
+    return segments;
+  }
+
+  /**
+   * Rewrites every risky segment — or the single highest-scoring one when risk
+   * only shows up in the text as a whole. A segment the dictionary can no
+   * longer change is masked outright, so each round makes progress.
+   */
+  function rewriteSegments(text, segments, entries, pattern) {
+    let targets = segments.filter(({ scores }) => isRisky(scores));
+    if (!targets.length) targets = [segments.reduce((a, b) => (b.overallScore > a.overallScore ? b : a))];
+
+    return [...targets].sort((a, b) => b.start - a.start).reduce((out, { start, end }) => {
+      const original = out.slice(start, end);
+      const softened = soften(original, entries, pattern);
+      return out.slice(0, start) + (softened !== original ? softened : mask(original)) + out.slice(end);
+    }, text);
+  }
+
+  /* ── Diff ── */
+
+  /** Word-level diff as HTML: <del> for removed tokens, <ins> for added ones */
+  function diffHtml(before, after) {
+    const tokenize = (str) => str.split(/(\s+)/).filter(Boolean);
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+    const ops  = [];
+
+    if (midA.length * midB.length > MAX_DIFF_CELLS) {
+      midA.forEach((t) => ops.push(['del', t]));
+      midB.forEach((t) => ops.push(['ins', t]));
+    } else {
+      // LCS lengths of every suffix pair, then walk forward
+      const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+      for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+          lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) { ops.push(['same', midA[i++]]); j++; }
+        else if (j < midB.length && (i === midA.length || lcs[i][j + 1] >= lcs[i + 1][j])) ops.push(['ins', midB[j++]]);
+        else ops.push(['del', midA[i++]]);
+      }
+    }
+
+    // Changes separated only by whitespace read as one phrase: old, then new
+    let html = '';
+    let del  = '';
+    let ins  = '';
+    let gap  = '';
+    const flush = () => {
+      if (del.trim()) html += `<del>${Render.escapeHtml(del)}</del>`;
+      if (ins.trim()) html += `<ins>${Render.escapeHtml(ins)}</ins>`;
+      html += Render.escapeHtml(gap);
+      del = ins = gap = '';
+    };
+
+    [...a.slice(0, head).map((t) => ['same', t]), ...ops, ...a.slice(a.length - tail).map((t) => ['same', t])]
+      .forEach(([op, token]) => {
+        if (op === 'same') {
+          if ((del || ins) && !gap && !token.trim()) gap = token;
+          else { flush(); html += Render.escapeHtml(token); }
+          return;
+        }
+        del += gap;
+        ins += gap;
+        gap  = '';
+        if (op === 'del') del += token;
+        else ins += token;
+      });
+    flush();
+    return html;
+  }
+
+  /* ── UI ── */
+
+  function setStatus(message) {
+    DOM.rephraseStatus.textContent = message;
+  }
+
+  /** Shows the card for risky results and drops a suggestion or progress made for other text */
+  function reset(results) {
+    if (!DOM.rephraseCard) return;
+    DOM.rephraseCard.hidden = !isRisky(results.scores);
+    if (rewrite?.results === results || (isRunning && runFor === results)) return;
+
+    rewrite = null;
+    DOM.rephraseResult.hidden = true;
+    setStatus('');
+  }
+
+  async function run() {
+    const original = State.lastResults;
+    if (!original || isRunning) return;
+
+    const entries = parseDictionary(source);
+    const pattern = compile(entries);
+    const trail   = [original.overallScore];
+    let text      = original.text;
+    let results   = original;
+    let round     = 0;
+
+    // Once a new analysis replaces `original`, its card is not ours to update
+    const current  = () => State.lastResults === original;
+    const progress = (message) => current() && setStatus(message);
+
+    isRunning = true;
+    runFor    = original;
+    DOM.rephraseBtn.disabled = true;
+    DOM.rephraseResult.hidden = true;
+
+    try {
+      while (current() && isRisky(results.scores) && round < MAX_ROUNDS) {
+        round++;
+        progress(I18n.t('rephrase.finding', { round, max: MAX_ROUNDS }));
+        const segments = await scoreSegments(text, results, (done, total) =>
+          progress(I18n.t('rephrase.scoring', { round, max: MAX_ROUNDS, done, total })));
+
+        const next = rewriteSegments(text, segments, entries, pattern);
+        if (next === text) break;  // Fully masked and still over the threshold
+
+        progress(I18n.t('rephrase.rechecking', { round, max: MAX_ROUNDS }));
+        text    = next;
+        results = await score(text);
+        trail.push(results.overallScore);
+      }
+    } catch (err) {
+      if (!current()) return;
+      setStatus('');
+      Toast.show(Render.escapeHtml(err.message || I18n.t('rephrase.failed')), 'error', 6000);
+      return;
+    } finally {
+      isRunning = false;
+      runFor    = null;
+      DOM.rephraseBtn.disabled = false;
+    }
+
+    if (!current()) return;  // A new analysis replaced this one
+
+    const verdict = Render.getVerdict(results.scores);
+    const path    = trail.map((score) => `${score}%`).join(' → ');
+    const rounds  = I18n.t(round === 1 ? 'rephrase.roundsOne' : 'rephrase.roundsMany', { count: round });
+    setStatus(verdict.level === 'safe'
+      ? I18n.t('rephrase.safe', { rounds, path })
+      : I18n.t('rephrase.still', { verdict: verdict.badgeText.toLocaleLowerCase(I18n.locale()), rounds, path }));
+
+    if (text === original.text) return;
+    rewrite = { results: original, text };
+    DOM.rephraseDiff.innerHTML = diffHtml(original.text, text);
+    DOM.rephraseResult.hidden  = false;
+  }
+
+  function handleUse() {
+    if (!rewrite) return;
+    DOM.textInput.value = rewrite.text;
+    DOM.textInput.dispatchEvent(new Event('input'));
+    DOM.analyzeBtn.click();
+  }
+
+  function init() {
+    if (!DOM.rephraseCard) return;
+    load();
+    DOM.rephraseDictionary.value = source;
+    DOM.rephraseBtn.addEventListener('click', run);
+    DOM.rephraseUseBtn.addEventListener('click', handleUse);
+    DOM.rephraseDictSaveBtn.addEventListener('click', handleDictSave);
+    DOM.rephraseDictResetBtn.addEventListener('click', handleDictReset);
+  }
+
+  return { init, reset };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   30. NORMALIZE — Undo obfuscation before moderation, noting each trick
+   ────────────────────────────────────────────────────────────── */
+const Normalize = (() => {
+  const STORAGE_KEY       = 'cleartext.normalize';
+  const EVASION_MIN_DELTA = (typeof CONFIG !== 'undefined' ? CONFIG.EVASION_MIN_DELTA : null) || 30;
+
+  // Each is named in the catalog as normalize.<id>
+  const TRICKS = ['zeroWidth', 'emoji', 'confusables', 'spaced'];
+
+  // Cyrillic & Greek letters that render like Latin ones
+  const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+    'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g', 'ı': 'i',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x',
+  };
+
+  // Emoji used as a letter inside a word, and emoji used in place of a word
+  const EMOJI_LETTERS = { '❌': 'x', '✖': 'x', '⭕': 'o', '⚪': 'o', '🅾': 'o', '❗': 'i', 'ℹ': 'i' };
+  const EMOJI_WORDS   = {
+    '🔫': 'gun', '🔪': 'knife', '🗡': 'dagger', '💣': 'bomb', '🧨': 'explosive', '🩸': 'blood',
+    '☠': 'death', '⚰': 'coffin', '🖕': 'fuck you', '🐒': 'monkey', '🦍': 'ape', '🐷': 'pig', '🐀': 'rat',
+  };
+  const emojiPattern = (map) => new RegExp(`(?:${Object.keys(map).join('|')})\\uFE0F?`, 'gu');
+  const EMOJI_LETTER_RE = emojiPattern(EMOJI_LETTERS);
+  const EMOJI_WORD_RE   = emojiPattern(EMOJI_WORDS);
+
+  let settings = { enabled: true, dualScore: false };
+
+  /**
+   * Returns `text` with each obfuscation trick undone, and which tricks were
+   * found: [{ id, count }]. Text without tricks comes back unchanged.
+   */
+  function run(text) {
+    if (!settings.enabled) return { text, tricks: [] };
+    const found = {};
+    const step  = (id, pattern, replacer) => {
+      text = text.replace(pattern, (...args) => {
+        const out = replacer(...args);
+        if (out !== args[0]) found[id] = (found[id] || 0) + 1;
+        return out;
+      });
+    };
+    const isWordChar = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+
+    // Invisible characters; joiners only between Latin letters, where no script needs them
+    step('zeroWidth', /[\u200B\u2060\uFEFF\u00AD\u180E\u202A-\u202E\u2066-\u2069]/g, () => '');
+    step('zeroWidth', /(?<=[A-Za-z])[\u200C\u200D]+(?=[A-Za-z])/g, () => '');
+
+    // Keycaps, lettered squares & circles, runs of regional-indicator letters, symbol emoji
+    step('emoji', /([0-9#*])\uFE0F?\u20E3/gu, (_, key) => key);
+    step('emoji', /[\u{1F150}-\u{1F169}\u{1F170}-\u{1F189}]/gu, (ch) =>
+      String.fromCharCode(97 + ((ch.codePointAt(0) - 0x1F150) % 0x20)));
+    step('emoji', /[\u{1F1E6}-\u{1F1FF}]{3,}/gu, (letters) =>
+      Array.from(letters, (ch) => String.fromCharCode(97 + ch.codePointAt(0) - 0x1F1E6)).join(''));
+    step('emoji', EMOJI_LETTER_RE, (emoji) => EMOJI_LETTERS[emoji.replace('\uFE0F', '')]);
+    step('emoji', EMOJI_WORD_RE, (emoji, offset, whole) => {
+      const word = EMOJI_WORDS[emoji.replace('\uFE0F', '')];
+      const before = isWordChar(whole[offset - 1]) ? ' ' : '';
+      const after  = isWordChar(whole[offset + emoji.length]) ? ' ' : '';
+      return before + word + after;
+    });
+
+    // Full-width, mathematical & circled letters, then Cyrillic/Greek look-alikes in Latin words
+    step('confusables', /[^\x00-\x7F]/gu, (ch) => {
+      const plain = ch.normalize('NFKC');
+      return plain !== ch && /^[A-Za-z0-9]+$/.test(plain) ? plain : ch;
+    });
+    text = text.replace(/\S+/g, (token) => {
+      if (!/[A-Za-z]/.test(token)) return token;
+      return token.replace(/[\u0370-\u03FF\u0400-\u052F\u0131\u0261]/g, (ch) => {
+        const lower  = ch.toLowerCase();
+        const latin  = CONFUSABLES[lower];
+        if (!latin) return ch;
+        found.confusables = (found.confusables || 0) + 1;
+        return ch === lower ? latin : latin.toUpperCase();
+      });
+    });
+
+    // "h a t e", "h.a.t.e", "h-a-t-e": four or more single letters with one repeated separator.
+    // Shorter runs are too often real text ("Plan A B C", "x-y-z"), and dotted capitals are
+    // abbreviations ("U.S.A.F"). A leading "I" or "a" is usually a word of its own:
+    // "I h a t e you" → "I hate you"
+    step('spaced', /(?<![\p{L}\p{N}])\p{L}( +|[.\-_*·])\p{L}(?:\1\p{L}){2,}(?![\p{L}\p{N}])/gu, (run, sep) => {
+      if (sep === '.' && run === run.toUpperCase()) return run;
+      const letters = run.split(sep);
+      if (/^[IiAa]$/.test(letters[0]) && sep.trim() === '') {
+        // The rest must still be four letters: "I h i t" is left as typed
+        return letters.length > 4 ? letters[0] + sep + letters.slice(1).join('') : run;
+      }
+      return letters.join('');
+    });
+
+    const tricks = TRICKS.filter((id) => found[id]).map((id) => ({ id, count: found[id] }));
+    return { text, tricks };
+  }
+
+  /** Normalization of a long text from its parts' results; null when no part needed any */
+  function merge(list) {
+    const normalized = list.filter((results) => results.normalization);
+    if (!normalized.length) return null;
+
+    const counts = {};
+    normalized.forEach(({ normalization }) => normalization.tricks.forEach(({ id, count }) => {
+      counts[id] = (counts[id] || 0) + count;
+    }));
+    const merged = {
+      tricks: TRICKS.filter((id) => counts[id]).map((id) => ({ id, count: counts[id] })),
+    };
+    if (normalized.every(({ normalization }) => normalization.rawScore != null)) {
+      merged.rawScore = Math.max(...list.map((results) => results.normalization?.rawScore ?? results.overallScore));
+      merged.evasion  = normalized.some(({ normalization }) => normalization.evasion);
+    }
+    return merged;
+  }
+
+  /** Plain-text summary for results and reports */
+  function describe({ tricks, rawScore, evasion }) {
+    const list = tricks.map(({ id, count }) => `${I18n.t(`normalize.${id}`)} (${count})`).join(', ');
+    let line   = I18n.t('normalize.undid', { list });
+    if (evasion) line += ` ${I18n.t('normalize.evasion', { score: rawScore })}`;
+    else if (rawScore != null) line += ` ${I18n.t('normalize.asTyped', { score: rawScore })}`;
+    return line;
+  }
+
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved && typeof saved === 'object') settings = { ...settings, ...saved };
+    } catch (_) { /* Corrupt or blocked storage: defaults apply */ }
+  }
+
+  function handleChange() {
+    settings = { enabled: DOM.normalizeEnabled.checked, dualScore: DOM.normalizeDual.checked };
+    DOM.normalizeDual.disabled = !settings.enabled;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (_) {
+      Toast.show(I18n.t('settings.saveFailed'), 'warning');
+    }
+  }
+
+  function init() {
+    if (!DOM.normalizeEnabled) return;
+    DOM.normalizeEnabled.checked = settings.enabled;
+    DOM.normalizeDual.checked    = settings.dualScore;
+    DOM.normalizeDual.disabled   = !settings.enabled;
+    DOM.normalizeEnabled.addEventListener('change', handleChange);
+    DOM.normalizeDual.addEventListener('change', handleChange);
+  }
+
+  load();
+
+  return { CONFUSABLES, EVASION_MIN_DELTA, init, run, merge, describe, settings: () => settings };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   31. RULES — Local word lists & patterns: force, explain or suppress
+   ────────────────────────────────────────────────────────────── */
+const Rules = (() => {
+  const STORAGE_KEY   = 'cleartext.rules';
+  const MAX_EXAMPLES  = 5;   // Distinct matched strings kept per hit
+
+  const ACTIONS = ['force', 'explain', 'suppress'];
+  const MASK    = '[ALLOWED]';   // Stands in for an allowlisted span in the text sent
+
+  const LEET_DIGITS  = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g' };
+  const LEET_SYMBOLS = { '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '€': 'e' };
+
+  let rules    = [];
+  let compiled = [];
+
+  /* ── Normalization ── */
+
+  /**
+   * Lower-cases, strips accents and folds homoglyphs and leetspeak, one code
+   * unit for one, so offsets in the result line up with `text`. Digits only
+   * fold inside words that also have letters, symbols only mid-word — "idiot!"
+   * keeps its "!", "1488" stays a number.
+   */
+  function fold(text) {
+    return text.replace(/\S+/g, (token) => {
+      const base = Array.from({ length: token.length }, (_, i) => {
+        const lower = token[i].toLowerCase();
+        if (lower.length !== 1) return token[i];
+        const plain = lower.normalize('NFD')[0];
+        return Normalize.CONFUSABLES[plain] ?? plain;
+      });
+      const hasLetter = base.some((ch) => /\p{L}/u.test(ch));
+      return base.map((ch, i) => {
+        if (hasLetter && ch in LEET_DIGITS) return LEET_DIGITS[ch];
+        if (ch in LEET_SYMBOLS && i < base.length - 1 && /[\p{L}\p{N}]/u.test(base[i + 1])) return LEET_SYMBOLS[ch];
+        return ch;
+      }).join('');
+    });
+  }
+
+  /* ── Rules ── */
+
+  const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  /**
+   * Checks one rule from the form or an import and returns it normalized;
+   * throws with a user-facing message when it cannot be used.
+   */
+  function validate(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error(I18n.t('rules.notObject'));
+    const label = String(raw.label ?? '').trim();
+    if (!label) throw new Error(I18n.t('rules.noName'));
+    if (!ACTIONS.includes(raw.action)) throw new Error(I18n.t('rules.badAction', { label }));
+    if (!Render.CATEGORIES.some(({ key }) => key === raw.category)) {
+      throw new Error(I18n.t('rules.badCategory', { label, category: raw.category }));
+    }
+
+    const rule = {
+      id:       String(raw.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`),
+      label,
+      match:    raw.match === 'regex' ? 'regex' : 'words',
+      action:   raw.action,
+      category: raw.category,
+      note:     String(raw.note ?? '').trim(),
+      enabled:  raw.enabled !== false,
+    };
+
+    if (rule.match === 'regex') {
+      rule.pattern = String(raw.pattern ?? '');
+      if (!rule.pattern) throw new Error(I18n.t('rules.emptyPattern', { label }));
+      try { new RegExp(rule.pattern, 'giu'); } catch (err) { throw new Error(I18n.t('rules.badPattern', { label, message: err.message })); }
+    } else {
+      const terms = Array.isArray(raw.terms) ? raw.terms : String(raw.terms ?? '').split(',');
+      rule.terms  = [...new Set(terms.map((t) => String(t).trim()).filter(Boolean))];
+      if (!rule.terms.length) throw new Error(I18n.t('rules.noTerms', { label }));
+    }
+
+    if (rule.action === 'force') {
+      const score = Number(raw.score ?? 100);
+      if (!Number.isInteger(score) || score < 0 || score > 100) {
+        throw new Error(I18n.t('rules.badScore', { label }));
+      }
+      rule.score = score;
+    }
+    return rule;
+  }
+
+  /** Word lists match whole words of the folded text; patterns match the text as typed */
+  function compile() {
+    compiled = rules.filter((rule) => rule.enabled).map((rule) => {
+      if (rule.match === 'regex') return { rule, folded: false, regex: new RegExp(rule.pattern, 'giu') };
+      const terms = rule.terms.map((t) => escapeRegex(fold(t)).replace(/\s+/g, '\\s+')).sort((a, b) => b.length - a.length);
+      return { rule, folded: true, regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'gu') };
+    });
+  }
+
+  function load() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (_) { /* Corrupt or blocked storage */ }
+
+    rules = (Array.isArray(saved?.rules) ? saved.rules : []).flatMap((raw) => {
+      try { return [validate(raw)]; } catch (err) { console.warn('[ClearText Rules] Dropped a saved rule:', err.message); return []; }
+    });
+    compile();
+  }
+
+  function persist() {
+    compile();
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ rules }));
+    } catch (_) {
+      Toast.show(I18n.t('rules.saveFailed'), 'warning');
+    }
+  }
+
+  /* ── Masking & matching (before the model), applying (after it) ── */
+
+  /**
+   * `text` with every span a suppress rule matches replaced by MASK, so the
+   * model scores only the rest: an allowlisted word cannot excuse what is
+   * said around it.
+   */
+  function mask(text) {
+    const allow = compiled.filter(({ rule }) => rule.action === 'suppress');
+    if (!allow.length || !text) return text;
+    const folded = fold(text);
+
+    const spans = allow
+      .flatMap(({ folded: useFolded, regex }) => [...(useFolded ? folded : text).matchAll(regex)])
+      .filter((m) => m[0])
+      .map((m) => [m.index, m.index + m[0].length])
+      .sort((a, b) => a[0] - b[0]);
+    if (!spans.length) return text;
+
+    let out = '';
+    let end = 0;
+    spans.forEach(([from, to]) => {
+      if (from < end) { end = Math.max(end, to); return; }  // Overlaps the span just masked
+      out += text.slice(end, from) + MASK;
+      end  = to;
+    });
+    return out + text.slice(end);
+  }
+
+  /** One hit per matching rule: { ruleId, label, action, category, score?, note, count, examples } */
+  function match(text) {
+    if (!compiled.length || !text) return [];
+    const folded = fold(text);
+
+    return compiled.flatMap(({ rule, folded: useFolded, regex }) => {
+      const found = [...(useFolded ? folded : text).matchAll(regex)].filter((m) => m[0]);
+      if (!found.length) return [];
+      const examples = [...new Set(found.map((m) => text.slice(m.index, m.index + m[0].length)))].slice(0, MAX_EXAMPLES);
+      return [{
+        ruleId: rule.id, label: rule.label, action: rule.action, category: rule.category,
+        ...(rule.action === 'force' && { score: rule.score }),
+        note: rule.note, count: found.length, examples,
+      }];
+    });
+  }
+
+  /**
+   * Returns `results` with the hits applied: a forced score replaces the
+   * model's score for its category, lower or higher (the highest forced score
+   * wins when several rules hit one category). A suppress hit, whose words
+   * `mask` already kept from the model, also zeroes its category along with
+   * that category's sub-scores and model flags, unless a force rule set it.
+   */
+  function apply(results, hits) {
+    if (!hits.length) return results;
+
+    const scores = { ...results.scores };
+    const forced = {};
+    hits.filter((hit) => hit.action === 'force').forEach(({ category, score }) => {
+      forced[category] = Math.max(forced[category] ?? 0, score);
+    });
+
+    const suppressed = new Set(hits
+      .filter((hit) => hit.action === 'suppress' && !(hit.category in forced))
+      .map((hit) => hit.category));
+    const subScores  = { ...results.subScores };
+    const unflagged  = new Set();
+    suppressed.forEach((category) => {
+      scores[category] = 0;
+      if (!subScores[category]) return;
+      Object.keys(subScores[category]).forEach((label) => unflagged.add(label));
+      subScores[category] = Object.fromEntries(Object.keys(subScores[category]).map((label) => [label, 0]));
+    });
+    Object.assign(scores, forced);
+
+    return {
+      ...results,
+      scores,
+      subScores,
+      overallScore: Math.max(0, ...Object.values(scores)),
+      ...(results.flaggedCategories && { flaggedCategories: results.flaggedCategories.filter((label) => !unflagged.has(label)) }),
+      ruleHits: hits,
+    };
+  }
+
+  /** Combines the hits of several parts of one text, summing counts per rule */
+  function merge(lists) {
+    const byRule = new Map();
+    lists.flat().forEach((hit) => {
+      const seen = byRule.get(hit.ruleId);
+      if (!seen) { byRule.set(hit.ruleId, { ...hit, examples: [...hit.examples] }); return; }
+      seen.count   += hit.count;
+      seen.examples = [...new Set([...seen.examples, ...hit.examples])].slice(0, MAX_EXAMPLES);
+    });
+    return [...byRule.values()];
+  }
+
+  /** Plain-text explanation of one hit for results and reports */
+  function describe(hit) {
+    const examples = hit.examples.map((ex) => `"${ex}"`).join(', ') + (hit.count > 1 ? ` (${hit.count}×)` : '');
+    const effect   = I18n.t(`rules.effect.${hit.action}`, { category: Render.labelFor(hit.category), score: hit.score });
+    return `${I18n.t('rules.matched', { examples })} · ${effect}.${hit.note ? ` ${hit.note}` : ''}`;
+  }
+
+  /* ── Editor UI ── */
+
+  const actionLabel = (action) => I18n.t(`rules.action.${action}`);
+
+  function summary(rule) {
+    const count = rule.terms?.length;
+    const what  = rule.match === 'regex'
+      ? `/${rule.pattern}/`
+      : I18n.t(count === 1 ? 'rules.wordsOne' : 'rules.wordsMany', { count, words: `${rule.terms.slice(0, 4).join(', ')}${count > 4 ? ', …' : ''}` });
+    const does  = I18n.t(`rules.does.${rule.action}`, { category: Render.labelFor(rule.category), score: rule.score });
+    return `${what} → ${does}`;
+  }
+
+  function render() {
+    DOM.rulesEmpty.hidden = rules.length > 0;
+    DOM.rulesList.innerHTML = rules.map((rule) => `
+      <li class="backend-item${rule.enabled ? '' : ' is-disabled'}" data-id="${Render.escapeHtml(rule.id)}">
+        <input class="rule-item__toggle" type="checkbox" data-action="toggle"${rule.enabled ? ' checked' : ''} aria-label="${I18n.t('rules.enable', { label: Render.escapeHtml(rule.label) })}" />
+        <span class="backend-item__body">
+          <span class="backend-item__name">${Render.escapeHtml(rule.label)}</span>
+          <span class="backend-item__url">${Render.escapeHtml(summary(rule))}</span>
+        </span>
+        <button class="btn btn--subtle history-item__delete" type="button" data-action="remove" aria-label="${I18n.t('rules.removeLabel')}">${I18n.t('rules.remove')}</button>
+      </li>
+    `).join('');
+  }
+
+  function syncScoreField() {
+    DOM.rulesForm.elements.score.disabled = DOM.rulesForm.elements.action.value !== 'force';
+  }
+
+  function handleAdd(e) {
+    e.preventDefault();
+    const { elements } = DOM.rulesForm;
+    const isRegex = elements.match.value === 'regex';
+    try {
+      rules.push(validate({
+        label:    elements.label.value,
+        match:    elements.match.value,
+        [isRegex ? 'pattern' : 'terms']: elements.pattern.value,
+        action:   elements.action.value,
+        category: elements.category.value,
+        score:    elements.score.value === '' ? undefined : Number(elements.score.value),
+        note:     elements.note.value,
+      }));
+    } catch (err) {
+      Toast.show(Render.escapeHtml(err.message), 'error', 6000);
+      return;
+    }
+    persist();
+    render();
+    DOM.rulesForm.reset();
+    syncScoreField();
+    Toast.show(I18n.t('rules.added'), 'success', 3000);
+  }
+
+  function handleListClick(e) {
+    const item   = e.target.closest('.backend-item');
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const rule   = item && rules.find((r) => r.id === item.dataset.id);
+    if (!rule || !action) return;
+
+    if (action === 'toggle') {
+      rule.enabled = e.target.checked;
+    } else if (action === 'remove') {
+      if (!window.confirm(I18n.t('rules.confirmRemove', { label: rule.label }))) return;
+      rules = rules.filter((r) => r !== rule);
+    }
+    persist();
+    render();
+  }
+
+  function handleExport() {
+    if (!rules.length) {
+      Toast.show(I18n.t('rules.noExport'), 'info');
+      return;
+    }
+    const json = JSON.stringify({ generator: 'ClearText', kind: 'rules', version: 1, rules }, null, 2);
+    Export.download(json, `cleartext-rules-${Export.stamp()}.json`, 'application/json');
+  }
+
+  /** Accepts an exported file or a bare array; imported ids replace existing rules */
+  async function handleImport() {
+    const file = DOM.rulesImport.files[0];
+    DOM.rulesImport.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+      let parsed;
+      try { parsed = JSON.parse(await file.text()); } catch (_) { throw new Error(I18n.t('rules.badFile', { file: file.name })); }
+      const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+      if (!Array.isArray(list)) throw new Error(I18n.t('rules.notAList'));
+      imported = list.map((raw, i) => {
+        try { return validate(raw); } catch (err) { throw new Error(I18n.t('rules.importError', { n: i + 1, message: err.message })); }
+      });
+    } catch (err) {
+      Toast.show(Render.escapeHtml(err.message), 'error', 6000);
+      return;
+    }
+
+    const ids = new Set(imported.map((r) => r.id));
+    rules = [...rules.filter((r) => !ids.has(r.id)), ...imported];
+    persist();
+    render();
+    Toast.show(I18n.t(imported.length === 1 ? 'rules.importedOne' : 'rules.importedMany', { count: imported.length }), 'success');
+  }
+
+  function renderCategories() {
+    const select = DOM.rulesForm.elements.category;
+    const chosen = select.value;
+    select.innerHTML = Render.CATEGORIES.map(({ key, label }) =>
+      `<option value="${key}">${Render.escapeHtml(label)}</option>`
+    ).join('');
+    if (chosen) select.value = chosen;
+  }
+
+  function init() {
+    load();   // Here, not at startup: validate() words its errors through I18n, defined further down
+    if (!DOM.rulesForm) return;
+    renderCategories();
+    render();
+    syncScoreField();
+    DOM.rulesForm.addEventListener('submit', handleAdd);
+    DOM.rulesForm.elements.action.addEventListener('change', syncScoreField);
+    DOM.rulesList.addEventListener('change', handleListClick);
+    DOM.rulesList.addEventListener('click', (e) => { if (e.target.closest('[data-action="remove"]')) handleListClick(e); });
+    DOM.rulesExportBtn.addEventListener('click', handleExport);
+    DOM.rulesImport.addEventListener('change', handleImport);
+    I18n.onChange(() => { renderCategories(); render(); });
+  }
+
+  return { ACTIONS, actionLabel, init, fold, mask, match, apply, merge, describe };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   32. I18N — Message catalogs (locales.js), locale switching & RTL
+   ────────────────────────────────────────────────────────────── */
+const I18n = (() => {
+  const STORAGE_KEY = 'cleartext.locale';
+  const MESSAGES    = typeof I18N_MESSAGES !== 'undefined' ? I18N_MESSAGES : { en: {} };
+
+  /** Interface languages, each named in its own language */
+  const LOCALES = [
+    { code: 'en', name: 'English' },
+    { code: 'hi', name: 'हिन्दी' },
+    { code: 'es', name: 'Español' },
+    { code: 'ar', name: 'العربية', dir: 'rtl' },
+  ];
+
+  let current = 'en';
+  const listeners = new Set();
+
+  /** Closest supported locale for a BCP 47 tag such as "es-MX", or null */
+  function match(tag) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    return LOCALES.some((l) => l.code === base) ? base : null;
+  }
+
+  /**
+   * Message for `key` in the current locale, falling back to English and then
+   * to the key itself. `{name}` placeholders are filled from `params`.
+   */
+  function t(key, params) {
+    const text = MESSAGES[current]?.[key] ?? MESSAGES.en?.[key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (token, name) => (name in params ? String(params[name]) : token));
+  }
+
+  function locale() {
+    return current;
+  }
+
+  /** Calls `fn` after every locale switch; returns an unsubscribe */
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /** Translates the static markup: [data-i18n] text, [data-i18n-placeholder] placeholders, lang & dir */
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+
+    const { code, dir = 'ltr' } = LOCALES.find((l) => l.code === current);
+    document.documentElement.lang = code;
+    document.documentElement.dir  = dir;
+  }
+
+  function setLocale(code) {
+    const next = match(code);
+    if (!next || next === current) return;
+    current = next;
+    try {
+      localStorage.setItem(STORAGE_KEY, current);
+    } catch (_) {
+      Toast.show(I18n.t('settings.saveFailed'), 'warning');
+    }
+    apply();
+    if (DOM.localeSelect) DOM.localeSelect.value = current;
+    listeners.forEach((fn) => fn(current));
+  }
+
+  function load() {
+    let saved = null;
+    try { saved = localStorage.getItem(STORAGE_KEY); } catch (_) { /* Blocked storage: follow the browser */ }
+    current = match(saved) || (navigator.languages || [navigator.language]).map(match).find(Boolean) || 'en';
+  }
+
+  function init() {
+    apply();
+    if (!DOM.localeSelect) return;
+    DOM.localeSelect.innerHTML = LOCALES.map(({ code, name }) =>
+      `<option value="${code}" lang="${code}"${code === current ? ' selected' : ''}>${name}</option>`
+    ).join('');
+    DOM.localeSelect.addEventListener('change', () => setLocale(DOM.localeSelect.value));
+  }
+
+  load();
+
+  return { LOCALES, init, t, locale, setLocale, onChange, apply };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   33. LANGUAGE — Guesses the analyzed text's language, checks provider support
+   ────────────────────────────────────────────────────────────── */
+const Language = (() => {
+  const SAMPLE_SIZE = 5000;  // Characters looked at; enough to settle the language of a long text
+
+  /**
+   * Scripts that pin the language down (or its most likely user) on their own.
+   * `refine` picks a sibling language from letters only it uses.
+   */
+  const SCRIPTS = [
+    { code: 'ja', pattern: /[぀-ヿ]/g },   // Kana; Han runs in Japanese text are folded in below
+    { code: 'zh', pattern: /[㐀-䶿一-鿿]/g },
+    { code: 'ko', pattern: /[ᄀ-ᇿ가-힯]/g },
+    { code: 'ar', pattern: /[؀-ۿݐ-ݿ]/g, refine: [['ur', /[ٹڈڑںےۓ]/], ['fa', /[پچژگکی]/]] },
+    { code: 'he', pattern: /[֐-׿]/g },
+    { code: 'hi', pattern: /[ऀ-ॿ]/g },
+    { code: 'bn', pattern: /[ঀ-৿]/g },
+    { code: 'pa', pattern: /[਀-੿]/g },
+    { code: 'gu', pattern: /[઀-૿]/g },
+    { code: 'ta', pattern: /[஀-௿]/g },
+    { code: 'te', pattern: /[ఀ-౿]/g },
+    { code: 'kn', pattern: /[ಀ-೿]/g },
+    { code: 'ml', pattern: /[ഀ-ൿ]/g },
+    { code: 'th', pattern: /[฀-๿]/g },
+    { code: 'el', pattern: /[Ͱ-Ͽ]/g },
+    { code: 'ru', pattern: /[Ѐ-ӿ]/g, refine: [['uk', /[їєґі]/i]] },
+  ];
+
+  /** Latin-script languages: common function words, plus letters that point to the language */
+  const LATIN = {
+    en:        { marks: null,          words: 'the and is are was were you your i me my of to in that it this for with have has not but they what' },
+    es:        { marks: /[ñ¿¡]/,       words: 'el la los las que de y en es por para con una un no se lo del muy pero como más está eres' },
+    fr:        { marks: /[œèêëîûù]/,   words: 'le la les des est et que une dans pour pas je vous il elle ne sur avec ce qui sont tu' },
+    de:        { marks: /[äöüß]/,      words: 'der die das und ist nicht ich du ein eine zu mit sie den es auf sich auch dass bist' },
+    pt:        { marks: /[ãõ]/,        words: 'os as que de não um uma para com é você do da em mas como está isso muito' },
+    it:        { marks: /[òì]/,        words: 'il la di che non un una per sono è con del gli ho della questo ma sei anche' },
+    id:        { marks: null,          words: 'yang dan di itu ini tidak aku kamu dengan untuk ada saya akan dari juga bisa' },
+    tr:        { marks: /[ğşı]/,       words: 've bir bu da de ne için ben sen çok değil mi ama gibi daha olan' },
+    'hi-Latn': { marks: null,          words: 'hai hain nahi nahin kya ka ki ke mein main tum aap ko se yeh woh bhi aur tera mera bahut' },
+  };
+  const STOPWORDS = Object.fromEntries(Object.entries(LATIN).map(([code, { words }]) => [code, new Set(words.split(' '))]));
+
+  const count = (text, pattern) => (text.match(pattern) || []).length;
+
+  /** Best guess at a BCP 47 code for `text`, or null when there is too little to go on */
+  function detect(text) {
+    const sample = String(text || '').slice(0, SAMPLE_SIZE);
+    const latin  = count(sample, /[a-zÀ-ɏ]/gi);
+
+    const counts = Object.fromEntries(SCRIPTS.map(({ code, pattern }) => [code, count(sample, pattern)]));
+    if (counts.ja) { counts.ja += counts.zh; counts.zh = 0; }
+    const [script, letters] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    if (letters > latin) {
+      const refined = SCRIPTS.find((s) => s.code === script).refine?.find(([, pattern]) => pattern.test(sample));
+      return refined ? refined[0] : script;
+    }
+    return latin ? detectLatin(sample) : null;
+  }
+
+  function detectLatin(sample) {
+    const lower = sample.toLowerCase();
+    const words = lower.match(/[\p{L}']+/gu) || [];
+    const ranked = Object.keys(LATIN).map((code) => {
+      const marks = LATIN[code].marks ? count(lower, new RegExp(LATIN[code].marks.source, 'g')) : 0;
+      return { code, score: words.filter((w) => STOPWORDS[code].has(w)).length + marks };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, next] = ranked;
+    const enough = best.score >= 2 || (best.score === 1 && words.length <= 3);
+    return enough && best.score > next.score ? best.code : null;
+  }
+
+  /**
+   * The language of `text` and whether `adapter` lists it among the languages
+   * its model handles well (adapters without a `languages` list accept any).
+   * Null when the language cannot be told.
+   */
+  function assess(text, adapter) {
+    const code = detect(text);
+    if (!code) return null;
+    return { code, supported: !adapter?.languages || adapter.languages.includes(code) };
+  }
+
+  /** Display name of a language code in the interface language */
+  function name(code) {
+    const key = `language.${code}`;
+    const own = I18n.t(key);
+    if (own !== key) return own;
+    try {
+      return new Intl.DisplayNames([I18n.locale()], { type: 'language' }).of(code) || code;
+    } catch (_) {
+      return code;
+    }
+  }
+
+  return { detect, assess, name };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   34. INSIGHTS — Trends across saved analyses, drawn as bars & SVG
+   ────────────────────────────────────────────────────────────── */
+const Insights = (() => {
+  const BINS        = 10;   // Histogram buckets of 10 points; the last one also holds 100
+  const MAX_COLUMNS = 60;   // Longer ranges fold several days into one timeline column
+  const FILL        = { safe: 'safe', warn: 'warn', hate: 'danger' };
+
+  let last = null;   // Aggregate behind the charts on screen, for export
+
+  const t   = (key, params) => I18n.t(key, params);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  /** Local calendar day as "YYYY-MM-DD", the format of <input type="date"> */
+  function dayKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function parseDay(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function addDays(key, n) {
+    const date = parseDay(key);
+    date.setDate(date.getDate() + n);
+    return dayKey(date);
+  }
+
+  const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : 0);
+
+  const formatDay = (key) => parseDay(key).toLocaleDateString(I18n.locale(), { dateStyle: 'medium' });
+
+  /**
+   * History drops its oldest entries past HISTORY_MAX_ENTRIES, so a range that
+   * reaches further back than the oldest one kept is only partly counted.
+   * Returns the first day still covered in that case, otherwise null.
+   */
+  function coveredFrom(entries) {
+    if (!History.isFull() || !entries.length) return null;
+    const oldest = dayKey(new Date(entries[entries.length - 1].timestamp));
+    const from   = DOM.insightsFrom.value;
+    return !from || from < oldest ? oldest : null;
+  }
+
+  /** Saved analyses whose local date falls inside the From/To inputs (either may be empty) */
+  function inRange(entries) {
+    const from = DOM.insightsFrom.value;
+    const to   = DOM.insightsTo.value;
+    return entries.filter(({ timestamp }) => {
+      const day = dayKey(new Date(timestamp));
+      return (!from || day >= from) && (!to || day <= to);
+    });
+  }
+
+  /**
+   * The numbers behind every chart. Verdicts follow the active policy profile;
+   * an analysis counts as flagged when the model flagged it or the policy rates
+   * it high risk. `drivers` counts the categories that triggered each high-risk verdict.
+   */
+  function aggregate(list) {
+    const verdicts   = { safe: 0, warn: 0, hate: 0 };
+    const histograms = Object.fromEntries(Render.CATEGORIES.map(({ key }) => [key, Array(BINS).fill(0)]));
+    const drivers    = {};
+    const days       = new Map();
+    let flagged      = 0;
+
+    list.forEach((results) => {
+      const verdict   = Render.getVerdict(results.scores);
+      const isFlagged = !!results.flaggedByApi || verdict.level === 'hate';
+      verdicts[verdict.level]++;
+      if (isFlagged) flagged++;
+      if (verdict.level === 'hate') {
+        verdict.triggers.forEach((key) => { drivers[key] = (drivers[key] || 0) + 1; });
+      }
+
+      Object.entries(results.scores).forEach(([key, score]) => {
+        if (score == null || !histograms[key]) return;
+        histograms[key][Math.min(BINS - 1, Math.floor(score / (100 / BINS)))]++;
+      });
+
+      const day  = dayKey(new Date(results.timestamp));
+      const slot = days.get(day) || { total: 0, flagged: 0 };
+      slot.total++;
+      if (isFlagged) slot.flagged++;
+      days.set(day, slot);
+    });
+
+    return {
+      from:  DOM.insightsFrom.value || null,
+      to:    DOM.insightsTo.value || null,
+      policy: Policy.active().name,
+      total: list.length,
+      flagged,
+      verdicts,
+      histograms,
+      drivers: Object.entries(drivers)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, count]) => ({ category, count })),
+      timeline: timeline(days),
+    };
+  }
+
+  /** Day counts folded into at most MAX_COLUMNS equal-width columns, empty days included */
+  function timeline(days) {
+    if (!days.size) return [];
+    const seen  = [...days.keys()].sort();
+    const first = DOM.insightsFrom.value || seen[0];
+    const end   = DOM.insightsTo.value || seen[seen.length - 1];
+    const span  = Math.round((parseDay(end) - parseDay(first)) / 86400000) + 1;
+    const step  = Math.max(1, Math.ceil(span / MAX_COLUMNS));
+
+    const columns = [];
+    for (let start = first; start <= end; start = addDays(start, step)) {
+      const stop   = addDays(start, step - 1);
+      const column = { start, end: stop < end ? stop : end, total: 0, flagged: 0 };
+      for (let day = start; day <= column.end; day = addDays(day, 1)) {
+        const slot = days.get(day);
+        if (slot) { column.total += slot.total; column.flagged += slot.flagged; }
+      }
+      columns.push(column);
+    }
+    return columns;
+  }
+
+  /* ── Charts ── */
+
+  /** One row in the style of the results score bars */
+  function barRow(label, value, width, color, icon = '') {
+    return `
+      <div class="score-item" role="listitem">
+        <div class="score-meta">
+          <span class="score-name">${icon ? `<span class="score-icon" aria-hidden="true">${icon}</span>` : ''}${Render.escapeHtml(label)}</span>
+          <span class="score-value color-${color}">${value}</span>
+        </div>
+        <div class="score-bar-track" aria-hidden="true">
+          <div class="score-bar-fill color-${color}" style="width: ${width}%"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  function renderVerdicts({ total, verdicts }) {
+    DOM.insightsVerdicts.innerHTML = ['hate', 'warn', 'safe'].map((level) => {
+      const share = percent(verdicts[level], total);
+      return barRow(I18n.t(`verdict.${level}.badge`), `${verdicts[level]} · ${share}%`, share, FILL[level]);
+    }).join('');
+  }
+
+  function renderDrivers({ verdicts, drivers }) {
+    if (!drivers.length) {
+      DOM.insightsDrivers.innerHTML = `<p class="history-empty">${Render.escapeHtml(t('insights.noDrivers'))}</p>`;
+      return;
+    }
+    DOM.insightsDrivers.innerHTML = drivers.map(({ category, count }) => {
+      const icon = Render.CATEGORIES.find((c) => c.key === category)?.icon;
+      return barRow(Render.labelFor(category), t('insights.countOf', { count, total: verdicts.hate }), percent(count, verdicts.hate), 'danger', icon);
+    }).join('');
+  }
+
+  /** Column per day (or group of days): height is the share of analyses flagged */
+  function renderTimeline({ timeline: columns }) {
+    const W = 600, H = 160, LEFT = 34, BOTTOM = 18, TOP = 6;
+    const plotW = W - LEFT, plotH = H - BOTTOM - TOP;
+    const colW  = plotW / columns.length;
+    const y     = (pct) => TOP + plotH - (pct / 100) * plotH;
+
+    const grid = [0, 50, 100].map((pct) => `
+      <line class="insights-axis" x1="${LEFT}" x2="${W}" y1="${y(pct)}" y2="${y(pct)}" />
+      <text class="insights-axis-label" x="${LEFT - 6}" y="${y(pct) + 3}" text-anchor="end">${pct}%</text>
+    `).join('');
+
+    const bars = columns.map((column, i) => {
+      const x     = LEFT + i * colW + Math.min(2, colW * 0.15);
+      const width = Math.max(1, colW - Math.min(4, colW * 0.3));
+      const range = column.start === column.end ? column.start : `${column.start} – ${column.end}`;
+      if (!column.total) {
+        return `<rect class="insights-col insights-col--none" x="${x}" y="${y(0) - 2}" width="${width}" height="2"><title>${Render.escapeHtml(t('insights.noAnalyses', { range }))}</title></rect>`;
+      }
+      const rate = percent(column.flagged, column.total);
+      return `<rect class="insights-col" x="${x}" y="${y(rate)}" width="${width}" height="${Math.max(1, y(0) - y(rate))}" rx="2">` +
+        `<title>${Render.escapeHtml(t('insights.flaggedOf', { range, flagged: column.flagged, total: column.total, rate }))}</title></rect>`;
+    }).join('');
+
+    const edge = (column, anchor, x) =>
+      `<text class="insights-axis-label" x="${x}" y="${H - 4}" text-anchor="${anchor}">${column.start}</text>`;
+    const labels = edge(columns[0], 'start', LEFT) + (columns.length > 1 ? edge(columns[columns.length - 1], 'end', W) : '');
+
+    DOM.insightsTimeline.innerHTML =
+      `<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${Render.escapeHtml(t('insights.timelineLabel'))}">${grid}${bars}${labels}</svg>`;
+  }
+
+  /** Small multiple per scored category; each bucket coloured by its level under the active policy */
+  function renderHistograms({ histograms }) {
+    const W = 200, H = 64, BOTTOM = 14;
+    const binW = W / BINS;
+
+    DOM.insightsHistograms.innerHTML = Render.CATEGORIES.map(({ key, icon }) => {
+      const label = Render.labelFor(key);
+      const bins  = histograms[key];
+      const total = bins.reduce((sum, n) => sum + n, 0);
+      if (!total) return '';
+      const max = Math.max(...bins);
+
+      const bars = bins.map((count, i) => {
+        const lo     = i * (100 / BINS);
+        const hi     = i === BINS - 1 ? 100 : lo + (100 / BINS) - 1;
+        const height = count ? Math.max(2, (count / max) * (H - BOTTOM - 2)) : 0;
+        const level  = Policy.levelFor(key, lo + (100 / BINS) / 2);
+        return `<rect class="insights-bin--${level}" x="${i * binW + 1}" y="${H - BOTTOM - height}" width="${binW - 2}" height="${height}" rx="1.5">` +
+          `<title>${lo}–${hi}%: ${count}</title></rect>`;
+      }).join('');
+
+      return `
+        <figure class="insights-histogram">
+          <figcaption class="score-name"><span><span class="score-icon" aria-hidden="true">${icon}</span> ${Render.escapeHtml(label)}</span><span class="score-sub__value">${total}</span></figcaption>
+          <svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${Render.escapeHtml(t('insights.histogramLabel', { category: label, count: total }))}">
+            <line class="insights-axis" x1="0" x2="${W}" y1="${H - BOTTOM}" y2="${H - BOTTOM}" />
+            ${bars}
+            <text class="insights-axis-label" x="0" y="${H - 2}">0%</text>
+            <text class="insights-axis-label" x="${W}" y="${H - 2}" text-anchor="end">100%</text>
+          </svg>
+        </figure>
+      `;
+    }).join('');
+  }
+
+  function refresh() {
+    if (!DOM.insightsCharts) return;
+    const entries = History.all();
+    const list    = inRange(entries);
+    const covered = coveredFrom(entries);
+    last = { ...aggregate(list), coveredFrom: covered };
+
+    DOM.insightsCharts.hidden = list.length === 0;
+    DOM.insightsEmpty.hidden  = list.length > 0;
+    DOM.insightsEmpty.textContent = t(entries.length ? 'insights.noneInRange' : 'insights.none');
+    DOM.insightsSummary.textContent = list.length
+      ? t(list.length === 1 ? 'insights.summaryOne' : 'insights.summaryMany',
+        { count: list.length, flagged: percent(last.flagged, list.length), policy: last.policy })
+      : '';
+    DOM.insightsNote.hidden = !covered || !list.length;
+    DOM.insightsNote.textContent = covered ? t('insights.truncated', { max: entries.length, date: formatDay(covered) }) : '';
+    if (!list.length) return;
+
+    renderVerdicts(last);
+    renderDrivers(last);
+    renderTimeline(last);
+    renderHistograms(last);
+  }
+
+  /* ── Export ── */
+
+  function toCsv(data) {
+    const rows = [
+      ['section', 'name', 'bucket', 'count', 'total', 'percent'],
+      ...Object.entries(data.verdicts).map(([level, count]) =>
+        ['verdict', level, '', count, data.total, percent(count, data.total)]),
+      ...data.drivers.map(({ category, count }) =>
+        ['high_risk_driver', category, '', count, data.verdicts.hate, percent(count, data.verdicts.hate)]),
+      ...data.timeline.map(({ start, end, total, flagged }) =>
+        ['flagged_rate', start, start === end ? '' : end, flagged, total, percent(flagged, total)]),
+      ...Object.entries(data.histograms).flatMap(([key, bins]) => {
+        const total = bins.reduce((sum, n) => sum + n, 0);
+        return total ? bins.map((count, i) => {
+          const lo = i * (100 / BINS);
+          return ['histogram', key, `${lo}-${i === BINS - 1 ? 100 : lo + (100 / BINS) - 1}`, count, total, percent(count, total)];
+        }) : [];
+      }),
+    ];
+    return '\ufeff' + rows.map((row) => row.map(Export.csvCell).join(',')).join('\r\n');
+  }
+
+  function handleExport(e) {
+    const format = e.target.closest('[data-export]')?.dataset.export;
+    if (!format) return;
+    if (!last?.total) {
+      Toast.show(t('insights.noExport'), 'info');
+      return;
+    }
+    const filename = `cleartext-insights-${Export.stamp()}.${format}`;
+    if (format === 'csv') {
+      Export.download(toCsv(last), filename, 'text/csv');
+    } else {
+      const json = JSON.stringify({ generator: 'ClearText', kind: 'insights', exportedAt: new Date().toISOString(), ...last }, null, 2);
+      Export.download(json, filename, 'application/json');
+    }
+    Toast.show(t('insights.exported', { count: last.total, format: format.toUpperCase() }), 'success', 3000);
+  }
+
+  /** Quick ranges end today; 0 days clears both bounds */
+  function handlePreset(e) {
+    const days = e.target.closest('[data-days]')?.dataset.days;
+    if (days == null) return;
+    const today = dayKey(new Date());
+    DOM.insightsFrom.value = Number(days) ? addDays(today, 1 - Number(days)) : '';
+    DOM.insightsTo.value   = Number(days) ? today : '';
+    refresh();
+  }
+
+  function init() {
+    if (!DOM.insightsCharts) return;
+    DOM.insightsFrom.addEventListener('change', refresh);
+    DOM.insightsTo.addEventListener('change', refresh);
+    DOM.insightsPresets.addEventListener('click', handlePreset);
+    DOM.insightsExport.addEventListener('click', handleExport);
+    I18n.onChange(refresh);
+    refresh();
+  }
+
+  return { init, refresh };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   35. THREAD — Chat transcripts scored per message, speaker & trend
+   ────────────────────────────────────────────────────────────── */
+const Thread = (() => {
+  const CONCURRENCY      = (typeof CONFIG !== 'undefined' ? CONFIG.BATCH_CONCURRENCY       : null) || 3;
+  const MAX_MESSAGES     = (typeof CONFIG !== 'undefined' ? CONFIG.THREAD_MAX_MESSAGES     : null) || 300;
+  const ESCALATION_SLOPE = (typeof CONFIG !== 'undefined' ? CONFIG.THREAD_ESCALATION_SLOPE : null) || 8;
+  const MIN_TREND        = 3;   // Scored messages a speaker needs before their trend counts
+  const SPEAKER_FIELDS   = ['speaker', 'author', 'user', 'name', 'from', 'sender'];
+  const TEXT_FIELDS      = ['text', 'message', 'content', 'body'];
+  // A leading "[10:02]", "10:02", "10:02 AM" or "12/01/2024, 10:02 -" before the speaker
+  const STAMP = /^\s*(?:\[[^\]]*\]|\d{1,4}[./-]\d{1,2}[./-]\d{1,4}(?:,?\s*\d{1,2}:\d{2}(?::\d{2})?)?|\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[AaPp]\.?[Mm]\.?(?![A-Za-z]))?\s*(?:[-–—]\s*)?/;
+  // "alex: hi"; "://" is a URL and "5:30" a time, neither ends a speaker
+  const LINE = /^\s*([^:[\]\n]{1,40}?)\s*:(?!\/\/)(?!(?<=\d:)\d)\s*(.*)$/;
+  const NOT_A_SPEAKER = /^[\d\s.,:/-]+$/;   // A number or date left over, not a name
+
+  let rows      = [];
+  let cancelled = false;
+
+  const t = (key, params) => I18n.t(key, params);
+
+  /* ── Parsing ── */
+
+  /** `speaker: message` lines; a line without a speaker continues the message above it */
+  function fromLines(source) {
+    const messages = [];
+    source.split(/\r?\n/).forEach((line) => {
+      const match = LINE.exec(line.replace(STAMP, ''));
+      if (match && !NOT_A_SPEAKER.test(match[1])) messages.push({ speaker: match[1].trim(), text: match[2] });
+      else if (messages.length) messages[messages.length - 1].text += `\n${line}`;
+      else if (line.trim()) throw new Error(t('thread.noSpeaker'));
+    });
+    return messages;
+  }
+
+  function fromEntry(entry, i) {
+    const speaker = SPEAKER_FIELDS.map((k) => entry?.[k]).find((v) => typeof v === 'string' || typeof v === 'number');
+    const text    = TEXT_FIELDS.map((k) => entry?.[k]).find((v) => typeof v === 'string');
+    if (speaker == null || text == null) throw new Error(t('thread.missingFields', { n: i + 1 }));
+    return { speaker: String(speaker).trim(), text };
+  }
+
+  /** An array of messages, or an object with a `messages` array */
+  function fromJson(value) {
+    const list = Array.isArray(value) ? value : value?.messages;
+    if (!Array.isArray(list)) throw new Error(t('thread.notAList'));
+    return list.map(fromEntry);
+  }
+
+  function fromJsonl(source) {
+    return source.split(/\r?\n/).filter((line) => line.trim()).map((line, i) => {
+      let entry;
+      try { entry = JSON.parse(line); } catch (_) {
+        throw new Error(t('thread.badLine', { n: i + 1 }));
+      }
+      return fromEntry(entry, i);
+    });
+  }
+
+  /**
+   * Turns a transcript into `{ speaker, text }` messages. `fileName` picks the
+   * format by extension; pasted text that parses as JSON is read as JSON.
+   */
+  function parse(source, fileName = '') {
+    const ext  = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    const text = source.trim();
+    let messages;
+
+    if (ext === 'jsonl' || ext === 'ndjson') {
+      messages = fromJsonl(text);
+    } else if (ext === 'json') {
+      let value;
+      try { value = JSON.parse(text); } catch (_) { throw new Error(t('thread.badFile', { file: fileName })); }
+      messages = fromJson(value);
+    } else {
+      let value;
+      if (ext !== 'txt' && /^[[{]/.test(text)) {
+        try { value = JSON.parse(text); } catch (_) { /* "[10:02] alex: …" lines, not JSON */ }
+      }
+      messages = value === undefined ? fromLines(text) : fromJson(value);
+    }
+
+    messages = messages
+      .map(({ speaker, text: body }) => ({ speaker: speaker || 'Unknown', text: body.trim() }))
+      .filter(({ text: body }) => body);
+    if (!messages.length) {
+      throw new Error(t('thread.empty'));
+    }
+    if (messages.length > MAX_MESSAGES) {
+      throw new Error(t('thread.tooMany', { max: MAX_MESSAGES.toLocaleString() }));
+    }
+    return messages;
+  }
+
+  /* ── Speakers ── */
+
+  /** Least-squares slope of `values` against their order: average change per message */
+  function slope(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+    let num = 0;
+    let den = 0;
+    values.forEach((y, x) => {
+      num += (x - meanX) * (y - meanY);
+      den += (x - meanX) ** 2;
+    });
+    return num / den;
+  }
+
+  /** Stable colour per speaker name */
+  function hue(name) {
+    let hash = 0;
+    for (const ch of name) hash = (hash * 31 + ch.codePointAt(0)) % 360;
+    return hash;
+  }
+
+  /**
+   * Per-speaker aggregate in order of first appearance: the verdict over the
+   * worst score per category across their messages, peak and mean overall
+   * score, and whether their scores climb by ESCALATION_SLOPE per message or more.
+   */
+  function speakers() {
+    const bySpeaker = new Map();
+    rows.forEach((row) => {
+      if (!bySpeaker.has(row.speaker)) {
+        bySpeaker.set(row.speaker, { name: row.speaker, messages: 0, flagged: 0, trail: [], scores: {} });
+      }
+      const stats = bySpeaker.get(row.speaker);
+      stats.messages++;
+      if (!row.results) return;
+      stats.trail.push(row.results.overallScore);
+      if (row.results.flaggedByApi) stats.flagged++;
+      Object.entries(row.results.scores).forEach(([key, score]) => {
+        if (score != null) stats.scores[key] = Math.max(stats.scores[key] ?? 0, score);
+      });
+    });
+
+    return [...bySpeaker.values()].map((stats) => {
+      const { trail } = stats;
+      const rise = slope(trail);
+      return {
+        ...stats,
+        peak:       trail.length ? Math.max(...trail) : null,
+        mean:       trail.length ? Math.round(trail.reduce((sum, v) => sum + v, 0) / trail.length) : null,
+        verdict:    trail.length ? Render.getVerdict(stats.scores) : null,
+        slope:      rise,
+        escalating: trail.length >= MIN_TREND && rise >= ESCALATION_SLOPE,
+      };
+    });
+  }
+
+  /* ── Rendering ── */
+
+  function avatar(name) {
+    const initial = Array.from(name)[0]?.toUpperCase() || '?';
+    return `<span class="thread-avatar" style="--speaker-hue: ${hue(name)}" aria-hidden="true">${Render.escapeHtml(initial)}</span>`;
+  }
+
+  /** Overall score per message as a tiny line chart */
+  function sparkline(trail) {
+    if (trail.length < 2) return '';
+    const W = 96, H = 28;
+    const points = trail.map((score, i) =>
+      `${((i / (trail.length - 1)) * W).toFixed(1)},${(H - 2 - (score / 100) * (H - 4)).toFixed(1)}`
+    ).join(' ');
+    return `<svg class="thread-spark" viewBox="0 0 ${W} ${H}" aria-hidden="true"><polyline points="${points}" /></svg>`;
+  }
+
+  const messageCount = (count) => t(count === 1 ? 'thread.messagesOne' : 'thread.messagesMany', { count });
+
+  function renderSpeakers(list) {
+    const sorted = [...list].sort((a, b) => (b.peak ?? -1) - (a.peak ?? -1));
+    DOM.threadSpeakers.innerHTML = sorted.map((s) => {
+      const messages = messageCount(s.messages);
+      const meta     = s.trail.length
+        ? t('thread.scoredMeta', { messages, peak: s.peak, mean: s.mean }) +
+          (s.flagged ? ` · ${t('thread.flaggedMeta', { count: s.flagged })}` : '')
+        : t('thread.unscoredMeta', { messages });
+      return `
+        <li class="thread-speaker${s.escalating ? ' is-escalating' : ''}">
+          ${avatar(s.name)}
+          <span class="thread-speaker__body">
+            <span class="thread-speaker__name">${Render.escapeHtml(s.name)}${s.escalating ? `<span class="score-tag score-tag--flagged">${t('thread.escalatingTag')}</span>` : ''}</span>
+            <span class="thread-speaker__meta">${Render.escapeHtml(meta)}</span>
+          </span>
+          ${sparkline(s.trail)}
+          ${s.verdict ? `<span class="verdict-badge verdict-badge--sm ${s.verdict.badgeClass}">${s.verdict.badgeText}</span>` : ''}
+        </li>
+      `;
+    }).join('');
+
+    const rising = list.filter((s) => s.escalating);
+    DOM.threadEscalation.hidden = rising.length === 0;
+    DOM.threadEscalation.textContent = rising.map((s) => t('thread.escalation', {
+      name:  s.name,
+      slope: Math.round(s.slope),
+      first: s.trail[0],
+      last:  s.trail[s.trail.length - 1],
+    })).join(' ');
+  }
+
+  function renderMessage(row) {
+    let status;
+    if (row.results) {
+      const verdict = Render.getVerdict(row.results.scores);
+      status = `
+        <span class="verdict-badge verdict-badge--sm ${verdict.badgeClass}">${verdict.badgeText}</span>
+        <span class="thread-msg__score">${row.results.overallScore}%</span>
+        <button class="btn btn--subtle" type="button" data-action="open">${t('thread.open')}</button>`;
+    } else {
+      status = `<span class="thread-msg__score">${t(`thread.status.${row.status}`)}</span>`;
+    }
+    const level = row.results ? Render.getVerdict(row.results.scores).level : row.status;
+    return `
+      <li class="thread-msg is-${level}" data-index="${row.index}">
+        ${avatar(row.speaker)}
+        <div class="thread-msg__bubble">
+          <div class="thread-msg__head">
+            <span class="thread-msg__speaker">${Render.escapeHtml(row.speaker)}</span>
+            ${status}
+          </div>
+          <p class="thread-msg__text">${Render.escapeHtml(row.text)}</p>
+          ${row.status === 'error' ? `<p class="thread-msg__error">${Render.escapeHtml(row.error)}</p>` : ''}
+        </div>
+      </li>
+    `;
+  }
+
+  function render() {
+    DOM.threadTimeline.innerHTML = rows.map(renderMessage).join('');
+    renderSpeakers(speakers());
+  }
+
+  /** Redraws one message and the speaker summary; cheaper than a full render per response */
+  function update(row) {
+    const item = DOM.threadTimeline.querySelector(`[data-index="${row.index}"]`);
+    if (item) item.outerHTML = renderMessage(row);
+    renderSpeakers(speakers());
+  }
+
+  function updateProgress(done) {
+    const total = rows.length;
+    DOM.threadProgressText.textContent = t('thread.progress', { done, total });
+    DOM.threadProgressFill.style.width = `${total ? Math.round((done / total) * 100) : 0}%`;
+  }
+
+  /* ── Running ── */
+
+  async function analyze(source, fileName) {
+    if (State.isThreadRunning) {
+      Toast.show(t('thread.busy'), 'warning');
+      return;
+    }
+
+    let messages;
+    try {
+      messages = parse(source, fileName);
+    } catch (err) {
+      Toast.show(Render.escapeHtml(err.message), 'error', 6000);
+      return;
+    }
+
+    rows      = messages.map(({ speaker, text }, index) => ({ index, speaker, text, status: 'queued', results: null, error: null }));
+    cancelled = false;
+    // Off by default: a long transcript would otherwise push older analyses out of History
+    const keep = !!DOM.threadSave?.checked;
+
+    State.isThreadRunning      = true;
+    DOM.threadBtn.disabled     = true;
+    DOM.threadProgress.hidden  = false;
+    DOM.threadResults.hidden   = false;
+    updateProgress(0);
+    render();
+
+    let done = 0;
+    await Pool.run(rows, CONCURRENCY, async (row) => {
+      row.status = 'running';
+      update(row);
+      try {
+        row.results = LongText.needsChunking(row.text)
+          ? await LongText.analyze(row.text)
+          : API.parseResponse(await API.analyzeText(row.text), row.text);
+        row.status  = 'done';
+        if (keep) History.save(row.results);
+      } catch (err) {
+        row.status = 'error';
+        row.error  = err.message || t('thread.error');
+      }
+      updateProgress(++done);
+      update(row);
+    }, () => cancelled);
+
+    State.isThreadRunning     = false;
+    DOM.threadBtn.disabled    = false;
+    DOM.threadProgress.hidden = true;
+
+    const failed = rows.filter((r) => r.status === 'error').length;
+    if (cancelled) {
+      rows = rows.filter((r) => r.status !== 'queued');
+      render();
+      Toast.show(t('thread.cancelled', { messages: messageCount(done) }), 'info');
+    } else if (failed) {
+      Toast.show(t('thread.failed', { failed, total: rows.length }), 'warning', 6000);
+    } else {
+      const count = speakers().length;
+      Toast.show(t('thread.done', {
+        messages: messageCount(rows.length),
+        speakers: t(count === 1 ? 'thread.speakersOne' : 'thread.speakersMany', { count }),
+      }), 'success');
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const source = await file.text();
+    DOM.threadInput.value = source;
+    analyze(source, file.name);
+  }
+
+  function handleTimelineClick(e) {
+    if (!e.target.closest('[data-action="open"]')) return;
+    const row = rows[Number(e.target.closest('.thread-msg').dataset.index)];
+    if (row?.results) Actions.showResults({ ...row.results });
+  }
+
+  function init() {
+    if (!DOM.threadForm) return;
+    DOM.threadForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      analyze(DOM.threadInput.value);
+    });
+    DOM.threadFile.addEventListener('change', handleFile);
+    DOM.threadCancelBtn.addEventListener('click', () => { cancelled = true; });
+    DOM.threadTimeline.addEventListener('click', handleTimelineClick);
+    I18n.onChange(() => rows.length && render());
+  }
+
+  return { init, parse, refresh: () => rows.length && render() };
+})();
+
+/* ──────────────────────────────────────────────────────────────
+   36. REDACT — Personal details replaced before text leaves the browser
+   ────────────────────────────────────────────────────────────── */
+const Redact = (() => {
+  const STORAGE_KEY = 'cleartext.redact';
+  const PREVIEW_MS  = 250;   // Debounce for the "what will be sent" preview
+
+  // Applied in this order; each placeholder is safe from the patterns after it
+  const TYPES = {
+    custom:   '[REDACTED]',
+    email:    '[EMAIL]',
+    card:     '[CARD]',
+    ip:       '[IP]',
+    phone:    '[PHONE]',
+    address:  '[ADDRESS]',
+    username: '[USERNAME]',
+  };
+
+  const STREET_TYPES = [
+    'Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Lane', 'Ln', 'Drive', 'Dr',
+    'Court', 'Ct', 'Way', 'Place', 'Pl', 'Terrace', 'Close', 'Crescent', 'Parkway', 'Square', 'Sq',
+  ];
+
+  // A phone needs a country code, an area code in parentheses or a phone-shaped grouping;
+  // year ranges ("2019-2021") and lists of numbers ("10 20 30 40") fit none of these
+  const PHONE_SHAPES = [
+    String.raw`\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}`,  // +44 20 7946 0958
+    String.raw`\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}`,                               // (555) 123-4567
+    String.raw`\d{3}(?<sep>[ .-])\d{3}\k<sep>\d{4}`,                                 // 555-123-4567
+    String.raw`0\d{2,4}[ -]\d{3,4}[ -]?\d{3,4}`,                                     // 020 7946 0958
+  ];
+
+  const PATTERNS = {
+    email:    /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+    card:     /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    ip:       /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])|(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])/gi,
+    phone:    new RegExp(`(?<![\\w+])(?:${PHONE_SHAPES.join('|')})(?!\\w)`, 'g'),
+    address:  new RegExp(`(?<![\\p{L}\\p{N}])\\d{1,5}[A-Za-z]?\\s+(?:\\p{Lu}[\\p{L}'.-]*\\s+){1,4}(?:${STREET_TYPES.join('|')})(?![\\p{L}\\p{N}])\\.?`, 'gu'),
+    username: /(?<![\p{L}\p{N}_.@/])(?:@[A-Za-z0-9_](?:[A-Za-z0-9_.]{0,38}[A-Za-z0-9_])?|\/?u\/[A-Za-z0-9_-]{3,20})(?![\p{L}\p{N}_])/gu,
+  };
+
+  let settings = {
+    enabled:    true,
+    types:      Object.fromEntries(Object.keys(TYPES).map((id) => [id, true])),
+    terms:      [],
+    reportText: 'original',   // 'original' | 'redacted'
+  };
+  let termPattern  = null;
+  let previewTimer = null;
+
+  const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const label       = (id) => I18n.t(`redact.${id}`);
+
+  /** Luhn checksum, so long ID and order numbers are not taken for cards */
+  function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  const ACCEPT = {
+    card:  (match) => luhn(match.replace(/\D/g, '')),
+    phone: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15;
+    },
+  };
+
+  function compileTerms() {
+    const terms = [...settings.terms].sort((a, b) => b.length - a.length).map(escapeRegex);
+    termPattern = terms.length
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+      : null;
+  }
+
+  /**
+   * Returns `text` with every enabled kind of personal detail replaced by its
+   * placeholder, and what was found: [{ id, count }].
+   */
+  function apply(text) {
+    const found = {};
+    Object.keys(TYPES).forEach((id) => {
+      const pattern = id === 'custom' ? termPattern : PATTERNS[id];
+      if (!settings.types[id] || !pattern) return;
+      text = text.replace(pattern, (match) => {
+        if (ACCEPT[id] && !ACCEPT[id](match)) return match;
+        found[id] = (found[id] || 0) + 1;
+        return TYPES[id];
+      });
+    });
+    return { text, found: Object.keys(TYPES).filter((id) => found[id]).map((id) => ({ id, count: found[id] })) };
+  }
+
+  /** `apply(text)` when redaction is on, otherwise `text` untouched; API.analyzeText runs it on normalized text */
+  function run(text) {
+    return settings.enabled ? apply(text) : { text, found: [] };
+  }
+
+  /** `text` the way API.analyzeText would send it: normalized, allowlisted words masked, then redacted */
+  const asSent   = (text) => run(Rules.mask(Normalize.run(text).text));
+  const redacted = (text) => apply(Rules.mask(Normalize.run(text).text));
+
+  /** "email addresses (1), phone numbers (2)" */
+  function describe(found) {
+    return found.map(({ id, count }) => `${label(id)} (${count})`).join(', ');
+  }
+
+  /** Redaction of a long text whose parts were sent separately; null when no part needed any */
+  function merge(text, list) {
+    return list.some((results) => results.redaction) ? redacted(text) : null;
+  }
+
+  /** The text of `results` with personal details replaced: the version that may leave the device */
+  function shareable(results) {
+    return results.redaction?.text ?? redacted(results.text).text;
+  }
+
+  /**
+   * `results` as reports and exports should show it: unchanged, or with `text`
+   * swapped for the redacted version (`textRedacted: true`) when the user chose that.
+   */
+  function forReport(results) {
+    if (settings.reportText !== 'redacted') return results;
+    return { ...results, text: shareable(results), textRedacted: true };
+  }
+
+  /* ── Preview under the textarea ── */
+
+  function renderPreview() {
+    const text = DOM.textInput.value.trim();
+    const { text: sent, found } = text ? asSent(text) : { found: [] };
+    DOM.redactPreview.hidden = !found.length;
+    if (!found.length) return;
+
+    DOM.redactSummary.textContent = I18n.t('redact.preview', { list: describe(found) });
+    const placeholders = new RegExp(Object.values(TYPES).map(escapeRegex).join('|'), 'g');
+    DOM.redactSent.innerHTML = Render.escapeHtml(Render.truncate(sent, 2000))
+      .replace(placeholders, (placeholder) => `<mark class="redact-mark">${placeholder}</mark>`);
+  }
+
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, PREVIEW_MS);
+  }
+
+  /* ── Settings ── */
+
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved && typeof saved === 'object') {
+        settings = {
+          ...settings,
+          ...saved,
+          types: { ...settings.types, ...saved.types },
+          terms: Array.isArray(saved.terms) ? saved.terms.map(String).filter(Boolean) : [],
+        };
+      }
+    } catch (_) { /* Corrupt or blocked storage: defaults apply */ }
+    compileTerms();
+  }
+
+  function handleChange() {
+    settings = {
+      enabled:    DOM.redactEnabled.checked,
+      types:      Object.fromEntries(Object.keys(TYPES).map((id) => [id, DOM.redactTypes.querySelector(`[data-redact="${id}"]`).checked])),
+      terms:      [...new Set(DOM.redactTerms.value.split(',').map((t) => t.trim()).filter(Boolean))],
+      reportText: DOM.redactReport.value === 'redacted' ? 'redacted' : 'original',
+    };
+    DOM.redactTypes.disabled = !settings.enabled;
+    compileTerms();
+    renderPreview();
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (_) {
+      Toast.show(I18n.t('settings.saveFailed'), 'warning');
+    }
+  }
+
+  function init() {
+    if (!DOM.redactEnabled) return;
+    DOM.redactEnabled.checked = settings.enabled;
+    DOM.redactTypes.querySelectorAll('[data-redact]').forEach((input) => {
+      input.checked = settings.types[input.dataset.redact] !== false;
+    });
+    DOM.redactTypes.disabled = !settings.enabled;
+    DOM.redactTerms.value    = settings.terms.join(', ');
+    DOM.redactReport.value   = settings.reportText;
+
+    DOM.redactEnabled.addEventListener('change', handleChange);
+    DOM.redactTypes.addEventListener('change', handleChange);
+    DOM.redactTerms.addEventListener('change', handleChange);
+    DOM.redactReport.addEventListener('change', handleChange);
+    DOM.textInput.addEventListener('input', schedulePreview);
+    I18n.onChange(renderPreview);
+    renderPreview();
+  }
+
+  load();
+
+  return { init, run, apply, asSent, describe, merge, shareable, forReport, settings: () => settings };
 })();
 
 /* ──────────────────────────────────────────────────────────────
-   11. INIT — Bootstrap the application
+   37. INIT — Bootstrap the application
    ────────────────────────────────────────────────────────────── */
 (function init() {
   if (document.readyState === 'loading') {
@@ -733,18 +5645,36 @@ const Actions = (() => {
   }
 
   function bootstrap() {
+    I18n.init();
     Offline.init();
     Nav.init();
     Reveal.init();
     CharCount.init();
+    Render.init();
     Actions.init();
+    Batch.init();
+    Thread.init();
+    History.init();
+    Insights.init();
+    Policy.init();
+    Explain.init();
+    Review.init();
+    Live.init();
+    Outbox.init();
+    Backends.init();
+    Compare.init();
+    Rephrase.init();
+    Normalize.init();
+    Redact.init();
+    Rules.init();
     ServerStatus.init();
+    PWA.init();
 
     console.log(
       '%cClearText %cv1.0.1',
       'color: #5b8ef0; font-weight: bold; font-size: 14px;',
       'color: #9494b8; font-size: 12px;'
     );
-    console.log('%cPowered by HuggingFace Inference API — Falconsai/offensive_speech_detection', 'color: #5a5a7a; font-size: 11px;');
+    console.log(`%cBackend: ${Backends.active().name} — ${Providers.get(Backends.active().provider).label}`, 'color: #5a5a7a; font-size: 11px;');
   }
 })();
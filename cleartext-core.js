@@ -0,0 +1,222 @@
+/**
+ * cleartext-core.js — Categories, provider adapters & policy profiles
+ * ───────────────────────────────────────────────────────────────────
+ * What turns a backend response into ClearText scores and a verdict, shared
+ * by the app (app.js) and the SDK (cleartext-sdk.js) so the two cannot drift.
+ * No DOM, storage or dependencies; load it before either of them:
+ *
+ *   <script src="cleartext-core.js"></script>
+ *
+ *   ClearTextCore.CATEGORIES                 // [{ key, label, icon }], "other" last
+ *   ClearTextCore.adapter('huggingface')     // provider adapter; unknown ids get openai
+ *   ClearTextCore.toScores(adapter, data)    // → { scores, subScores, overallScore, flagged, flaggedLabels }
+ *   ClearTextCore.PROFILES                   // built-in policy profiles
+ *   ClearTextCore.evaluate(profile, scores)  // → { level: 'safe' | 'warn' | 'hate', triggers }
+ */
+(function (global) {
+  'use strict';
+
+  /* ──────────────────────────────────────────────────────────────
+     Categories
+     ────────────────────────────────────────────────────────────── */
+
+  /** Display categories; provider labels are grouped under these. English labels, for callers without I18n */
+  const CATEGORIES = Object.freeze([
+    { key: 'hate',       label: 'Hate Speech',      icon: '🚫' },
+    { key: 'harassment', label: 'Harassment',       icon: '⚠️' },
+    { key: 'violence',   label: 'Violence',         icon: '🚨' },
+    { key: 'sexual',     label: 'Sexual Content',   icon: '🔞' },
+    { key: 'selfHarm',   label: 'Self-Harm',        icon: '🛑' },
+    { key: 'illicit',    label: 'Illicit Activity', icon: '⛔' },
+    { key: 'other',      label: 'Other',            icon: '❔' },
+  ].map(Object.freeze));
+
+  /* ──────────────────────────────────────────────────────────────
+     Provider adapters — from each model's labels to CATEGORIES
+     ────────────────────────────────────────────────────────────── */
+
+  const FLAG_THRESHOLD = 0.5;
+
+  const isScoreMap = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every((v) => v == null || typeof v === 'number');
+
+  const unexpected = (provider) => new Error(`Unexpected response from moderation server (expected ${provider} labels).`);
+
+  /**
+   * An adapter declares:
+   *   id, label
+   *   labels     — raw label → category key (null = a known benign label, ignored)
+   *   languages  — codes the model handles well (see Language.detect); omit if it takes any
+   *   read(data) → { scores: { rawLabel: 0–1 }, flagged, flaggedLabels }; throws if `data` is not its shape
+   * Raw labels missing from `labels` are scored under "other".
+   */
+  const adapters = {
+    openai: {
+      id:    'openai',
+      label: 'OpenAI Moderation',
+      labels: {
+        'hate':                   'hate',
+        'hate/threatening':       'hate',
+        'harassment':             'harassment',
+        'harassment/threatening': 'harassment',
+        'self-harm':              'selfHarm',
+        'self-harm/intent':       'selfHarm',
+        'self-harm/instructions': 'selfHarm',
+        'sexual':                 'sexual',
+        'sexual/minors':          'sexual',
+        'violence':               'violence',
+        'violence/graphic':       'violence',
+        'illicit':                'illicit',
+        'illicit/violent':        'illicit',
+      },
+      // Languages with dependable scores; romanized Hindi (hi-Latn) is not one of them
+      languages: [
+        'en', 'es', 'fr', 'de', 'pt', 'it', 'id', 'tr', 'ru', 'uk', 'el', 'ar', 'fa', 'ur', 'he',
+        'hi', 'bn', 'pa', 'gu', 'ta', 'te', 'kn', 'ml', 'th', 'ja', 'zh', 'ko',
+      ],
+      read(data) {
+        if (typeof data?.flagged === 'undefined' || !isScoreMap(data.scores)) throw unexpected(this.label);
+        // `categories: { "hate/threatening": true, ... }` lists what the model itself flagged
+        const flaggedLabels = data.categories && typeof data.categories === 'object'
+          ? Object.keys(data.categories).filter((k) => data.categories[k] === true)
+          : [];
+        return { scores: data.scores, flagged: data.flagged, flaggedLabels };
+      },
+    },
+
+    huggingface: {
+      id:    'huggingface',
+      label: 'HuggingFace (Falconsai/offensive_speech_detection)',
+      labels: {
+        'offensive':     'hate',
+        'non-offensive': null,
+      },
+      languages: ['en'],
+      /** Accepts a proxied { flagged, scores } map or the Inference API's [[{ label, score }]] */
+      read(data) {
+        let scores;
+        if (isScoreMap(data?.scores)) {
+          scores = data.scores;
+        } else {
+          const list = Array.isArray(data?.[0]) ? data[0] : data;
+          if (!Array.isArray(list) || !list.every((item) => typeof item?.label === 'string' && typeof item.score === 'number')) {
+            throw unexpected(this.label);
+          }
+          scores = Object.fromEntries(list.map(({ label, score }) => [label.toLowerCase(), score]));
+        }
+        const flaggedLabels = Object.keys(scores)
+          .filter((label) => this.labels[label] !== null && scores[label] >= FLAG_THRESHOLD);
+        return { scores, flagged: data?.flagged ?? flaggedLabels.length > 0, flaggedLabels };
+      },
+    },
+  };
+
+  function adapter(id) {
+    return adapters[id] || adapters.openai;
+  }
+
+  function listAdapters() {
+    return Object.values(adapters);
+  }
+
+  /** Adds or replaces an adapter, e.g. for a self-hosted model */
+  function register(definition) {
+    adapters[definition.id] = definition;
+  }
+
+  /**
+   * Percent scores per display category from one provider response. Each mapped
+   * label is a sub-category of one category (score = max of its sub-categories);
+   * labels the adapter does not know are kept under `other`.
+   */
+  function toScores(provider, data) {
+    const { scores: raw, flagged, flaggedLabels } = provider.read(data);
+
+    const pct = (val) => (val != null ? Math.round(val * 100) : 0);
+
+    // Every category the provider measures gets a score, even if this response omitted it
+    const scores    = {};
+    const subScores = {};
+    Object.values(provider.labels).forEach((group) => {
+      if (group == null) return;
+      scores[group]    = 0;
+      subScores[group] = {};
+    });
+
+    Object.entries(raw).forEach(([label, value]) => {
+      if (value == null) return;
+      const group = label in provider.labels ? provider.labels[label] : 'other';
+      if (group == null) return;  // Declared benign label, e.g. "non-offensive"
+      subScores[group]        = subScores[group] || {};
+      subScores[group][label] = pct(value);
+      scores[group]           = Math.max(scores[group] ?? 0, pct(value));
+    });
+
+    const overallScore = Math.max(0, ...Object.values(scores));
+    return { scores, subScores, overallScore, flagged, flaggedLabels };
+  }
+
+  /* ──────────────────────────────────────────────────────────────
+     Policy profiles — named thresholds per category
+     ────────────────────────────────────────────────────────────── */
+
+  /**
+   * Each category has a `warn` threshold (score >= warn) and a `danger`
+   * threshold (score > danger). Informational categories are shown but
+   * never affect the verdict.
+   */
+  const rule = (warn, danger, informational = false) => ({ warn, danger, informational });
+  // Unmapped provider labels land in "other"; shown, but informational until a profile opts in
+  const uniform = (warn, danger) => ({
+    ...Object.fromEntries(CATEGORIES.map(({ key }) => [key, rule(warn, danger)])),
+    other: rule(warn, danger, true),
+  });
+
+  const PROFILES = [
+    {
+      id: 'default', name: 'Default',
+      categories: uniform(30, 70),
+    },
+    {
+      id: 'kids', name: 'Kids platform',
+      categories: { ...uniform(15, 40), sexual: rule(5, 20), selfHarm: rule(10, 30) },
+    },
+    {
+      id: 'adult', name: 'Adult forum',
+      categories: { ...uniform(40, 80), sexual: rule(80, 95, true), violence: rule(50, 85) },
+    },
+  ];
+
+  /** 'info' | 'safe' | 'warn' | 'danger' for one category score under `profile` */
+  function levelFor(profile, key, score) {
+    const r = profile.categories[key] || PROFILES[0].categories[key] || rule(30, 70);
+    if (r.informational) return 'info';
+    if (score < r.warn)    return 'safe';
+    if (score <= r.danger) return 'warn';
+    return 'danger';
+  }
+
+  /** Worst level across non-informational categories, plus the categories at that level */
+  function evaluate(profile, scores) {
+    const byLevel = { warn: [], danger: [] };
+    Object.entries(scores).forEach(([key, score]) => {
+      if (score == null) return;
+      const level = levelFor(profile, key, score);
+      if (byLevel[level]) byLevel[level].push(key);
+    });
+    if (byLevel.danger.length) return { level: 'hate', triggers: byLevel.danger };
+    if (byLevel.warn.length)   return { level: 'warn', triggers: byLevel.warn };
+    return { level: 'safe', triggers: [] };
+  }
+
+  /** Built-in profiles are shared data; callers that edit one work on a copy */
+  function deepFreeze(value) {
+    Object.values(value).forEach((v) => { if (v && typeof v === 'object') deepFreeze(v); });
+    return Object.freeze(value);
+  }
+
+  global.ClearTextCore = Object.freeze({
+    CATEGORIES, adapter, listAdapters, register, toScores,
+    PROFILES: deepFreeze(PROFILES), rule, uniform, levelFor, evaluate,
+  });
+})(typeof window !== 'undefined' ? window : globalThis);
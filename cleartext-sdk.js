@@ -0,0 +1,321 @@
+/**
+ * cleartext-sdk.js — ClearText JavaScript SDK & <cleartext-check> widget
+ * ──────────────────────────────────────────────────────────────────────
+ * No dependency on app.js, config.js or the ClearText page. Categories, provider
+ * adapters and policy profiles come from cleartext-core.js, the same file the app
+ * uses, so load that first:
+ *
+ *   <script src="https://cleartext.app/cleartext-core.js"></script>
+ *   <script src="https://cleartext.app/cleartext-sdk.js"></script>
+ *
+ * SDK:
+ *   const results = await ClearText.moderate('some text', { endpoint, provider, timeoutMs, signal });
+ *   // → { text, scores, subScores, overallScore, flaggedByApi, flaggedCategories, timestamp }
+ *   ClearText.verdict(results, { policy: 'kids' });          // → 'safe' | 'warn' | 'hate'
+ *   ClearText.verdict(results, { warn: 30, danger: 70 });    // flat thresholds instead of a profile
+ *   ClearText.configure({ endpoint: 'https://my-proxy.example/moderate', provider: 'huggingface' });
+ *
+ *   `provider` picks the adapter that reads the backend's labels ('openai' or
+ *   'huggingface'); labels it does not know are scored under "other", as in the app.
+ *   `policy` is a built-in profile id (ClearText.PROFILES) or a profile object
+ *   exported from the app's policy editor.
+ *
+ * Widget — wraps any textarea, shows the verdict badge & score bars in its own shadow DOM:
+ *   <cleartext-check debounce="800" policy="kids">
+ *     <textarea name="comment"></textarea>
+ *   </cleartext-check>
+ *
+ *   Attributes: endpoint, provider, policy, warn & danger (flat thresholds, override policy),
+ *               debounce (ms, default 800), manual (no as-you-type checks)
+ *   Methods:    check()  — run a check now, resolves with the results
+ *   Events:     cleartext-result (detail: { results, verdict }), cleartext-error (detail: { error })
+ */
+(function (global) {
+  'use strict';
+
+  const VERSION = '2.0.0';
+
+  const Core = global.ClearTextCore;
+  if (!Core) {
+    throw new Error('cleartext-sdk.js needs cleartext-core.js: add its script tag before this one.');
+  }
+
+  const defaults = {
+    endpoint:      'https://hate-speach-backend.onrender.com/moderate',
+    provider:      'openai',
+    policy:        'default',
+    timeoutMs:     40000,
+    maxCharacters: 5000,
+  };
+
+  const VERDICT_LABELS = { safe: 'LOW RISK', warn: 'MODERATE RISK', hate: 'HIGH RISK' };
+
+  /* ──────────────────────────────────────────────────────────────
+     SDK
+     ────────────────────────────────────────────────────────────── */
+
+  function configure(options = {}) {
+    Object.assign(defaults, options);
+    return { ...defaults };
+  }
+
+  /**
+   * Normalizes a raw /moderate response with the `provider` adapter. Same shape
+   * as the ClearText app's API.parseResponse: grouped scores (max of
+   * sub-categories, 0–100), raw label scores and the model's own flagged labels.
+   * Throws if `data` is not the provider's shape.
+   */
+  function parse(data, inputText, { provider = defaults.provider } = {}) {
+    const { scores, subScores, overallScore, flagged, flaggedLabels } = Core.toScores(Core.adapter(provider), data);
+    return {
+      text: inputText,
+      scores,
+      subScores,
+      overallScore,
+      flaggedByApi: flagged,
+      flaggedCategories: flaggedLabels,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /** A profile from flat warn/danger thresholds, a profile object, or a built-in profile id */
+  function profileFor({ policy = defaults.policy, warn, danger } = {}) {
+    if (warn != null || danger != null) return { categories: Core.uniform(warn ?? 30, danger ?? 70) };
+    if (policy && typeof policy === 'object') return policy;
+    return Core.PROFILES.find((p) => p.id === policy) || Core.PROFILES[0];
+  }
+
+  /**
+   * Moderates `text` against a ClearText backend proxy.
+   * Options: endpoint, provider, timeoutMs, maxCharacters, signal (AbortSignal), fetch (custom fetch).
+   * Rejects with an Error carrying a user-readable message; a caller abort rejects with the AbortError.
+   */
+  async function moderate(text, options = {}) {
+    const opts    = { ...defaults, ...options };
+    const doFetch = opts.fetch || global.fetch.bind(global);
+    const trimmed = String(text ?? '').trim();
+
+    if (!trimmed) {
+      throw new Error('Please enter some text to analyze.');
+    }
+    if (trimmed.length > opts.maxCharacters) {
+      throw new Error(`Text too long. Maximum ${opts.maxCharacters.toLocaleString()} characters.`);
+    }
+
+    const controller = new AbortController();
+    const timeoutId  = setTimeout(() => controller.abort(), opts.timeoutMs);
+    const onAbort    = () => controller.abort();
+    opts.signal?.addEventListener('abort', onAbort, { once: true });
+
+    let response;
+    try {
+      if (opts.signal?.aborted) controller.abort();
+      response = await doFetch(opts.endpoint.trim().replace(/\/$/, ''), {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ text: trimmed }),
+        signal:  controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        if (opts.signal?.aborted) throw err;
+        throw new Error('Request timed out. The server may be waking up — please try again in a moment.');
+      }
+      throw new Error('Network error. Could not reach the analysis server.');
+    } finally {
+      clearTimeout(timeoutId);
+      opts.signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (!response.ok) {
+      let message = `Server error (${response.status})`;
+      try {
+        const body = await response.json();
+        if (response.status === 503)      message = `The AI model is warming up. Please wait ${Math.ceil(body?.estimated_time ?? 20)} seconds then try again.`;
+        else if (response.status === 429) message = 'Too many requests. Please wait a moment and try again.';
+        else if (body?.message)           message = body.message;
+      } catch (_) { /* Ignore JSON parse error on error body */ }
+      const error  = new Error(message);
+      error.status = response.status;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (_) {
+      throw new Error('Unexpected response from moderation server.');
+    }
+    return parse(data, trimmed, opts);
+  }
+
+  /**
+   * Verdict level for parsed results under a policy profile, as the app decides
+   * it: informational categories (e.g. "other" by default) never count.
+   * Options: policy (id or profile object), or flat warn/danger thresholds (0–100).
+   */
+  function verdict(results, options) {
+    return Core.evaluate(profileFor(options), results.scores).level;
+  }
+
+  /* ──────────────────────────────────────────────────────────────
+     <cleartext-check> web component
+     ────────────────────────────────────────────────────────────── */
+
+  const STYLES = `
+    :host {
+      --ct-safe: #16a34a; --ct-warn: #d97706; --ct-danger: #dc2626;
+      --ct-muted: #6b7280; --ct-track: rgba(127, 127, 127, 0.18);
+      display: block;
+      font: 13px/1.4 system-ui, -apple-system, sans-serif;
+    }
+    .panel { display: grid; gap: 6px; margin-top: 8px; }
+    .panel[hidden] { display: none; }
+    .head { display: flex; align-items: center; gap: 8px; }
+    .badge {
+      font-size: 11px; font-weight: 700; letter-spacing: 0.06em;
+      padding: 2px 8px; border-radius: 999px; border: 1px solid currentColor;
+    }
+    .badge--safe { color: var(--ct-safe); } .badge--warn { color: var(--ct-warn); } .badge--hate { color: var(--ct-danger); }
+    .status { color: var(--ct-muted); font-size: 12px; }
+    .bar { display: grid; grid-template-columns: 110px 1fr 36px; align-items: center; gap: 8px; }
+    .bar__label { color: var(--ct-muted); }
+    .bar__track { height: 6px; border-radius: 999px; background: var(--ct-track); overflow: hidden; }
+    .bar__fill { display: block; height: 100%; border-radius: 999px; transition: width 0.3s ease; }
+    .bar[hidden] { display: none; }
+    .bar__fill--safe { background: var(--ct-safe); } .bar__fill--warn { background: var(--ct-warn); } .bar__fill--danger { background: var(--ct-danger); }
+    .bar__fill--info { background: var(--ct-muted); }
+    .bar__value { font-family: ui-monospace, monospace; text-align: right; }
+  `;
+
+  const HTMLElementBase = global.HTMLElement || class {};
+
+  class ClearTextCheck extends HTMLElementBase {
+    constructor() {
+      super();
+      this._debounceId  = null;
+      this._controller  = null;
+      this._lastText    = null;
+      this._lastResults = null;
+      this._onInput     = this._onInput.bind(this);
+
+      const root = this.attachShadow({ mode: 'open' });
+      root.innerHTML = `
+        <style>${STYLES}</style>
+        <slot></slot>
+        <div class="panel" part="panel" hidden>
+          <div class="head">
+            <span class="badge" part="badge"></span>
+            <span class="status" part="status" aria-live="polite"></span>
+          </div>
+          <div class="bars" part="bars">
+            ${Core.CATEGORIES.map(({ key, label }) => `
+              <div class="bar" data-key="${key}" hidden>
+                <span class="bar__label">${label}</span>
+                <span class="bar__track"><span class="bar__fill"></span></span>
+                <span class="bar__value">0%</span>
+              </div>`).join('')}
+          </div>
+        </div>`;
+      this._panel  = root.querySelector('.panel');
+      this._badge  = root.querySelector('.badge');
+      this._status = root.querySelector('.status');
+    }
+
+    connectedCallback()    { this.addEventListener('input', this._onInput); }
+    disconnectedCallback() {
+      this.removeEventListener('input', this._onInput);
+      clearTimeout(this._debounceId);
+      this._controller?.abort();
+    }
+
+    /** The wrapped textarea (or any element with a `value`) */
+    get field() {
+      return this.querySelector('textarea, input, [contenteditable]');
+    }
+
+    /** verdict() options from the policy, warn and danger attributes */
+    get thresholds() {
+      const num = (name) => (this.hasAttribute(name) ? Number(this.getAttribute(name)) : undefined);
+      return { policy: this.getAttribute('policy') || undefined, warn: num('warn'), danger: num('danger') };
+    }
+
+    _onInput() {
+      if (this.hasAttribute('manual')) return;
+      clearTimeout(this._debounceId);
+      this._debounceId = setTimeout(() => this.check().catch(() => {}), Number(this.getAttribute('debounce')) || 800);
+    }
+
+    /** Checks the wrapped field now. Unchanged text resolves with the previous results. */
+    async check() {
+      const field = this.field;
+      const text  = (field ? (field.value ?? field.textContent) : '').trim();
+      if (text === this._lastText && this._lastResults) return this._lastResults;
+
+      this._controller?.abort();
+      this._lastText    = text;
+      this._lastResults = null;
+
+      if (!text) {
+        this._panel.hidden = true;
+        return null;
+      }
+
+      const controller = new AbortController();
+      this._controller = controller;
+      this._panel.hidden       = false;
+      this._status.textContent = 'Checking…';
+
+      try {
+        const endpoint = this.getAttribute('endpoint');
+        const provider = this.getAttribute('provider');
+        const results  = await moderate(text, {
+          signal: controller.signal,
+          ...(endpoint ? { endpoint } : {}),
+          ...(provider ? { provider } : {}),
+        });
+        this._lastResults = results;
+        this._render(results);
+        return results;
+      } catch (error) {
+        if (controller.signal.aborted) throw error;
+        this._lastText           = null;
+        this._status.textContent = error.message;
+        this.dispatchEvent(new CustomEvent('cleartext-error', { detail: { error }, bubbles: true, composed: true }));
+        throw error;
+      } finally {
+        if (this._controller === controller) this._controller = null;
+      }
+    }
+
+    _render(results) {
+      const profile = profileFor(this.thresholds);
+      const level   = Core.evaluate(profile, results.scores).level;
+
+      this._badge.className    = `badge badge--${level}`;
+      this._badge.textContent  = VERDICT_LABELS[level];
+      this._status.textContent = `Overall ${results.overallScore}%`;
+
+      // Only the categories this provider scores; "other" only when it sent unmapped labels
+      this.shadowRoot.querySelectorAll('.bar').forEach((bar) => {
+        const score = results.scores[bar.dataset.key];
+        bar.hidden  = score == null;
+        if (score == null) return;
+        const fill  = bar.querySelector('.bar__fill');
+        fill.className   = `bar__fill bar__fill--${Core.levelFor(profile, bar.dataset.key, score)}`;
+        fill.style.width = `${score}%`;
+        bar.querySelector('.bar__value').textContent = `${score}%`;
+      });
+
+      this.dispatchEvent(new CustomEvent('cleartext-result', { detail: { results, verdict: level }, bubbles: true, composed: true }));
+    }
+  }
+
+  if (global.customElements && !global.customElements.get('cleartext-check')) {
+    global.customElements.define('cleartext-check', ClearTextCheck);
+  }
+
+  global.ClearText = Object.freeze({
+    VERSION, CATEGORIES: Core.CATEGORIES, PROFILES: Core.PROFILES, configure, moderate, parse, verdict,
+  });
+})(typeof window !== 'undefined' ? window : globalThis);
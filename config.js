@@ -2,10 +2,45 @@ const CONFIG = Object.freeze({
   // ── Backend Proxy ─────────────────────────────────────────────────────────
   BACKEND_URL:        "https://hate-speach-backend.onrender.com",
   MODERATE_ENDPOINT:  "https://hate-speach-backend.onrender.com/moderate",
+  PROVIDER:           "openai",   // label scheme the backend returns: "openai" | "huggingface"
 
   // ── Input Limits ──────────────────────────────────────────────────────────
-  MAX_CHARACTERS:     5000,
+  MAX_CHARACTERS:     5000,     // per /moderate request; longer input is chunked
+  MAX_INPUT_CHARACTERS: 100000,
 
   // ── Request Settings ──────────────────────────────────────────────────────
   REQUEST_TIMEOUT_MS: 40000,
+  RETRY_MAX_ATTEMPTS: 4,        // 503 warm-up, 429, timeouts & network errors are retried
+
+  // ── Batch Mode ────────────────────────────────────────────────────────────
+  BATCH_CONCURRENCY:  3,
+  BATCH_MAX_ROWS:     500,
+
+  // ── Thread Mode ───────────────────────────────────────────────────────────
+  THREAD_MAX_MESSAGES: 300,
+  THREAD_ESCALATION_SLOPE: 8,   // score points per message a speaker must rise by on average
+
+  // ── History ───────────────────────────────────────────────────────────────
+  HISTORY_MAX_ENTRIES: 500,
+
+  // ── Explain Mode ──────────────────────────────────────────────────────────
+  EXPLAIN_MAX_CHUNKS: 40,
+
+  // ── Review Queue ──────────────────────────────────────────────────────────
+  // 'local' keeps flagged items in this browser; 'http' sends them to REVIEW_ENDPOINT with personal details redacted
+  REVIEW_SINK:        "local",
+  REVIEW_ENDPOINT:    "",
+
+  // ── Normalization ─────────────────────────────────────────────────────────
+  EVASION_MIN_DELTA:  30,       // points the normalized text must out-score the raw text by
+
+  // ── Rephrase ──────────────────────────────────────────────────────────────
+  REPHRASE_MAX_ROUNDS: 5,       // rewrite & re-score passes before giving up
+
+  // ── Live Mode ─────────────────────────────────────────────────────────────
+  LIVE_DEBOUNCE_MS:   700,      // pause in typing before a live check is sent
+
+  // ── Response Cache ────────────────────────────────────────────────────────
+  CACHE_TTL_MS:       86400000, // 24h; identical text is answered from cache
+  CACHE_MEMORY_ENTRIES: 200,
 });
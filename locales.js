@@ -0,0 +1,1767 @@
+// UI message catalog, one table per locale. Keys missing from a locale fall back to English.
+// Placeholders in {braces} are filled in by I18n.t().
+const I18N_MESSAGES = Object.freeze({
+  en: {
+    // ── Chrome ──────────────────────────────────────────────────────────────
+    'offline.banner':        'No internet connection — Results may be unavailable',
+    'nav.home':              'Home',
+    'nav.analyze':           'Analyze',
+    'nav.batch':             'Batch',
+    'nav.thread':            'Thread',
+    'nav.history':           'History',
+    'nav.insights':          'Insights',
+    'nav.policy':            'Policy',
+    'nav.review':            'Review',
+    'nav.compare':           'Compare',
+    'nav.settings':          'Settings',
+    'nav.apiDocs':           'API Docs',
+    'hero.badge':            'Powered by OpenAI Moderation API',
+    'hero.line1':            'Detect Harmful',
+    'hero.line2':            'Content Instantly',
+    'hero.subtext':          'Analyze any text for hate speech, harassment, violence, sexual content, self-harm signals, and illicit activity — with real-time confidence scores and detailed breakdowns.',
+    'hero.start':            'Start Analyzing',
+    'hero.learnMore':        'Learn More',
+    'hero.statCategories':   'Toxicity Categories',
+    'hero.statUptime':       'Uptime',
+    'hero.statResponse':     'Avg Response',
+    'hero.scroll':           'Scroll to analyze',
+    'batch.title':           'Batch Analysis',
+    'batch.desc':            'Drop a comment export and every row is moderated, ready to sort by risk.',
+    'thread.title':          'Thread Moderation',
+    'thread.desc':           'Paste or import a chat transcript. Every message is scored, each speaker gets an overall risk, and rising hostility is called out.',
+    'history.title':         'History',
+    'history.desc':          'Every analysis is kept on this device. Search, re-open or delete past results.',
+    'insights.title':        'Moderation Insights',
+    'insights.desc':         'Trends across the analyses saved on this device: verdict mix, category scores, flagged rate over time and what drives high-risk verdicts.',
+    'policy.title':          'Moderation Policy',
+    'policy.desc':           'Pick a profile or tune warn and danger thresholds per category. Saved on this device.',
+    'review.title':          'Review Queue',
+    'review.desc':           'Content flagged for human review. Triage, comment and resolve each item.',
+    'compare.title':         'Compare',
+    'compare.desc':          'Score two versions of a text, or one text on two backends, side by side.',
+    'settings.title':        'Settings',
+    'settings.desc':         'Preferences for this device. Nothing here leaves your browser.',
+    'settings.language':     'Language',
+    'settings.languageHint': 'The interface language. Text in any language can be analyzed; results show which language was detected.',
+
+    // ── Analyze ─────────────────────────────────────────────────────────────
+    'analyze.title':         'Analyze Text',
+    'analyze.desc':          'Paste or type any content below. Results appear in seconds.',
+    'analyze.placeholder':   'Paste or type text here to analyze for toxicity, hate speech, and more...',
+    'analyze.hint':          'Up to 100,000 characters — long texts are split automatically',
+    'analyze.live':          'Live check',
+    'analyze.clear':         'Clear',
+    'analyze.button':        'Analyze Text',
+    'analyze.busy':          'Analyzing…',
+    'analyze.part':          'Analyzing part {done}/{total}…',
+    'analyze.empty':         'Please enter some text before analyzing.',
+    'analyze.waking':        'Please wait — the server is starting up. This can take up to 30 seconds.',
+    'analyze.slow':          'Taking longer than usual — please wait…',
+    'analyze.cancelled':     'Analysis cancelled.',
+    'analyze.failed':        'An unexpected error occurred.',
+    'retry.timeout':         'The server is taking a while to wake up',
+    'retry.network':         'Could not reach the server',
+    'retry.warming':         'The AI model is warming up',
+    'retry.rateLimit':       'Too many requests right now',
+    'retry.gateway':         'The AI model could not be reached',
+    'retry.failed':          'The request failed',
+    'retry.countdown':       '{reason} — retrying in {secs}s (attempt {attempt} of {max})',
+
+    // ── Server & API ────────────────────────────────────────────────────────
+    'server.checking':       'Checking server…',
+    'server.online':         'Server online',
+    'server.waking':         'Server is starting up…',
+    'server.offline':        'Server offline',
+    'server.ready':          'Server is online and ready.',
+    'server.down':           'Server appears to be offline. Retrying…',
+    'api.empty':             'Please enter some text to analyze.',
+    'api.tooLong':           'Text too long. Maximum {max} characters.',
+    'api.offline':           'No internet connection. Please check your network and try again.',
+    'api.timeout':           'Request timed out. The server may be waking up — please try again in a moment.',
+    'api.network':           'Network error. Could not reach the analysis server. Check your connection.',
+    'api.warming':           'The AI model is warming up. Please wait {secs} seconds then try again.',
+    'api.rateLimit':         'Too many requests. Please wait a moment and try again.',
+    'api.serverError':       'Server error ({status})',
+    'api.badRequest':        'Invalid request. Try analyzing different text.',
+    'api.forbidden':         'Access denied by server (CORS). Contact support.',
+    'api.badGateway':        'Could not reach the AI model. Please try again shortly.',
+    'api.gatewayTimeout':    'Request timed out. Please try again.',
+    'api.internal':          'Internal server error. Please try again shortly.',
+    'api.partFailed':        'Part {part} of {total}: {message}',
+
+    // ── Results ─────────────────────────────────────────────────────────────
+    'verdict.safe.title':    'Content Appears Safe',
+    'verdict.safe.subtitle': 'No significant harmful content was detected in this text.',
+    'verdict.safe.badge':    'LOW RISK',
+    'verdict.warn.title':    'Potentially Concerning',
+    'verdict.warn.subtitle': 'Some content may be considered harmful or offensive by certain audiences.',
+    'verdict.warn.badge':    'MODERATE RISK',
+    'verdict.hate.title':    'Harmful Content Detected',
+    'verdict.hate.subtitle': 'This text contains content flagged as harmful, toxic, or hateful.',
+    'verdict.hate.badge':    'HIGH RISK',
+    'category.hate':         'Hate Speech',
+    'category.harassment':   'Harassment',
+    'category.violence':     'Violence',
+    'category.sexual':       'Sexual Content',
+    'category.selfHarm':     'Self-Harm',
+    'category.illicit':      'Illicit Activity',
+    'category.other':        'Other',
+    'results.analyzedText':  'Analyzed Text',
+    'results.breakdown':     'Category Breakdown',
+    'results.parts':         'Part Breakdown',
+    'results.actions':       'Actions',
+    'results.copy':          'Copy Report',
+    'results.export':        'Export',
+    'results.flag':          'Flag for Review',
+    'results.new':           'New Analysis',
+    'results.policy':        'Policy: {name}',
+    'results.triggeredBy':   'triggered by {categories}',
+    'results.rulesOne':      '1 local rule',
+    'results.rulesMany':     '{count} local rules',
+    'results.cached':        'cached result',
+    'results.flaggedTag':    'Flagged',
+    'results.infoOnly':      'Info only',
+    'results.worstPart':     'Worst part',
+    'results.language':      'Language: {language}',
+    'results.languageWarning': '{provider} does not support {language} well. Treat these scores with caution and have a fluent reviewer check the text.',
+    'language.hi-Latn':      'Hindi (romanized)',
+
+    // ── Redaction ───────────────────────────────────────────────────────────
+    'redact.preview':        'Hidden before sending: {list}',
+    'redact.show':           'Show what will be sent',
+    'redact.note':           'Personal details were replaced before sending: {list}.',
+    'redact.sentAs':         'Sent as:',
+    'redact.custom':         'your listed words',
+    'redact.email':          'email addresses',
+    'redact.card':           'card numbers',
+    'redact.ip':             'IP addresses',
+    'redact.phone':          'phone numbers',
+    'redact.address':        'street addresses',
+    'redact.username':       'usernames',
+
+    // ── Text report ─────────────────────────────────────────────────────────
+    'report.title':          'CLEARTEXT ANALYSIS REPORT',
+    'report.date':           'Date',
+    'report.text':           'ANALYZED TEXT',
+    'report.verdict':        'VERDICT',
+    'report.policy':         'POLICY PROFILE',
+    'report.backend':        'BACKEND',
+    'report.language':       'LANGUAGE',
+    'report.overall':        'OVERALL RISK SCORE',
+    'report.flagged':        'FLAGGED BY AI',
+    'report.flaggedCategories': 'FLAGGED CATEGORIES',
+    'report.breakdown':      'CATEGORY BREAKDOWN',
+    'report.parts':          'PART BREAKDOWN ({count} parts)',
+    'report.rules':          'LOCAL RULES',
+    'report.normalization':  'NORMALIZATION',
+    'report.redaction':      'REDACTED',
+    'report.textRedacted':   'ANALYZED TEXT (REDACTED, AS SENT)',
+    'report.yes':            'YES',
+    'report.no':             'NO',
+    'report.infoOnly':       'info only',
+    'report.na':             'N/A',
+    'report.flaggedTag':     'flagged',
+    'report.worst':          'worst',
+    'report.part':           'Part',
+    'report.chars':          'chars {start}–{end}',
+    'report.footer':         'Powered by ClearText + OpenAI Moderation API',
+
+    // ── Notices ───────────────────────────────────────────────────────────────
+    'offline.restored':      'Connection restored',
+    'settings.saveFailed':   'Could not save this setting in this browser.',
+    'toast.noCopy':          'No results to copy yet.',
+    'toast.copied':          'Report copied to clipboard!',
+    'toast.copyFailed':      'Could not copy to clipboard. Try manually.',
+    'toast.noFlag':          'No content to flag yet.',
+    'toast.alreadyFlagged':  'This content is already in the review queue.',
+    'toast.flagFailed':      'Could not flag this content. Please try again.',
+    'toast.flagged':         'Content flagged for human review.',
+    'toast.noExport':        'No results to export yet.',
+    'outbox.queuedDown':     'The server is unreachable — saved to the queue. It will be sent once the server is back.',
+    'outbox.queuedOffline':  'You are offline — saved to the queue. It will be sent when the connection returns.',
+    'outbox.sentOne':        'Sent 1 queued analysis.',
+    'outbox.sentMany':       'Sent {count} queued analyses.',
+    'backends.saveFailed':   'Could not save backends in this browser.',
+    'backends.ignoredLink':  'Ignoring ?{param}=: {message}',
+    'backends.switched':     'Now sending analyses to {name}.',
+    'compare.failed':        'Comparison failed.',
+    'pwa.update':            'A new version of ClearText is available.',
+    'pwa.reload':            'Reload',
+
+    // ── Batch, history & policy ───────────────────────────────────────────────
+    'batch.busy':            'A batch is already running. Cancel it or wait for it to finish.',
+    'batch.readFailed':      'Could not read this file.',
+    'batch.started':         'Analyzing {count} rows…',
+    'batch.cancelled':       'Batch cancelled after {count} rows.',
+    'batch.failed':          'Batch finished — {failed} of {total} rows failed.',
+    'batch.done':            'Batch finished — {count} rows analyzed.',
+    'history.deleteFailed':  'Could not delete this analysis.',
+    'history.cleared':       'History cleared.',
+    'history.clearFailed':   'Could not clear history.',
+    'history.noExport':      'No saved analyses to export.',
+    'policy.saveFailed':     'Could not save policy profiles in this browser.',
+    'policy.saved':          'Policy "{name}" saved.',
+    'policy.reset':          '"{name}" reset to its defaults.',
+    'policy.deleted':        'Policy profile deleted.',
+
+    // ── Review ────────────────────────────────────────────────────────────────
+    'review.status.open':    'Open',
+    'review.status.escalated': 'Escalated',
+    'review.status.approved': 'Approved',
+    'review.status.removed': 'Removed',
+    'review.status.all':     'All',
+    'review.marked':         'Marked as {status}.',
+    'review.updateFailed':   'Could not update this review item.',
+    'review.commentFailed':  'Could not save the comment.',
+
+    // ── Explain & rephrase ────────────────────────────────────────────────────
+    'explain.tooLong':       'This text is too long to explain sentence by sentence — see the part breakdown instead.',
+    'explain.single':        'This text is a single sentence — the scores above already describe it.',
+    'explain.failed':        'Could not score the individual sentences. Please try again shortly.',
+    'explain.partFailed':    '{failed} of {total} sentences could not be scored.',
+    'rephrase.finding':      'Round {round} of {max}: finding the riskiest sentences…',
+    'rephrase.scoring':      'Round {round} of {max}: scoring sentences {done}/{total}…',
+    'rephrase.rechecking':   'Round {round} of {max}: re-checking the rewrite…',
+    'rephrase.roundsOne':    '1 round',
+    'rephrase.roundsMany':   '{count} rounds',
+    'rephrase.safe':         'Below the warn threshold after {rounds} ({path} overall risk).',
+    'rephrase.still':        'Still {verdict} after {rounds} ({path}). Add entries to the dictionary or edit the text by hand.',
+    'rephrase.failed':       'Could not check the rewrite.',
+    'rephrase.dictSaved':    'Dictionary saved with {count} entries.',
+    'rephrase.dictSaveFailed': 'Could not save the dictionary in this browser.',
+
+    // ── Normalization & local rules ───────────────────────────────────────────
+    'normalize.zeroWidth':   'hidden characters',
+    'normalize.emoji':       'emoji stand-ins',
+    'normalize.confusables': 'look-alike letters',
+    'normalize.spaced':      'spaced-out letters',
+    'normalize.undid':       'Undid {list} before scoring.',
+    'normalize.evasion':     'Likely deliberate evasion: scored {score}% as typed.',
+    'normalize.asTyped':     'As typed it scored {score}%.',
+    'normalize.scoredAs':    'Scored as:',
+    'rules.matched':         'matched {examples}',
+    'rules.effect.force':    '{category} set to {score}%',
+    'rules.effect.suppress': 'not sent, {category} suppressed',
+    'rules.effect.explain':  '{category} noted',
+    'rules.saveFailed':      'Could not save rules in this browser.',
+    'rules.added':           'Rule added. It applies to analyses from now on.',
+    'rules.noExport':        'There are no rules to export yet.',
+    'rules.importedOne':     'Imported 1 rule.',
+    'rules.importedMany':    'Imported {count} rules.',
+
+    // ── Exports ───────────────────────────────────────────────────────────────
+    'report.warnTag':        'WARN',
+    'report.dangerTag':      'DANGER',
+    'export.title':          'ClearText Analysis Report',
+    'export.subtitle':       'Exported {date} · Policy profile: {policy} · {results}',
+    'export.resultsOne':     '1 result',
+    'export.resultsMany':    '{count} results',
+    'export.date':           'Date',
+    'export.backend':        'Backend',
+    'export.overall':        'Overall risk score',
+    'export.flagged':        'Flagged by AI',
+    'export.yes':            'Yes',
+    'export.no':             'No',
+    'export.category':       'Category',
+    'export.score':          'Score',
+    'export.level':          'Level',
+    'export.level.info':     'info only',
+    'export.level.safe':     'low',
+    'export.level.warn':     'warn',
+    'export.level.danger':   'danger',
+    'export.normalization':  'Normalization',
+    'export.redaction':      'Redacted before sending',
+    'export.rules':          'Local rules',
+    'export.text':           'Analyzed text',
+    'export.textRedacted':   'Analyzed text (redacted, as sent)',
+    'export.popupBlocked':   'Pop-up blocked — the printable report was downloaded instead.',
+    'export.done':           'Exported {results} as {format}.',
+    'export.failed':         'Could not export. Please try again.',
+
+    // ── Insights ──────────────────────────────────────────────────────────────
+    'insights.from':         'From',
+    'insights.to':           'To',
+    'insights.today':        'Today',
+    'insights.days7':        '7 days',
+    'insights.days30':       '30 days',
+    'insights.all':          'All',
+    'insights.verdicts':     'Verdicts',
+    'insights.drivers':      'What Drives High Risk',
+    'insights.timeline':     'Flagged Rate Over Time',
+    'insights.histograms':   'Score Distribution by Category',
+    'insights.none':         'Analyses you run are saved to History and summarized here.',
+    'insights.noneInRange':  'No saved analyses in this date range.',
+    'insights.summaryOne':   '1 analysis · {flagged}% flagged · policy {policy}',
+    'insights.summaryMany':  '{count} analyses · {flagged}% flagged · policy {policy}',
+    'insights.truncated':    'History keeps only the latest {max} analyses, so these figures start on {date}. Older analyses in this range are not counted.',
+    'insights.noDrivers':    'No high-risk verdicts in this range.',
+    'insights.countOf':      '{count} of {total}',
+    'insights.noAnalyses':   '{range}: no analyses',
+    'insights.flaggedOf':    '{range}: {flagged} of {total} flagged ({rate}%)',
+    'insights.timelineLabel': 'Share of analyses flagged over time',
+    'insights.histogramLabel': '{category} scores across {count} analyses',
+    'insights.noExport':     'No saved analyses in this range to export.',
+    'insights.exported':     'Exported insights for {count} analyses as {format}.',
+
+    // ── Thread ────────────────────────────────────────────────────────────────
+    'thread.transcript':     'Transcript',
+    'thread.saveEach':       'Also save every message to History',
+    'thread.import':         'Import file…',
+    'thread.analyze':        'Analyze thread',
+    'thread.speakers':       'Speakers',
+    'thread.timeline':       'Timeline',
+    'thread.noSpeaker':      'The first line has no speaker. Use "speaker: message" lines.',
+    'thread.missingFields':  'Message {n} needs a "speaker" and a "text" field.',
+    'thread.notAList':       'Expected a list of messages, or an object with a "messages" list.',
+    'thread.badLine':        'Line {n} is not valid JSON.',
+    'thread.badFile':        '{file} is not valid JSON.',
+    'thread.empty':          'No messages found. Use "speaker: message" lines or a JSON list.',
+    'thread.tooMany':        'Too many messages. Maximum {max} per thread.',
+    'thread.messagesOne':    '1 message',
+    'thread.messagesMany':   '{count} messages',
+    'thread.speakersOne':    '1 speaker',
+    'thread.speakersMany':   '{count} speakers',
+    'thread.scoredMeta':     '{messages} · peak {peak}% · mean {mean}%',
+    'thread.flaggedMeta':    '{count} flagged by the model',
+    'thread.unscoredMeta':   '{messages} · not scored yet',
+    'thread.escalatingTag':  'Escalating',
+    'thread.escalation':     '↗ {name} is escalating: scores rise about {slope} points per message ({first}% → {last}%).',
+    'thread.open':           'Open',
+    'thread.status.queued':  'Queued',
+    'thread.status.running': 'Analyzing…',
+    'thread.status.error':   'Failed',
+    'thread.error':          'Analysis failed.',
+    'thread.progress':       '{done} / {total} analyzed',
+    'thread.busy':           'A thread is already being analyzed. Cancel it or wait for it to finish.',
+    'thread.cancelled':      'Thread analysis cancelled after {messages}.',
+    'thread.failed':         'Thread analyzed — {failed} of {total} messages failed.',
+    'thread.done':           'Thread analyzed — {messages} from {speakers}.',
+
+    // ── Confirmations ─────────────────────────────────────────────────────────
+    'history.confirmClear':  'Delete all {count} saved analyses? This cannot be undone.',
+    'policy.confirmDelete':  'Delete the policy profile "{name}"?',
+    'backends.confirmRemove': 'Remove the backend "{name}"?',
+    'rules.confirmRemove':   'Remove the rule "{label}"?',
+
+    // ── Results, batch & history ──────────────────────────────────────────────
+    'analyze.partsHint':     'Long text — will be analyzed in about {count} parts',
+    'results.copied':        'Copied!',
+    'results.flagged':       'Flagged',
+    'results.risk':          '{score}% risk',
+    'batch.badLine':         'Line {n} is not valid JSON.',
+    'batch.noTextField':     'Line {n} has no "text" field.',
+    'batch.badType':         'Unsupported file type. Use a .csv, .txt or .jsonl file.',
+    'batch.noRows':          'No text rows found in this file.',
+    'batch.tooMany':         'Too many rows. Maximum {max} per batch.',
+    'batch.progress':        '{done} / {total} analyzed',
+    'batch.colText':         'Text',
+    'batch.colVerdict':      'Verdict',
+    'batch.status.running':  'Analyzing…',
+    'batch.status.queued':   'Queued',
+    'batch.error':           'Analysis failed.',
+    'history.countOne':      '1 saved',
+    'history.countMany':     '{count} saved',
+    'history.unavailable':   'History is unavailable in this browser (IndexedDB is disabled).',
+    'history.noMatch':       'No saved analyses match your filters.',
+    'history.empty':         'Analyses you run are saved here automatically.',
+    'history.open':          'Open',
+    'history.delete':        'Delete',
+    'history.deleteLabel':   'Delete this analysis',
+
+    // ── Policy editor & explain ───────────────────────────────────────────────
+    'policy.resetButton':    'Reset',
+    'policy.deleteButton':   'Delete',
+    'policy.resetLabel':     'Reset profile to its defaults',
+    'policy.deleteLabel':    'Delete this profile',
+    'policy.warnLabel':      '{category} warn from',
+    'policy.dangerLabel':    '{category} danger above',
+    'policy.infoLabel':      '{category} informational only',
+    'policy.badThreshold':   '{category}: thresholds must be whole numbers from 0 to 100.',
+    'policy.warnAboveDanger': '{category}: the warn threshold cannot be above the danger threshold.',
+    'policy.noName':         'Please give the profile a name.',
+    'policy.copyName':       '{name} (copy)',
+    'explain.button':        'Explain',
+    'explain.again':         'Re-explain',
+    'explain.progress':      'Explaining… {done}/{total}',
+    'explain.allCategories': 'All categories',
+    'explain.unscored':      'This sentence could not be scored',
+
+    // ── Review queue ──────────────────────────────────────────────────────────
+    'review.action.approved': 'Approve',
+    'review.action.removed': 'Remove',
+    'review.action.escalated': 'Escalate',
+    'review.action.open':    'Reopen',
+    'review.flaggedOn':      'Flagged {date}',
+    'review.reporterNote':   'Reporter note',
+    'review.comments':       'Moderator comments',
+    'review.commentLabel':   'Add a comment',
+    'review.commentPlaceholder': 'Add a moderator comment…',
+    'review.commentButton':  'Comment',
+    'review.emptyView':      'Nothing in this view.',
+    'review.empty':          'Flagged content will appear here for review.',
+    'review.loadFailed':     'The review queue could not be loaded.',
+    'review.sinkLocal':      'Stored on this device',
+    'review.sinkHttp':       'Sent to {url}',
+    'review.unreachable':    'Could not reach the review server. Check your connection.',
+    'review.serverError':    'Review server error ({status})',
+
+    // ── Live check, outbox & backends ─────────────────────────────────────────
+    'live.tooLong':          'Too long for live checks — use Analyze Text',
+    'live.checking':         'Checking…',
+    'live.unavailable':      'Live check unavailable',
+    'outbox.status.queued':  'Waiting',
+    'outbox.status.sending': 'Sending…',
+    'outbox.status.failed':  'Failed',
+    'outbox.waiting':        '{count} waiting',
+    'outbox.autoSend':       'Sent automatically when the connection returns',
+    'outbox.open':           'Open',
+    'outbox.remove':         'Remove',
+    'outbox.removeLabel':    'Remove from queue',
+    'backends.badUrl':       'Enter a full URL, e.g. https://staging.example.com',
+    'backends.badProtocol':  'Backend URLs must start with http:// or https://',
+    'backends.noName':       'Please give the backend a name.',
+    'backends.duplicate':    'A backend called "{name}" already exists.',
+    'backends.override':     '"{name}" was selected by this page\'s ?{param}= link for this visit only.',
+    'backends.remove':       'Remove',
+    'backends.removeLabel':  'Remove this backend',
+
+    // ── Compare ───────────────────────────────────────────────────────────────
+    'compare.same':          'Both score the same: {score}% overall risk.',
+    'compare.saferOne':      '{title} is safer by 1 percentage point ({winner}% vs {loser}% overall risk, {detail}).',
+    'compare.saferMany':     '{title} is safer by {margin} percentage points ({winner}% vs {loser}% overall risk, {detail}).',
+    'compare.both':          'both {level}',
+    'compare.versus':        '{a} vs {b}',
+    'compare.text':          'Text',
+    'compare.textA':         'Text A',
+    'compare.textB':         'Text B',
+    'compare.safer':         'Safer',
+    'compare.parts':         '{count} parts',
+    'compare.scoresLabel':   '{title} category scores',
+    'compare.needBoth':      'Enter both texts to compare.',
+    'compare.needText':      'Enter a text to compare.',
+    'compare.needBackends':  'Choose two backends to compare.',
+    'compare.sameBackend':   'Choose two different backends to compare.',
+    'compare.button':        'Compare',
+    'compare.busy':          'Comparing…',
+
+    // ── Rules editor ──────────────────────────────────────────────────────────
+    'rules.action.force':    'Force',
+    'rules.action.explain':  'Explain',
+    'rules.action.suppress': 'Suppress',
+    'rules.does.force':      'force {category} to {score}%',
+    'rules.does.explain':    'explain under {category}',
+    'rules.does.suppress':   'suppress {category}, unseen by the model',
+    'rules.wordsOne':        '1 word: {words}',
+    'rules.wordsMany':       '{count} words: {words}',
+    'rules.enable':          'Enable {label}',
+    'rules.remove':          'Remove',
+    'rules.removeLabel':     'Remove this rule',
+    'rules.notObject':       'Each rule must be an object.',
+    'rules.noName':          'Every rule needs a name.',
+    'rules.badAction':       '"{label}": action must be force, explain or suppress.',
+    'rules.badCategory':     '"{label}": unknown category "{category}".',
+    'rules.emptyPattern':    '"{label}": the pattern is empty.',
+    'rules.badPattern':      '"{label}": {message}',
+    'rules.noTerms':         '"{label}": add at least one word.',
+    'rules.badScore':        '"{label}": the forced score must be a whole number from 0 to 100.',
+    'rules.badFile':         '{file} is not valid JSON.',
+    'rules.notAList':        'Expected a list of rules, or an object with a "rules" list.',
+    'rules.importError':     'Rule {n}: {message}',
+  },
+
+  hi: {
+    'offline.banner':        'इंटरनेट कनेक्शन नहीं — परिणाम शायद उपलब्ध न हों',
+    'nav.home':              'होम',
+    'nav.analyze':           'विश्लेषण',
+    'nav.batch':             'बैच',
+    'nav.thread':            'थ्रेड',
+    'nav.history':           'इतिहास',
+    'nav.insights':          'रुझान',
+    'nav.policy':            'नीति',
+    'nav.review':            'समीक्षा',
+    'nav.compare':           'तुलना',
+    'nav.settings':          'सेटिंग्स',
+    'nav.apiDocs':           'API दस्तावेज़',
+    'hero.badge':            'OpenAI Moderation API द्वारा संचालित',
+    'hero.line1':            'हानिकारक सामग्री',
+    'hero.line2':            'तुरंत पहचानें',
+    'hero.subtext':          'किसी भी टेक्स्ट में नफ़रत भरी भाषा, उत्पीड़न, हिंसा, यौन सामग्री, आत्म-हानि के संकेत और अवैध गतिविधि की जाँच करें — रीयल-टाइम स्कोर और विस्तृत विवरण के साथ।',
+    'hero.start':            'विश्लेषण शुरू करें',
+    'hero.learnMore':        'और जानें',
+    'hero.statCategories':   'विषाक्तता श्रेणियाँ',
+    'hero.statUptime':       'अपटाइम',
+    'hero.statResponse':     'औसत प्रतिक्रिया',
+    'hero.scroll':           'विश्लेषण के लिए स्क्रॉल करें',
+    'batch.title':           'बैच विश्लेषण',
+    'batch.desc':            'टिप्पणियों की फ़ाइल डालें — हर पंक्ति जाँची जाएगी और जोखिम के अनुसार क्रमबद्ध की जा सकेगी।',
+    'thread.title':          'थ्रेड मॉडरेशन',
+    'thread.desc':           'चैट ट्रांसक्रिप्ट पेस्ट या इम्पोर्ट करें। हर संदेश को स्कोर किया जाता है, हर वक्ता का कुल जोखिम दिखता है और बढ़ती शत्रुता पर ध्यान दिलाया जाता है।',
+    'history.title':         'इतिहास',
+    'history.desc':          'हर विश्लेषण इसी डिवाइस पर रखा जाता है। पुराने परिणाम खोजें, खोलें या हटाएँ।',
+    'insights.title':        'मॉडरेशन रुझान',
+    'insights.desc':         'इस डिवाइस पर सहेजे गए विश्लेषणों के रुझान: निर्णयों का मिश्रण, श्रेणी स्कोर, समय के साथ चिह्नित दर और उच्च जोखिम के कारण।',
+    'policy.title':          'मॉडरेशन नीति',
+    'policy.desc':           'कोई प्रोफ़ाइल चुनें या हर श्रेणी के लिए चेतावनी और ख़तरे की सीमाएँ तय करें। इसी डिवाइस पर सहेजा जाता है।',
+    'review.title':          'समीक्षा कतार',
+    'review.desc':           'मानवीय समीक्षा के लिए चिह्नित सामग्री। हर आइटम को छाँटें, टिप्पणी करें और निपटाएँ।',
+    'compare.title':         'तुलना',
+    'compare.desc':          'किसी टेक्स्ट के दो रूपों को, या एक टेक्स्ट को दो बैकएंड पर, साथ-साथ जाँचें।',
+    'settings.title':        'सेटिंग्स',
+    'settings.desc':         'इस डिवाइस की प्राथमिकताएँ। यहाँ से कुछ भी आपके ब्राउज़र से बाहर नहीं जाता।',
+    'settings.language':     'भाषा',
+    'settings.languageHint': 'इंटरफ़ेस की भाषा। किसी भी भाषा का टेक्स्ट जाँचा जा सकता है; परिणाम बताते हैं कि कौन-सी भाषा पहचानी गई।',
+
+    'analyze.title':         'टेक्स्ट का विश्लेषण',
+    'analyze.desc':          'नीचे कोई भी सामग्री पेस्ट करें या लिखें। परिणाम कुछ ही सेकंड में दिखेंगे।',
+    'analyze.placeholder':   'विषाक्तता, नफ़रत भरी भाषा आदि की जाँच के लिए यहाँ टेक्स्ट पेस्ट करें या लिखें...',
+    'analyze.hint':          '100,000 अक्षरों तक — लंबे टेक्स्ट अपने-आप भागों में बँट जाते हैं',
+    'analyze.live':          'लाइव जाँच',
+    'analyze.clear':         'साफ़ करें',
+    'analyze.button':        'टेक्स्ट जाँचें',
+    'analyze.busy':          'विश्लेषण हो रहा है…',
+    'analyze.part':          'भाग {done}/{total} का विश्लेषण…',
+    'analyze.empty':         'विश्लेषण से पहले कुछ टेक्स्ट दर्ज करें।',
+    'analyze.waking':        'कृपया प्रतीक्षा करें — सर्वर शुरू हो रहा है। इसमें 30 सेकंड तक लग सकते हैं।',
+    'analyze.slow':          'सामान्य से अधिक समय लग रहा है — कृपया प्रतीक्षा करें…',
+    'analyze.cancelled':     'विश्लेषण रद्द किया गया।',
+    'analyze.failed':        'एक अनपेक्षित त्रुटि हुई।',
+    'retry.timeout':         'सर्वर को जागने में समय लग रहा है',
+    'retry.network':         'सर्वर तक नहीं पहुँच सके',
+    'retry.warming':         'AI मॉडल तैयार हो रहा है',
+    'retry.rateLimit':       'अभी बहुत अधिक अनुरोध हैं',
+    'retry.gateway':         'AI मॉडल तक नहीं पहुँच सके',
+    'retry.failed':          'अनुरोध विफल रहा',
+    'retry.countdown':       '{reason} — {secs} सेकंड में फिर कोशिश (प्रयास {attempt}/{max})',
+
+    'server.checking':       'सर्वर जाँच रहे हैं…',
+    'server.online':         'सर्वर ऑनलाइन',
+    'server.waking':         'सर्वर शुरू हो रहा है…',
+    'server.offline':        'सर्वर ऑफ़लाइन',
+    'server.ready':          'सर्वर ऑनलाइन और तैयार है।',
+    'server.down':           'सर्वर ऑफ़लाइन लगता है। फिर कोशिश कर रहे हैं…',
+    'api.empty':             'विश्लेषण के लिए कुछ टेक्स्ट दर्ज करें।',
+    'api.tooLong':           'टेक्स्ट बहुत लंबा है। अधिकतम {max} अक्षर।',
+    'api.offline':           'इंटरनेट कनेक्शन नहीं है। अपना नेटवर्क जाँचें और फिर कोशिश करें।',
+    'api.timeout':           'अनुरोध का समय समाप्त हो गया। सर्वर शायद शुरू हो रहा है — थोड़ी देर में फिर कोशिश करें।',
+    'api.network':           'नेटवर्क त्रुटि। विश्लेषण सर्वर तक नहीं पहुँच सके। अपना कनेक्शन जाँचें।',
+    'api.warming':           'AI मॉडल तैयार हो रहा है। {secs} सेकंड प्रतीक्षा करके फिर कोशिश करें।',
+    'api.rateLimit':         'बहुत अधिक अनुरोध। थोड़ी देर रुककर फिर कोशिश करें।',
+    'api.serverError':       'सर्वर त्रुटि ({status})',
+    'api.badRequest':        'अमान्य अनुरोध। कोई दूसरा टेक्स्ट आज़माएँ।',
+    'api.forbidden':         'सर्वर ने पहुँच अस्वीकार की (CORS)। सहायता से संपर्क करें।',
+    'api.badGateway':        'AI मॉडल तक नहीं पहुँच सके। थोड़ी देर में फिर कोशिश करें।',
+    'api.gatewayTimeout':    'अनुरोध का समय समाप्त हो गया। फिर कोशिश करें।',
+    'api.internal':          'आंतरिक सर्वर त्रुटि। थोड़ी देर में फिर कोशिश करें।',
+    'api.partFailed':        'भाग {part}/{total}: {message}',
+
+    'verdict.safe.title':    'सामग्री सुरक्षित लगती है',
+    'verdict.safe.subtitle': 'इस टेक्स्ट में कोई उल्लेखनीय हानिकारक सामग्री नहीं मिली।',
+    'verdict.safe.badge':    'कम जोखिम',
+    'verdict.warn.title':    'संभावित रूप से चिंताजनक',
+    'verdict.warn.subtitle': 'कुछ पाठकों को यह सामग्री हानिकारक या आपत्तिजनक लग सकती है।',
+    'verdict.warn.badge':    'मध्यम जोखिम',
+    'verdict.hate.title':    'हानिकारक सामग्री मिली',
+    'verdict.hate.subtitle': 'इस टेक्स्ट में हानिकारक, विषाक्त या नफ़रत भरी सामग्री पाई गई है।',
+    'verdict.hate.badge':    'उच्च जोखिम',
+    'category.hate':         'नफ़रत भरी भाषा',
+    'category.harassment':   'उत्पीड़न',
+    'category.violence':     'हिंसा',
+    'category.sexual':       'यौन सामग्री',
+    'category.selfHarm':     'आत्म-हानि',
+    'category.illicit':      'अवैध गतिविधि',
+    'category.other':        'अन्य',
+    'results.analyzedText':  'विश्लेषित टेक्स्ट',
+    'results.breakdown':     'श्रेणीवार विवरण',
+    'results.parts':         'भागवार विवरण',
+    'results.actions':       'कार्रवाइयाँ',
+    'results.copy':          'रिपोर्ट कॉपी करें',
+    'results.export':        'निर्यात',
+    'results.flag':          'समीक्षा के लिए चिह्नित करें',
+    'results.new':           'नया विश्लेषण',
+    'results.policy':        'नीति: {name}',
+    'results.triggeredBy':   '{categories} के कारण',
+    'results.rulesOne':      '1 स्थानीय नियम',
+    'results.rulesMany':     '{count} स्थानीय नियम',
+    'results.cached':        'कैश किया गया परिणाम',
+    'results.flaggedTag':    'चिह्नित',
+    'results.infoOnly':      'केवल जानकारी',
+    'results.worstPart':     'सबसे जोखिम भरा भाग',
+    'results.language':      'भाषा: {language}',
+    'results.languageWarning': '{provider} {language} को अच्छी तरह नहीं समझता। इन स्कोर को सावधानी से देखें और किसी जानकार समीक्षक से टेक्स्ट जँचवाएँ।',
+    'language.hi-Latn':      'हिन्दी (रोमन लिपि)',
+
+    'redact.preview':        'भेजने से पहले छिपाया गया: {list}',
+    'redact.show':           'देखें कि क्या भेजा जाएगा',
+    'redact.note':           'भेजने से पहले निजी जानकारी बदल दी गई: {list}।',
+    'redact.sentAs':         'भेजा गया रूप:',
+    'redact.custom':         'आपके सूचीबद्ध शब्द',
+    'redact.email':          'ईमेल पते',
+    'redact.card':           'कार्ड नंबर',
+    'redact.ip':             'IP पते',
+    'redact.phone':          'फ़ोन नंबर',
+    'redact.address':        'सड़क के पते',
+    'redact.username':       'यूज़रनेम',
+
+    'report.title':          'CLEARTEXT विश्लेषण रिपोर्ट',
+    'report.date':           'तारीख',
+    'report.text':           'विश्लेषित टेक्स्ट',
+    'report.verdict':        'निर्णय',
+    'report.policy':         'नीति प्रोफ़ाइल',
+    'report.backend':        'बैकएंड',
+    'report.language':       'भाषा',
+    'report.overall':        'कुल जोखिम स्कोर',
+    'report.flagged':        'AI द्वारा चिह्नित',
+    'report.flaggedCategories': 'चिह्नित श्रेणियाँ',
+    'report.breakdown':      'श्रेणीवार विवरण',
+    'report.parts':          'भागवार विवरण ({count} भाग)',
+    'report.rules':          'स्थानीय नियम',
+    'report.normalization':  'सामान्यीकरण',
+    'report.redaction':      'छिपाया गया',
+    'report.textRedacted':   'विश्लेषित टेक्स्ट (छिपाकर, जैसा भेजा गया)',
+    'report.yes':            'हाँ',
+    'report.no':             'नहीं',
+    'report.infoOnly':       'केवल जानकारी',
+    'report.na':             'लागू नहीं',
+    'report.flaggedTag':     'चिह्नित',
+    'report.worst':          'सबसे अधिक',
+    'report.part':           'भाग',
+    'report.chars':          'अक्षर {start}–{end}',
+    'report.footer':         'ClearText + OpenAI Moderation API द्वारा संचालित',
+    'offline.restored':      'कनेक्शन वापस आ गया',
+    'settings.saveFailed':   'यह सेटिंग इस ब्राउज़र में सहेजी नहीं जा सकी।',
+    'toast.noCopy':          'कॉपी करने के लिए अभी कोई परिणाम नहीं है।',
+    'toast.copied':          'रिपोर्ट क्लिपबोर्ड पर कॉपी हो गई!',
+    'toast.copyFailed':      'क्लिपबोर्ड पर कॉपी नहीं हो सका। हाथ से कॉपी करें।',
+    'toast.noFlag':          'चिह्नित करने के लिए अभी कोई सामग्री नहीं है।',
+    'toast.alreadyFlagged':  'यह सामग्री पहले से समीक्षा कतार में है।',
+    'toast.flagFailed':      'यह सामग्री चिह्नित नहीं हो सकी। कृपया फिर से कोशिश करें।',
+    'toast.flagged':         'सामग्री मानवीय समीक्षा के लिए चिह्नित की गई।',
+    'toast.noExport':        'एक्सपोर्ट करने के लिए अभी कोई परिणाम नहीं है।',
+    'outbox.queuedDown':     'सर्वर तक पहुँच नहीं हो पा रही — कतार में सहेजा गया। सर्वर लौटते ही भेजा जाएगा।',
+    'outbox.queuedOffline':  'आप ऑफ़लाइन हैं — कतार में सहेजा गया। कनेक्शन लौटते ही भेजा जाएगा।',
+    'outbox.sentOne':        'कतार का 1 विश्लेषण भेजा गया।',
+    'outbox.sentMany':       'कतार के {count} विश्लेषण भेजे गए।',
+    'backends.saveFailed':   'बैकएंड इस ब्राउज़र में सहेजे नहीं जा सके।',
+    'backends.ignoredLink':  '?{param}= को अनदेखा किया गया: {message}',
+    'backends.switched':     'अब विश्लेषण {name} को भेजे जा रहे हैं।',
+    'compare.failed':        'तुलना विफल रही।',
+    'pwa.update':            'ClearText का नया संस्करण उपलब्ध है।',
+    'pwa.reload':            'रीलोड करें',
+    'batch.busy':            'एक बैच पहले से चल रहा है। उसे रद्द करें या पूरा होने दें।',
+    'batch.readFailed':      'यह फ़ाइल पढ़ी नहीं जा सकी।',
+    'batch.started':         '{count} पंक्तियों का विश्लेषण हो रहा है…',
+    'batch.cancelled':       '{count} पंक्तियों के बाद बैच रद्द किया गया।',
+    'batch.failed':          'बैच पूरा हुआ — {total} में से {failed} पंक्तियाँ विफल रहीं।',
+    'batch.done':            'बैच पूरा हुआ — {count} पंक्तियों का विश्लेषण हुआ।',
+    'history.deleteFailed':  'यह विश्लेषण हटाया नहीं जा सका।',
+    'history.cleared':       'इतिहास साफ़ किया गया।',
+    'history.clearFailed':   'इतिहास साफ़ नहीं हो सका।',
+    'history.noExport':      'एक्सपोर्ट करने के लिए कोई सहेजा गया विश्लेषण नहीं है।',
+    'policy.saveFailed':     'नीति प्रोफ़ाइल इस ब्राउज़र में सहेजी नहीं जा सकीं।',
+    'policy.saved':          'नीति "{name}" सहेजी गई।',
+    'policy.reset':          '"{name}" अपनी डिफ़ॉल्ट सेटिंग पर लौटाई गई।',
+    'policy.deleted':        'नीति प्रोफ़ाइल हटाई गई।',
+    'review.status.open':    'खुला',
+    'review.status.escalated': 'आगे बढ़ाया गया',
+    'review.status.approved': 'स्वीकृत',
+    'review.status.removed': 'हटाया गया',
+    'review.status.all':     'सभी',
+    'review.marked':         '"{status}" के रूप में चिह्नित किया गया।',
+    'review.updateFailed':   'यह समीक्षा आइटम अपडेट नहीं हो सका।',
+    'review.commentFailed':  'टिप्पणी सहेजी नहीं जा सकी।',
+    'explain.tooLong':       'यह टेक्स्ट वाक्य-दर-वाक्य समझाने के लिए बहुत लंबा है — इसके बजाय भागवार विवरण देखें।',
+    'explain.single':        'यह टेक्स्ट एक ही वाक्य है — ऊपर के स्कोर ही इसका वर्णन करते हैं।',
+    'explain.failed':        'अलग-अलग वाक्यों को स्कोर नहीं किया जा सका। कृपया थोड़ी देर बाद फिर कोशिश करें।',
+    'explain.partFailed':    '{total} में से {failed} वाक्य स्कोर नहीं हो सके।',
+    'rephrase.finding':      'चरण {round}/{max}: सबसे जोखिम भरे वाक्य खोजे जा रहे हैं…',
+    'rephrase.scoring':      'चरण {round}/{max}: वाक्यों को स्कोर किया जा रहा है {done}/{total}…',
+    'rephrase.rechecking':   'चरण {round}/{max}: नया रूप दोबारा जाँचा जा रहा है…',
+    'rephrase.roundsOne':    '1 चरण',
+    'rephrase.roundsMany':   '{count} चरणों',
+    'rephrase.safe':         '{rounds} के बाद चेतावनी सीमा से नीचे ({path} कुल जोखिम)।',
+    'rephrase.still':        '{rounds} के बाद भी {verdict} ({path})। शब्दकोश में प्रविष्टियाँ जोड़ें या टेक्स्ट ख़ुद बदलें।',
+    'rephrase.failed':       'नए रूप की जाँच नहीं हो सकी।',
+    'rephrase.dictSaved':    'शब्दकोश {count} प्रविष्टियों के साथ सहेजा गया।',
+    'rephrase.dictSaveFailed': 'शब्दकोश इस ब्राउज़र में सहेजा नहीं जा सका।',
+    'normalize.zeroWidth':   'छिपे हुए अक्षर',
+    'normalize.emoji':       'अक्षरों की जगह इमोजी',
+    'normalize.confusables': 'मिलते-जुलते अक्षर',
+    'normalize.spaced':      'दूर-दूर लिखे अक्षर',
+    'normalize.undid':       'स्कोर करने से पहले हटाए गए: {list}।',
+    'normalize.evasion':     'संभवतः जानबूझकर बचने की कोशिश: लिखे रूप में {score}% स्कोर।',
+    'normalize.asTyped':     'लिखे रूप में स्कोर {score}% था।',
+    'normalize.scoredAs':    'इस रूप में स्कोर किया गया:',
+    'rules.matched':         'मिला {examples}',
+    'rules.effect.force':    '{category} {score}% पर सेट किया गया',
+    'rules.effect.suppress': 'भेजा नहीं गया, {category} दबाया गया',
+    'rules.effect.explain':  '{category} में दर्ज',
+    'rules.saveFailed':      'नियम इस ब्राउज़र में सहेजे नहीं जा सके।',
+    'rules.added':           'नियम जोड़ा गया। यह अब से होने वाले विश्लेषणों पर लागू होगा।',
+    'rules.noExport':        'एक्सपोर्ट करने के लिए अभी कोई नियम नहीं है।',
+    'rules.importedOne':     '1 नियम इम्पोर्ट किया गया।',
+    'rules.importedMany':    '{count} नियम इम्पोर्ट किए गए।',
+    'report.warnTag':        'चेतावनी',
+    'report.dangerTag':      'ख़तरा',
+    'export.title':          'ClearText विश्लेषण रिपोर्ट',
+    'export.subtitle':       '{date} को एक्सपोर्ट किया गया · नीति प्रोफ़ाइल: {policy} · {results}',
+    'export.resultsOne':     '1 परिणाम',
+    'export.resultsMany':    '{count} परिणाम',
+    'export.date':           'तारीख़',
+    'export.backend':        'बैकएंड',
+    'export.overall':        'कुल जोखिम स्कोर',
+    'export.flagged':        'AI द्वारा चिह्नित',
+    'export.yes':            'हाँ',
+    'export.no':             'नहीं',
+    'export.category':       'श्रेणी',
+    'export.score':          'स्कोर',
+    'export.level':          'स्तर',
+    'export.level.info':     'केवल जानकारी',
+    'export.level.safe':     'कम',
+    'export.level.warn':     'चेतावनी',
+    'export.level.danger':   'ख़तरा',
+    'export.normalization':  'सामान्यीकरण',
+    'export.redaction':      'भेजने से पहले छिपाया गया',
+    'export.rules':          'स्थानीय नियम',
+    'export.text':           'विश्लेषित टेक्स्ट',
+    'export.textRedacted':   'विश्लेषित टेक्स्ट (छिपाया हुआ, जैसा भेजा गया)',
+    'export.popupBlocked':   'पॉप-अप ब्लॉक हुआ — इसके बजाय प्रिंट करने योग्य रिपोर्ट डाउनलोड की गई।',
+    'export.done':           '{results} {format} के रूप में एक्सपोर्ट किए गए।',
+    'export.failed':         'एक्सपोर्ट नहीं हो सका। कृपया फिर से कोशिश करें।',
+    'insights.from':         'से',
+    'insights.to':           'तक',
+    'insights.today':        'आज',
+    'insights.days7':        '7 दिन',
+    'insights.days30':       '30 दिन',
+    'insights.all':          'सभी',
+    'insights.verdicts':     'निर्णय',
+    'insights.drivers':      'उच्च जोखिम के कारण',
+    'insights.timeline':     'समय के साथ चिह्नित दर',
+    'insights.histograms':   'श्रेणी के अनुसार स्कोर वितरण',
+    'insights.none':         'आपके विश्लेषण इतिहास में सहेजे जाते हैं और यहाँ सारांशित होते हैं।',
+    'insights.noneInRange':  'इस तारीख़ सीमा में कोई सहेजा गया विश्लेषण नहीं है।',
+    'insights.summaryOne':   '1 विश्लेषण · {flagged}% चिह्नित · नीति {policy}',
+    'insights.summaryMany':  '{count} विश्लेषण · {flagged}% चिह्नित · नीति {policy}',
+    'insights.truncated':    'इतिहास केवल नवीनतम {max} विश्लेषण रखता है, इसलिए ये आँकड़े {date} से शुरू होते हैं। इस सीमा के पुराने विश्लेषण गिने नहीं गए।',
+    'insights.noDrivers':    'इस सीमा में कोई उच्च जोखिम निर्णय नहीं है।',
+    'insights.countOf':      '{total} में से {count}',
+    'insights.noAnalyses':   '{range}: कोई विश्लेषण नहीं',
+    'insights.flaggedOf':    '{range}: {total} में से {flagged} चिह्नित ({rate}%)',
+    'insights.timelineLabel': 'समय के साथ चिह्नित विश्लेषणों का हिस्सा',
+    'insights.histogramLabel': '{count} विश्लेषणों में {category} के स्कोर',
+    'insights.noExport':     'इस सीमा में एक्सपोर्ट करने के लिए कोई सहेजा गया विश्लेषण नहीं है।',
+    'insights.exported':     '{count} विश्लेषणों के रुझान {format} के रूप में एक्सपोर्ट किए गए।',
+    'thread.transcript':     'ट्रांसक्रिप्ट',
+    'thread.saveEach':       'हर संदेश को इतिहास में भी सहेजें',
+    'thread.import':         'फ़ाइल इम्पोर्ट करें…',
+    'thread.analyze':        'थ्रेड का विश्लेषण करें',
+    'thread.speakers':       'वक्ता',
+    'thread.timeline':       'समयरेखा',
+    'thread.noSpeaker':      'पहली पंक्ति में कोई वक्ता नहीं है। "वक्ता: संदेश" पंक्तियों का उपयोग करें।',
+    'thread.missingFields':  'संदेश {n} में "speaker" और "text" फ़ील्ड होने चाहिए।',
+    'thread.notAList':       'संदेशों की सूची, या "messages" सूची वाला ऑब्जेक्ट अपेक्षित था।',
+    'thread.badLine':        'पंक्ति {n} मान्य JSON नहीं है।',
+    'thread.badFile':        '{file} मान्य JSON नहीं है।',
+    'thread.empty':          'कोई संदेश नहीं मिला। "वक्ता: संदेश" पंक्तियों या JSON सूची का उपयोग करें।',
+    'thread.tooMany':        'बहुत अधिक संदेश। प्रति थ्रेड अधिकतम {max}।',
+    'thread.messagesOne':    '1 संदेश',
+    'thread.messagesMany':   '{count} संदेश',
+    'thread.speakersOne':    '1 वक्ता',
+    'thread.speakersMany':   '{count} वक्ता',
+    'thread.scoredMeta':     '{messages} · शिखर {peak}% · औसत {mean}%',
+    'thread.flaggedMeta':    '{count} मॉडल द्वारा चिह्नित',
+    'thread.unscoredMeta':   '{messages} · अभी स्कोर नहीं हुए',
+    'thread.escalatingTag':  'बढ़ रहा है',
+    'thread.escalation':     '↗ {name} की शत्रुता बढ़ रही है: स्कोर प्रति संदेश लगभग {slope} अंक बढ़ते हैं ({first}% → {last}%)।',
+    'thread.open':           'खोलें',
+    'thread.status.queued':  'कतार में',
+    'thread.status.running': 'विश्लेषण हो रहा है…',
+    'thread.status.error':   'विफल',
+    'thread.error':          'विश्लेषण विफल रहा।',
+    'thread.progress':       '{total} में से {done} विश्लेषित',
+    'thread.busy':           'एक थ्रेड का विश्लेषण पहले से चल रहा है। उसे रद्द करें या पूरा होने दें।',
+    'thread.cancelled':      '{messages} के बाद थ्रेड विश्लेषण रद्द किया गया।',
+    'thread.failed':         'थ्रेड विश्लेषित — {total} में से {failed} संदेश विफल रहे।',
+    'thread.done':           'थ्रेड विश्लेषित — {speakers} के {messages}।',
+    'history.confirmClear':  'सभी {count} सहेजे गए विश्लेषण हटाएँ? इसे पूर्ववत नहीं किया जा सकता।',
+    'policy.confirmDelete':  'नीति प्रोफ़ाइल "{name}" हटाएँ?',
+    'backends.confirmRemove': 'बैकएंड "{name}" हटाएँ?',
+    'rules.confirmRemove':   'नियम "{label}" हटाएँ?',
+    'analyze.partsHint':     'लंबा टेक्स्ट — लगभग {count} भागों में विश्लेषित होगा',
+    'results.copied':        'कॉपी हो गया!',
+    'results.flagged':       'चिह्नित',
+    'results.risk':          '{score}% जोखिम',
+    'batch.badLine':         'पंक्ति {n} मान्य JSON नहीं है।',
+    'batch.noTextField':     'पंक्ति {n} में "text" फ़ील्ड नहीं है।',
+    'batch.badType':         'यह फ़ाइल प्रकार समर्थित नहीं है। .csv, .txt या .jsonl फ़ाइल इस्तेमाल करें।',
+    'batch.noRows':          'इस फ़ाइल में कोई टेक्स्ट पंक्ति नहीं मिली।',
+    'batch.tooMany':         'बहुत अधिक पंक्तियाँ। एक बैच में अधिकतम {max}।',
+    'batch.progress':        '{done} / {total} विश्लेषित',
+    'batch.colText':         'टेक्स्ट',
+    'batch.colVerdict':      'निष्कर्ष',
+    'batch.status.running':  'विश्लेषण हो रहा है…',
+    'batch.status.queued':   'कतार में',
+    'batch.error':           'विश्लेषण विफल रहा।',
+    'history.countOne':      '1 सहेजा गया',
+    'history.countMany':     '{count} सहेजे गए',
+    'history.unavailable':   'इस ब्राउज़र में इतिहास उपलब्ध नहीं है (IndexedDB बंद है)।',
+    'history.noMatch':       'कोई सहेजा गया विश्लेषण आपके फ़िल्टर से मेल नहीं खाता।',
+    'history.empty':         'आपके विश्लेषण यहाँ अपने-आप सहेजे जाते हैं।',
+    'history.open':          'खोलें',
+    'history.delete':        'हटाएँ',
+    'history.deleteLabel':   'यह विश्लेषण हटाएँ',
+    'policy.resetButton':    'रीसेट करें',
+    'policy.deleteButton':   'हटाएँ',
+    'policy.resetLabel':     'प्रोफ़ाइल को उसके डिफ़ॉल्ट पर रीसेट करें',
+    'policy.deleteLabel':    'यह प्रोफ़ाइल हटाएँ',
+    'policy.warnLabel':      '{category} चेतावनी इससे',
+    'policy.dangerLabel':    '{category} खतरा इससे ऊपर',
+    'policy.infoLabel':      '{category} केवल जानकारी के लिए',
+    'policy.badThreshold':   '{category}: सीमाएँ 0 से 100 तक की पूर्ण संख्याएँ होनी चाहिए।',
+    'policy.warnAboveDanger': '{category}: चेतावनी सीमा खतरे की सीमा से ऊपर नहीं हो सकती।',
+    'policy.noName':         'कृपया प्रोफ़ाइल को एक नाम दें।',
+    'policy.copyName':       '{name} (प्रति)',
+    'explain.button':        'समझाएँ',
+    'explain.again':         'फिर से समझाएँ',
+    'explain.progress':      'समझाया जा रहा है… {done}/{total}',
+    'explain.allCategories': 'सभी श्रेणियाँ',
+    'explain.unscored':      'इस वाक्य का स्कोर नहीं निकाला जा सका',
+    'review.action.approved': 'स्वीकृत करें',
+    'review.action.removed': 'हटाएँ',
+    'review.action.escalated': 'आगे बढ़ाएँ',
+    'review.action.open':    'फिर से खोलें',
+    'review.flaggedOn':      '{date} को चिह्नित',
+    'review.reporterNote':   'रिपोर्टर का नोट',
+    'review.comments':       'मॉडरेटर टिप्पणियाँ',
+    'review.commentLabel':   'टिप्पणी जोड़ें',
+    'review.commentPlaceholder': 'मॉडरेटर टिप्पणी जोड़ें…',
+    'review.commentButton':  'टिप्पणी करें',
+    'review.emptyView':      'इस दृश्य में कुछ नहीं है।',
+    'review.empty':          'चिह्नित सामग्री समीक्षा के लिए यहाँ दिखाई देगी।',
+    'review.loadFailed':     'समीक्षा कतार लोड नहीं हो सकी।',
+    'review.sinkLocal':      'इस डिवाइस पर संग्रहीत',
+    'review.sinkHttp':       '{url} को भेजा गया',
+    'review.unreachable':    'समीक्षा सर्वर तक नहीं पहुँच सके। अपना कनेक्शन जाँचें।',
+    'review.serverError':    'समीक्षा सर्वर त्रुटि ({status})',
+    'live.tooLong':          'लाइव जाँच के लिए बहुत लंबा — टेक्स्ट जाँचें इस्तेमाल करें',
+    'live.checking':         'जाँच हो रही है…',
+    'live.unavailable':      'लाइव जाँच उपलब्ध नहीं',
+    'outbox.status.queued':  'प्रतीक्षा में',
+    'outbox.status.sending': 'भेजा जा रहा है…',
+    'outbox.status.failed':  'विफल',
+    'outbox.waiting':        '{count} प्रतीक्षा में',
+    'outbox.autoSend':       'कनेक्शन लौटने पर अपने-आप भेजा जाएगा',
+    'outbox.open':           'खोलें',
+    'outbox.remove':         'हटाएँ',
+    'outbox.removeLabel':    'कतार से हटाएँ',
+    'backends.badUrl':       'पूरा URL दर्ज करें, जैसे https://staging.example.com',
+    'backends.badProtocol':  'बैकएंड URL http:// या https:// से शुरू होने चाहिए',
+    'backends.noName':       'कृपया बैकएंड को एक नाम दें।',
+    'backends.duplicate':    '"{name}" नाम का बैकएंड पहले से मौजूद है।',
+    'backends.override':     '"{name}" को इस पेज के ?{param}= लिंक ने केवल इस विज़िट के लिए चुना है।',
+    'backends.remove':       'हटाएँ',
+    'backends.removeLabel':  'यह बैकएंड हटाएँ',
+    'compare.same':          'दोनों का स्कोर बराबर है: {score}% कुल जोखिम।',
+    'compare.saferOne':      '{title} 1 प्रतिशत अंक से अधिक सुरक्षित है ({winner}% बनाम {loser}% कुल जोखिम, {detail})।',
+    'compare.saferMany':     '{title} {margin} प्रतिशत अंकों से अधिक सुरक्षित है ({winner}% बनाम {loser}% कुल जोखिम, {detail})।',
+    'compare.both':          'दोनों {level}',
+    'compare.versus':        '{a} बनाम {b}',
+    'compare.text':          'टेक्स्ट',
+    'compare.textA':         'टेक्स्ट A',
+    'compare.textB':         'टेक्स्ट B',
+    'compare.safer':         'अधिक सुरक्षित',
+    'compare.parts':         '{count} भाग',
+    'compare.scoresLabel':   '{title} श्रेणी स्कोर',
+    'compare.needBoth':      'तुलना के लिए दोनों टेक्स्ट दर्ज करें।',
+    'compare.needText':      'तुलना के लिए एक टेक्स्ट दर्ज करें।',
+    'compare.needBackends':  'तुलना के लिए दो बैकएंड चुनें।',
+    'compare.sameBackend':   'तुलना के लिए दो अलग-अलग बैकएंड चुनें।',
+    'compare.button':        'तुलना करें',
+    'compare.busy':          'तुलना हो रही है…',
+    'rules.action.force':    'बाध्य करें',
+    'rules.action.explain':  'समझाएँ',
+    'rules.action.suppress': 'दबाएँ',
+    'rules.does.force':      '{category} को {score}% पर सेट करें',
+    'rules.does.explain':    '{category} के तहत समझाएँ',
+    'rules.does.suppress':   '{category} दबाएँ, मॉडल को दिखाए बिना',
+    'rules.wordsOne':        '1 शब्द: {words}',
+    'rules.wordsMany':       '{count} शब्द: {words}',
+    'rules.enable':          '{label} चालू करें',
+    'rules.remove':          'हटाएँ',
+    'rules.removeLabel':     'यह नियम हटाएँ',
+    'rules.notObject':       'हर नियम एक ऑब्जेक्ट होना चाहिए।',
+    'rules.noName':          'हर नियम को एक नाम चाहिए।',
+    'rules.badAction':       '"{label}": कार्रवाई force, explain या suppress होनी चाहिए।',
+    'rules.badCategory':     '"{label}": अज्ञात श्रेणी "{category}"।',
+    'rules.emptyPattern':    '"{label}": पैटर्न खाली है।',
+    'rules.badPattern':      '"{label}": {message}',
+    'rules.noTerms':         '"{label}": कम से कम एक शब्द जोड़ें।',
+    'rules.badScore':        '"{label}": बाध्य स्कोर 0 से 100 तक की पूर्ण संख्या होना चाहिए।',
+    'rules.badFile':         '{file} मान्य JSON नहीं है।',
+    'rules.notAList':        'नियमों की सूची, या "rules" सूची वाला ऑब्जेक्ट अपेक्षित था।',
+    'rules.importError':     'नियम {n}: {message}',
+  },
+
+  es: {
+    'offline.banner':        'Sin conexión a internet — es posible que los resultados no estén disponibles',
+    'nav.home':              'Inicio',
+    'nav.analyze':           'Analizar',
+    'nav.batch':             'Lote',
+    'nav.thread':            'Hilo',
+    'nav.history':           'Historial',
+    'nav.insights':          'Tendencias',
+    'nav.policy':            'Política',
+    'nav.review':            'Revisión',
+    'nav.compare':           'Comparar',
+    'nav.settings':          'Ajustes',
+    'nav.apiDocs':           'Docs de la API',
+    'hero.badge':            'Con la tecnología de OpenAI Moderation API',
+    'hero.line1':            'Detecta contenido',
+    'hero.line2':            'dañino al instante',
+    'hero.subtext':          'Analiza cualquier texto en busca de discurso de odio, acoso, violencia, contenido sexual, señales de autolesión y actividades ilícitas, con puntuaciones en tiempo real y desgloses detallados.',
+    'hero.start':            'Empezar a analizar',
+    'hero.learnMore':        'Más información',
+    'hero.statCategories':   'Categorías de toxicidad',
+    'hero.statUptime':       'Disponibilidad',
+    'hero.statResponse':     'Respuesta media',
+    'hero.scroll':           'Desplázate para analizar',
+    'batch.title':           'Análisis por lotes',
+    'batch.desc':            'Suelta una exportación de comentarios y cada fila se modera, lista para ordenar por riesgo.',
+    'thread.title':          'Moderación de hilos',
+    'thread.desc':           'Pega o importa una conversación. Cada mensaje se puntúa, cada participante recibe un riesgo global y se señala la hostilidad creciente.',
+    'history.title':         'Historial',
+    'history.desc':          'Cada análisis se guarda en este dispositivo. Busca, vuelve a abrir o elimina resultados anteriores.',
+    'insights.title':        'Tendencias de moderación',
+    'insights.desc':         'Tendencias de los análisis guardados en este dispositivo: reparto de veredictos, puntuaciones por categoría, tasa de marcados en el tiempo y qué impulsa el riesgo alto.',
+    'policy.title':          'Política de moderación',
+    'policy.desc':           'Elige un perfil o ajusta los umbrales de aviso y peligro por categoría. Se guarda en este dispositivo.',
+    'review.title':          'Cola de revisión',
+    'review.desc':           'Contenido marcado para revisión humana. Clasifica, comenta y resuelve cada elemento.',
+    'compare.title':         'Comparar',
+    'compare.desc':          'Puntúa dos versiones de un texto, o un texto en dos backends, lado a lado.',
+    'settings.title':        'Ajustes',
+    'settings.desc':         'Preferencias de este dispositivo. Nada de aquí sale de tu navegador.',
+    'settings.language':     'Idioma',
+    'settings.languageHint': 'El idioma de la interfaz. Se puede analizar texto en cualquier idioma; los resultados indican qué idioma se detectó.',
+
+    'analyze.title':         'Analizar texto',
+    'analyze.desc':          'Pega o escribe cualquier contenido. Los resultados aparecen en segundos.',
+    'analyze.placeholder':   'Pega o escribe aquí el texto para analizar toxicidad, discurso de odio y más...',
+    'analyze.hint':          'Hasta 100.000 caracteres — los textos largos se dividen automáticamente',
+    'analyze.live':          'Revisión en vivo',
+    'analyze.clear':         'Borrar',
+    'analyze.button':        'Analizar texto',
+    'analyze.busy':          'Analizando…',
+    'analyze.part':          'Analizando parte {done}/{total}…',
+    'analyze.empty':         'Escribe algún texto antes de analizar.',
+    'analyze.waking':        'Espera un momento — el servidor se está iniciando. Puede tardar hasta 30 segundos.',
+    'analyze.slow':          'Está tardando más de lo habitual — espera, por favor…',
+    'analyze.cancelled':     'Análisis cancelado.',
+    'analyze.failed':        'Se produjo un error inesperado.',
+    'retry.timeout':         'El servidor está tardando en despertar',
+    'retry.network':         'No se pudo contactar con el servidor',
+    'retry.warming':         'El modelo de IA se está preparando',
+    'retry.rateLimit':       'Demasiadas solicitudes en este momento',
+    'retry.gateway':         'No se pudo contactar con el modelo de IA',
+    'retry.failed':          'La solicitud falló',
+    'retry.countdown':       '{reason} — reintentando en {secs} s (intento {attempt} de {max})',
+
+    'server.checking':       'Comprobando servidor…',
+    'server.online':         'Servidor en línea',
+    'server.waking':         'El servidor se está iniciando…',
+    'server.offline':        'Servidor sin conexión',
+    'server.ready':          'El servidor está en línea y listo.',
+    'server.down':           'El servidor parece estar sin conexión. Reintentando…',
+    'api.empty':             'Escribe algún texto para analizar.',
+    'api.tooLong':           'Texto demasiado largo. Máximo {max} caracteres.',
+    'api.offline':           'Sin conexión a internet. Revisa tu red e inténtalo de nuevo.',
+    'api.timeout':           'La solicitud agotó el tiempo. Puede que el servidor se esté iniciando — inténtalo de nuevo en un momento.',
+    'api.network':           'Error de red. No se pudo contactar con el servidor de análisis. Revisa tu conexión.',
+    'api.warming':           'El modelo de IA se está preparando. Espera {secs} segundos e inténtalo de nuevo.',
+    'api.rateLimit':         'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+    'api.serverError':       'Error del servidor ({status})',
+    'api.badRequest':        'Solicitud no válida. Prueba con otro texto.',
+    'api.forbidden':         'El servidor denegó el acceso (CORS). Contacta con soporte.',
+    'api.badGateway':        'No se pudo contactar con el modelo de IA. Inténtalo de nuevo en breve.',
+    'api.gatewayTimeout':    'La solicitud agotó el tiempo. Inténtalo de nuevo.',
+    'api.internal':          'Error interno del servidor. Inténtalo de nuevo en breve.',
+    'api.partFailed':        'Parte {part} de {total}: {message}',
+
+    'verdict.safe.title':    'El contenido parece seguro',
+    'verdict.safe.subtitle': 'No se detectó contenido dañino significativo en este texto.',
+    'verdict.safe.badge':    'RIESGO BAJO',
+    'verdict.warn.title':    'Potencialmente preocupante',
+    'verdict.warn.subtitle': 'Parte del contenido podría considerarse dañino u ofensivo para algunas personas.',
+    'verdict.warn.badge':    'RIESGO MODERADO',
+    'verdict.hate.title':    'Contenido dañino detectado',
+    'verdict.hate.subtitle': 'Este texto contiene contenido marcado como dañino, tóxico o de odio.',
+    'verdict.hate.badge':    'RIESGO ALTO',
+    'category.hate':         'Discurso de odio',
+    'category.harassment':   'Acoso',
+    'category.violence':     'Violencia',
+    'category.sexual':       'Contenido sexual',
+    'category.selfHarm':     'Autolesión',
+    'category.illicit':      'Actividad ilícita',
+    'category.other':        'Otro',
+    'results.analyzedText':  'Texto analizado',
+    'results.breakdown':     'Desglose por categoría',
+    'results.parts':         'Desglose por partes',
+    'results.actions':       'Acciones',
+    'results.copy':          'Copiar informe',
+    'results.export':        'Exportar',
+    'results.flag':          'Marcar para revisión',
+    'results.new':           'Nuevo análisis',
+    'results.policy':        'Política: {name}',
+    'results.triggeredBy':   'activada por {categories}',
+    'results.rulesOne':      '1 regla local',
+    'results.rulesMany':     '{count} reglas locales',
+    'results.cached':        'resultado en caché',
+    'results.flaggedTag':    'Marcado',
+    'results.infoOnly':      'Solo informativo',
+    'results.worstPart':     'Peor parte',
+    'results.language':      'Idioma: {language}',
+    'results.languageWarning': '{provider} no admite bien el idioma {language}. Trata estas puntuaciones con cautela y pide a un revisor que lo hable que compruebe el texto.',
+    'language.hi-Latn':      'hindi (alfabeto latino)',
+
+    'redact.preview':        'Se ocultará antes de enviar: {list}',
+    'redact.show':           'Ver lo que se enviará',
+    'redact.note':           'Se reemplazaron datos personales antes de enviar: {list}.',
+    'redact.sentAs':         'Enviado como:',
+    'redact.custom':         'tus palabras de la lista',
+    'redact.email':          'correos electrónicos',
+    'redact.card':           'números de tarjeta',
+    'redact.ip':             'direcciones IP',
+    'redact.phone':          'números de teléfono',
+    'redact.address':        'direcciones postales',
+    'redact.username':       'nombres de usuario',
+
+    'report.title':          'INFORME DE ANÁLISIS DE CLEARTEXT',
+    'report.date':           'Fecha',
+    'report.text':           'TEXTO ANALIZADO',
+    'report.verdict':        'VEREDICTO',
+    'report.policy':         'PERFIL DE POLÍTICA',
+    'report.backend':        'BACKEND',
+    'report.language':       'IDIOMA',
+    'report.overall':        'RIESGO GLOBAL',
+    'report.flagged':        'MARCADO POR IA',
+    'report.flaggedCategories': 'CATEGORÍAS MARCADAS',
+    'report.breakdown':      'DESGLOSE POR CATEGORÍA',
+    'report.parts':          'DESGLOSE POR PARTES ({count} partes)',
+    'report.rules':          'REGLAS LOCALES',
+    'report.normalization':  'NORMALIZACIÓN',
+    'report.redaction':      'OCULTADO',
+    'report.textRedacted':   'TEXTO ANALIZADO (OCULTADO, TAL COMO SE ENVIÓ)',
+    'report.yes':            'SÍ',
+    'report.no':             'NO',
+    'report.infoOnly':       'solo informativo',
+    'report.na':             'N/D',
+    'report.flaggedTag':     'marcado',
+    'report.worst':          'peor',
+    'report.part':           'Parte',
+    'report.chars':          'caracteres {start}–{end}',
+    'report.footer':         'Con la tecnología de ClearText + OpenAI Moderation API',
+    'offline.restored':      'Conexión restablecida',
+    'settings.saveFailed':   'No se pudo guardar este ajuste en este navegador.',
+    'toast.noCopy':          'Aún no hay resultados para copiar.',
+    'toast.copied':          '¡Informe copiado al portapapeles!',
+    'toast.copyFailed':      'No se pudo copiar al portapapeles. Cópialo a mano.',
+    'toast.noFlag':          'Aún no hay contenido para marcar.',
+    'toast.alreadyFlagged':  'Este contenido ya está en la cola de revisión.',
+    'toast.flagFailed':      'No se pudo marcar este contenido. Inténtalo de nuevo.',
+    'toast.flagged':         'Contenido marcado para revisión humana.',
+    'toast.noExport':        'Aún no hay resultados para exportar.',
+    'outbox.queuedDown':     'No se puede contactar con el servidor — guardado en la cola. Se enviará cuando el servidor vuelva.',
+    'outbox.queuedOffline':  'Estás sin conexión — guardado en la cola. Se enviará cuando vuelva la conexión.',
+    'outbox.sentOne':        'Se envió 1 análisis en cola.',
+    'outbox.sentMany':       'Se enviaron {count} análisis en cola.',
+    'backends.saveFailed':   'No se pudieron guardar los backends en este navegador.',
+    'backends.ignoredLink':  'Se ignora ?{param}=: {message}',
+    'backends.switched':     'Los análisis se envían ahora a {name}.',
+    'compare.failed':        'La comparación falló.',
+    'pwa.update':            'Hay una nueva versión de ClearText disponible.',
+    'pwa.reload':            'Recargar',
+    'batch.busy':            'Ya hay un lote en curso. Cancélalo o espera a que termine.',
+    'batch.readFailed':      'No se pudo leer este archivo.',
+    'batch.started':         'Analizando {count} filas…',
+    'batch.cancelled':       'Lote cancelado tras {count} filas.',
+    'batch.failed':          'Lote terminado — fallaron {failed} de {total} filas.',
+    'batch.done':            'Lote terminado — {count} filas analizadas.',
+    'history.deleteFailed':  'No se pudo eliminar este análisis.',
+    'history.cleared':       'Historial borrado.',
+    'history.clearFailed':   'No se pudo borrar el historial.',
+    'history.noExport':      'No hay análisis guardados para exportar.',
+    'policy.saveFailed':     'No se pudieron guardar los perfiles de política en este navegador.',
+    'policy.saved':          'Política "{name}" guardada.',
+    'policy.reset':          '"{name}" volvió a sus valores predeterminados.',
+    'policy.deleted':        'Perfil de política eliminado.',
+    'review.status.open':    'Abierto',
+    'review.status.escalated': 'Escalado',
+    'review.status.approved': 'Aprobado',
+    'review.status.removed': 'Eliminado',
+    'review.status.all':     'Todos',
+    'review.marked':         'Marcado como {status}.',
+    'review.updateFailed':   'No se pudo actualizar este elemento de revisión.',
+    'review.commentFailed':  'No se pudo guardar el comentario.',
+    'explain.tooLong':       'Este texto es demasiado largo para explicarlo frase por frase — consulta el desglose por partes.',
+    'explain.single':        'Este texto es una sola frase — las puntuaciones de arriba ya lo describen.',
+    'explain.failed':        'No se pudieron puntuar las frases por separado. Inténtalo de nuevo en breve.',
+    'explain.partFailed':    'No se pudieron puntuar {failed} de {total} frases.',
+    'rephrase.finding':      'Ronda {round} de {max}: buscando las frases más arriesgadas…',
+    'rephrase.scoring':      'Ronda {round} de {max}: puntuando frases {done}/{total}…',
+    'rephrase.rechecking':   'Ronda {round} de {max}: volviendo a comprobar la reescritura…',
+    'rephrase.roundsOne':    '1 ronda',
+    'rephrase.roundsMany':   '{count} rondas',
+    'rephrase.safe':         'Por debajo del umbral de aviso tras {rounds} ({path} de riesgo global).',
+    'rephrase.still':        'Sigue en {verdict} tras {rounds} ({path}). Añade entradas al diccionario o edita el texto a mano.',
+    'rephrase.failed':       'No se pudo comprobar la reescritura.',
+    'rephrase.dictSaved':    'Diccionario guardado con {count} entradas.',
+    'rephrase.dictSaveFailed': 'No se pudo guardar el diccionario en este navegador.',
+    'normalize.zeroWidth':   'caracteres ocultos',
+    'normalize.emoji':       'emojis en lugar de letras',
+    'normalize.confusables': 'letras de aspecto similar',
+    'normalize.spaced':      'letras separadas',
+    'normalize.undid':       'Se deshicieron {list} antes de puntuar.',
+    'normalize.evasion':     'Probable evasión deliberada: tal como se escribió puntuó {score}%.',
+    'normalize.asTyped':     'Tal como se escribió puntuó {score}%.',
+    'normalize.scoredAs':    'Puntuado como:',
+    'rules.matched':         'coincidió {examples}',
+    'rules.effect.force':    '{category} fijada en {score}%',
+    'rules.effect.suppress': 'no se envió, {category} suprimida',
+    'rules.effect.explain':  '{category} anotada',
+    'rules.saveFailed':      'No se pudieron guardar las reglas en este navegador.',
+    'rules.added':           'Regla añadida. Se aplica a los análisis a partir de ahora.',
+    'rules.noExport':        'Aún no hay reglas para exportar.',
+    'rules.importedOne':     'Se importó 1 regla.',
+    'rules.importedMany':    'Se importaron {count} reglas.',
+    'report.warnTag':        'AVISO',
+    'report.dangerTag':      'PELIGRO',
+    'export.title':          'Informe de análisis de ClearText',
+    'export.subtitle':       'Exportado el {date} · Perfil de política: {policy} · {results}',
+    'export.resultsOne':     '1 resultado',
+    'export.resultsMany':    '{count} resultados',
+    'export.date':           'Fecha',
+    'export.backend':        'Backend',
+    'export.overall':        'Puntuación de riesgo global',
+    'export.flagged':        'Marcado por la IA',
+    'export.yes':            'Sí',
+    'export.no':             'No',
+    'export.category':       'Categoría',
+    'export.score':          'Puntuación',
+    'export.level':          'Nivel',
+    'export.level.info':     'solo informativo',
+    'export.level.safe':     'bajo',
+    'export.level.warn':     'aviso',
+    'export.level.danger':   'peligro',
+    'export.normalization':  'Normalización',
+    'export.redaction':      'Ocultado antes de enviar',
+    'export.rules':          'Reglas locales',
+    'export.text':           'Texto analizado',
+    'export.textRedacted':   'Texto analizado (ocultado, tal como se envió)',
+    'export.popupBlocked':   'Ventana emergente bloqueada — se descargó el informe imprimible en su lugar.',
+    'export.done':           'Se exportaron {results} como {format}.',
+    'export.failed':         'No se pudo exportar. Inténtalo de nuevo.',
+    'insights.from':         'Desde',
+    'insights.to':           'Hasta',
+    'insights.today':        'Hoy',
+    'insights.days7':        '7 días',
+    'insights.days30':       '30 días',
+    'insights.all':          'Todo',
+    'insights.verdicts':     'Veredictos',
+    'insights.drivers':      'Qué impulsa el riesgo alto',
+    'insights.timeline':     'Tasa de marcados en el tiempo',
+    'insights.histograms':   'Distribución de puntuaciones por categoría',
+    'insights.none':         'Los análisis que hagas se guardan en el historial y se resumen aquí.',
+    'insights.noneInRange':  'No hay análisis guardados en este rango de fechas.',
+    'insights.summaryOne':   '1 análisis · {flagged}% marcados · política {policy}',
+    'insights.summaryMany':  '{count} análisis · {flagged}% marcados · política {policy}',
+    'insights.truncated':    'El historial solo guarda los últimos {max} análisis, así que estas cifras empiezan el {date}. Los análisis anteriores de este rango no se cuentan.',
+    'insights.noDrivers':    'No hay veredictos de riesgo alto en este rango.',
+    'insights.countOf':      '{count} de {total}',
+    'insights.noAnalyses':   '{range}: sin análisis',
+    'insights.flaggedOf':    '{range}: {flagged} de {total} marcados ({rate}%)',
+    'insights.timelineLabel': 'Porcentaje de análisis marcados en el tiempo',
+    'insights.histogramLabel': 'Puntuaciones de {category} en {count} análisis',
+    'insights.noExport':     'No hay análisis guardados en este rango para exportar.',
+    'insights.exported':     'Tendencias de {count} análisis exportadas como {format}.',
+    'thread.transcript':     'Conversación',
+    'thread.saveEach':       'Guardar también cada mensaje en el historial',
+    'thread.import':         'Importar archivo…',
+    'thread.analyze':        'Analizar hilo',
+    'thread.speakers':       'Participantes',
+    'thread.timeline':       'Cronología',
+    'thread.noSpeaker':      'La primera línea no tiene participante. Usa líneas "participante: mensaje".',
+    'thread.missingFields':  'El mensaje {n} necesita los campos "speaker" y "text".',
+    'thread.notAList':       'Se esperaba una lista de mensajes o un objeto con una lista "messages".',
+    'thread.badLine':        'La línea {n} no es JSON válido.',
+    'thread.badFile':        '{file} no es JSON válido.',
+    'thread.empty':          'No se encontraron mensajes. Usa líneas "participante: mensaje" o una lista JSON.',
+    'thread.tooMany':        'Demasiados mensajes. Máximo {max} por hilo.',
+    'thread.messagesOne':    '1 mensaje',
+    'thread.messagesMany':   '{count} mensajes',
+    'thread.speakersOne':    '1 participante',
+    'thread.speakersMany':   '{count} participantes',
+    'thread.scoredMeta':     '{messages} · pico {peak}% · media {mean}%',
+    'thread.flaggedMeta':    '{count} marcados por el modelo',
+    'thread.unscoredMeta':   '{messages} · aún sin puntuar',
+    'thread.escalatingTag':  'En aumento',
+    'thread.escalation':     '↗ {name} va a más: las puntuaciones suben unos {slope} puntos por mensaje ({first}% → {last}%).',
+    'thread.open':           'Abrir',
+    'thread.status.queued':  'En cola',
+    'thread.status.running': 'Analizando…',
+    'thread.status.error':   'Falló',
+    'thread.error':          'El análisis falló.',
+    'thread.progress':       '{done} / {total} analizados',
+    'thread.busy':           'Ya se está analizando un hilo. Cancélalo o espera a que termine.',
+    'thread.cancelled':      'Análisis del hilo cancelado tras {messages}.',
+    'thread.failed':         'Hilo analizado — fallaron {failed} de {total} mensajes.',
+    'thread.done':           'Hilo analizado — {messages} de {speakers}.',
+    'history.confirmClear':  '¿Eliminar los {count} análisis guardados? No se puede deshacer.',
+    'policy.confirmDelete':  '¿Eliminar el perfil de política "{name}"?',
+    'backends.confirmRemove': '¿Quitar el backend "{name}"?',
+    'rules.confirmRemove':   '¿Quitar la regla "{label}"?',
+    'analyze.partsHint':     'Texto largo: se analizará en unas {count} partes',
+    'results.copied':        '¡Copiado!',
+    'results.flagged':       'Marcado',
+    'results.risk':          '{score}% de riesgo',
+    'batch.badLine':         'La línea {n} no es JSON válido.',
+    'batch.noTextField':     'La línea {n} no tiene un campo "text".',
+    'batch.badType':         'Tipo de archivo no admitido. Usa un archivo .csv, .txt o .jsonl.',
+    'batch.noRows':          'No se encontraron filas de texto en este archivo.',
+    'batch.tooMany':         'Demasiadas filas. Máximo {max} por lote.',
+    'batch.progress':        '{done} / {total} analizadas',
+    'batch.colText':         'Texto',
+    'batch.colVerdict':      'Veredicto',
+    'batch.status.running':  'Analizando…',
+    'batch.status.queued':   'En cola',
+    'batch.error':           'El análisis falló.',
+    'history.countOne':      '1 guardado',
+    'history.countMany':     '{count} guardados',
+    'history.unavailable':   'El historial no está disponible en este navegador (IndexedDB está desactivado).',
+    'history.noMatch':       'Ningún análisis guardado coincide con tus filtros.',
+    'history.empty':         'Los análisis que hagas se guardan aquí automáticamente.',
+    'history.open':          'Abrir',
+    'history.delete':        'Eliminar',
+    'history.deleteLabel':   'Eliminar este análisis',
+    'policy.resetButton':    'Restablecer',
+    'policy.deleteButton':   'Eliminar',
+    'policy.resetLabel':     'Restablecer el perfil a sus valores predeterminados',
+    'policy.deleteLabel':    'Eliminar este perfil',
+    'policy.warnLabel':      '{category}: aviso desde',
+    'policy.dangerLabel':    '{category}: peligro por encima de',
+    'policy.infoLabel':      '{category}: solo informativa',
+    'policy.badThreshold':   '{category}: los umbrales deben ser números enteros de 0 a 100.',
+    'policy.warnAboveDanger': '{category}: el umbral de aviso no puede superar el de peligro.',
+    'policy.noName':         'Ponle un nombre al perfil.',
+    'policy.copyName':       '{name} (copia)',
+    'explain.button':        'Explicar',
+    'explain.again':         'Volver a explicar',
+    'explain.progress':      'Explicando… {done}/{total}',
+    'explain.allCategories': 'Todas las categorías',
+    'explain.unscored':      'No se pudo puntuar esta frase',
+    'review.action.approved': 'Aprobar',
+    'review.action.removed': 'Retirar',
+    'review.action.escalated': 'Escalar',
+    'review.action.open':    'Reabrir',
+    'review.flaggedOn':      'Marcado el {date}',
+    'review.reporterNote':   'Nota de quien informa',
+    'review.comments':       'Comentarios de moderación',
+    'review.commentLabel':   'Añadir un comentario',
+    'review.commentPlaceholder': 'Añade un comentario de moderación…',
+    'review.commentButton':  'Comentar',
+    'review.emptyView':      'No hay nada en esta vista.',
+    'review.empty':          'El contenido marcado aparecerá aquí para su revisión.',
+    'review.loadFailed':     'No se pudo cargar la cola de revisión.',
+    'review.sinkLocal':      'Guardado en este dispositivo',
+    'review.sinkHttp':       'Enviado a {url}',
+    'review.unreachable':    'No se pudo contactar con el servidor de revisión. Comprueba tu conexión.',
+    'review.serverError':    'Error del servidor de revisión ({status})',
+    'live.tooLong':          'Demasiado largo para la comprobación en vivo: usa Analizar texto',
+    'live.checking':         'Comprobando…',
+    'live.unavailable':      'Comprobación en vivo no disponible',
+    'outbox.status.queued':  'En espera',
+    'outbox.status.sending': 'Enviando…',
+    'outbox.status.failed':  'Falló',
+    'outbox.waiting':        '{count} en espera',
+    'outbox.autoSend':       'Se enviará automáticamente cuando vuelva la conexión',
+    'outbox.open':           'Abrir',
+    'outbox.remove':         'Quitar',
+    'outbox.removeLabel':    'Quitar de la cola',
+    'backends.badUrl':       'Introduce una URL completa, p. ej. https://staging.example.com',
+    'backends.badProtocol':  'Las URL de backend deben empezar por http:// o https://',
+    'backends.noName':       'Ponle un nombre al backend.',
+    'backends.duplicate':    'Ya existe un backend llamado "{name}".',
+    'backends.override':     '"{name}" lo eligió el enlace ?{param}= de esta página solo para esta visita.',
+    'backends.remove':       'Quitar',
+    'backends.removeLabel':  'Quitar este backend',
+    'compare.same':          'Ambos puntúan igual: {score}% de riesgo global.',
+    'compare.saferOne':      '{title} es más seguro por 1 punto porcentual ({winner}% frente a {loser}% de riesgo global, {detail}).',
+    'compare.saferMany':     '{title} es más seguro por {margin} puntos porcentuales ({winner}% frente a {loser}% de riesgo global, {detail}).',
+    'compare.both':          'ambos {level}',
+    'compare.versus':        '{a} frente a {b}',
+    'compare.text':          'Texto',
+    'compare.textA':         'Texto A',
+    'compare.textB':         'Texto B',
+    'compare.safer':         'Más seguro',
+    'compare.parts':         '{count} partes',
+    'compare.scoresLabel':   'Puntuaciones por categoría de {title}',
+    'compare.needBoth':      'Introduce ambos textos para compararlos.',
+    'compare.needText':      'Introduce un texto para comparar.',
+    'compare.needBackends':  'Elige dos backends para comparar.',
+    'compare.sameBackend':   'Elige dos backends distintos para comparar.',
+    'compare.button':        'Comparar',
+    'compare.busy':          'Comparando…',
+    'rules.action.force':    'Forzar',
+    'rules.action.explain':  'Explicar',
+    'rules.action.suppress': 'Suprimir',
+    'rules.does.force':      'fijar {category} en {score}%',
+    'rules.does.explain':    'explicar en {category}',
+    'rules.does.suppress':   'suprimir {category}, sin que lo vea el modelo',
+    'rules.wordsOne':        '1 palabra: {words}',
+    'rules.wordsMany':       '{count} palabras: {words}',
+    'rules.enable':          'Activar {label}',
+    'rules.remove':          'Quitar',
+    'rules.removeLabel':     'Quitar esta regla',
+    'rules.notObject':       'Cada regla debe ser un objeto.',
+    'rules.noName':          'Cada regla necesita un nombre.',
+    'rules.badAction':       '"{label}": la acción debe ser force, explain o suppress.',
+    'rules.badCategory':     '"{label}": categoría desconocida "{category}".',
+    'rules.emptyPattern':    '"{label}": el patrón está vacío.',
+    'rules.badPattern':      '"{label}": {message}',
+    'rules.noTerms':         '"{label}": añade al menos una palabra.',
+    'rules.badScore':        '"{label}": la puntuación forzada debe ser un número entero de 0 a 100.',
+    'rules.badFile':         '{file} no es JSON válido.',
+    'rules.notAList':        'Se esperaba una lista de reglas o un objeto con una lista "rules".',
+    'rules.importError':     'Regla {n}: {message}',
+  },
+
+  ar: {
+    'offline.banner':        'لا يوجد اتصال بالإنترنت — قد لا تتوفر النتائج',
+    'nav.home':              'الرئيسية',
+    'nav.analyze':           'تحليل',
+    'nav.batch':             'دفعة',
+    'nav.thread':            'المحادثة',
+    'nav.history':           'السجل',
+    'nav.insights':          'الاتجاهات',
+    'nav.policy':            'السياسة',
+    'nav.review':            'المراجعة',
+    'nav.compare':           'مقارنة',
+    'nav.settings':          'الإعدادات',
+    'nav.apiDocs':           'وثائق API',
+    'hero.badge':            'مدعوم بواجهة OpenAI Moderation API',
+    'hero.line1':            'اكتشف المحتوى الضار',
+    'hero.line2':            'في لحظات',
+    'hero.subtext':          'حلّل أي نص بحثًا عن خطاب الكراهية والتحرش والعنف والمحتوى الجنسي وإشارات إيذاء النفس والأنشطة غير المشروعة — مع درجات ثقة فورية وتفاصيل دقيقة.',
+    'hero.start':            'ابدأ التحليل',
+    'hero.learnMore':        'اعرف المزيد',
+    'hero.statCategories':   'فئات السُمّية',
+    'hero.statUptime':       'مدة التشغيل',
+    'hero.statResponse':     'متوسط الاستجابة',
+    'hero.scroll':           'مرّر للتحليل',
+    'batch.title':           'تحليل دفعة',
+    'batch.desc':            'أسقط ملف تعليقات وستُراجَع كل الصفوف، جاهزة للفرز حسب الخطر.',
+    'thread.title':          'الإشراف على المحادثات',
+    'thread.desc':           'الصق نص محادثة أو استورده. يُقيَّم كل رسالة، ويحصل كل متحدث على درجة خطر إجمالية، ويُنبَّه إلى العدائية المتصاعدة.',
+    'history.title':         'السجل',
+    'history.desc':          'يُحفظ كل تحليل على هذا الجهاز. ابحث في النتائج السابقة أو افتحها أو احذفها.',
+    'insights.title':        'اتجاهات الإشراف',
+    'insights.desc':         'اتجاهات التحليلات المحفوظة على هذا الجهاز: توزيع الأحكام ودرجات الفئات ونسبة المحتوى المُبلَّغ عنه عبر الوقت وما يقود الخطر العالي.',
+    'policy.title':          'سياسة الإشراف',
+    'policy.desc':           'اختر ملفًا أو اضبط حدود التحذير والخطر لكل فئة. يُحفظ على هذا الجهاز.',
+    'review.title':          'قائمة المراجعة',
+    'review.desc':           'محتوى مُبلَّغ عنه للمراجعة البشرية. صنّف كل عنصر وعلّق عليه وأغلقه.',
+    'compare.title':         'مقارنة',
+    'compare.desc':          'قيّم نسختين من نص، أو نصًا واحدًا على خادمين، جنبًا إلى جنب.',
+    'settings.title':        'الإعدادات',
+    'settings.desc':         'تفضيلات هذا الجهاز. لا شيء هنا يغادر متصفحك.',
+    'settings.language':     'اللغة',
+    'settings.languageHint': 'لغة الواجهة. يمكن تحليل النصوص بأي لغة، وتُظهر النتائج اللغة التي تم اكتشافها.',
+
+    'analyze.title':         'تحليل النص',
+    'analyze.desc':          'الصق أو اكتب أي محتوى أدناه. تظهر النتائج خلال ثوانٍ.',
+    'analyze.placeholder':   'الصق أو اكتب النص هنا لتحليله بحثًا عن السُمّية وخطاب الكراهية وغير ذلك...',
+    'analyze.hint':          'حتى 100,000 حرف — تُقسَّم النصوص الطويلة تلقائيًا',
+    'analyze.live':          'فحص مباشر',
+    'analyze.clear':         'مسح',
+    'analyze.button':        'حلّل النص',
+    'analyze.busy':          'جارٍ التحليل…',
+    'analyze.part':          'جارٍ تحليل الجزء {done}/{total}…',
+    'analyze.empty':         'يرجى إدخال نص قبل التحليل.',
+    'analyze.waking':        'يرجى الانتظار — الخادم قيد التشغيل. قد يستغرق ذلك حتى 30 ثانية.',
+    'analyze.slow':          'يستغرق الأمر وقتًا أطول من المعتاد — يرجى الانتظار…',
+    'analyze.cancelled':     'أُلغي التحليل.',
+    'analyze.failed':        'حدث خطأ غير متوقع.',
+    'retry.timeout':         'الخادم يستغرق وقتًا ليستيقظ',
+    'retry.network':         'تعذّر الوصول إلى الخادم',
+    'retry.warming':         'نموذج الذكاء الاصطناعي قيد التهيئة',
+    'retry.rateLimit':       'طلبات كثيرة جدًا حاليًا',
+    'retry.gateway':         'تعذّر الوصول إلى نموذج الذكاء الاصطناعي',
+    'retry.failed':          'فشل الطلب',
+    'retry.countdown':       '{reason} — إعادة المحاولة خلال {secs} ث (المحاولة {attempt} من {max})',
+
+    'server.checking':       'جارٍ فحص الخادم…',
+    'server.online':         'الخادم متصل',
+    'server.waking':         'الخادم قيد التشغيل…',
+    'server.offline':        'الخادم غير متصل',
+    'server.ready':          'الخادم متصل وجاهز.',
+    'server.down':           'يبدو أن الخادم غير متصل. جارٍ إعادة المحاولة…',
+    'api.empty':             'يرجى إدخال نص لتحليله.',
+    'api.tooLong':           'النص طويل جدًا. الحد الأقصى {max} حرف.',
+    'api.offline':           'لا يوجد اتصال بالإنترنت. تحقق من شبكتك وحاول مرة أخرى.',
+    'api.timeout':           'انتهت مهلة الطلب. قد يكون الخادم قيد التشغيل — حاول مرة أخرى بعد قليل.',
+    'api.network':           'خطأ في الشبكة. تعذّر الوصول إلى خادم التحليل. تحقق من اتصالك.',
+    'api.warming':           'نموذج الذكاء الاصطناعي قيد التهيئة. انتظر {secs} ثانية ثم حاول مرة أخرى.',
+    'api.rateLimit':         'طلبات كثيرة جدًا. انتظر قليلًا وحاول مرة أخرى.',
+    'api.serverError':       'خطأ في الخادم ({status})',
+    'api.badRequest':        'طلب غير صالح. جرّب نصًا آخر.',
+    'api.forbidden':         'رفض الخادم الوصول (CORS). تواصل مع الدعم.',
+    'api.badGateway':        'تعذّر الوصول إلى نموذج الذكاء الاصطناعي. حاول مرة أخرى قريبًا.',
+    'api.gatewayTimeout':    'انتهت مهلة الطلب. حاول مرة أخرى.',
+    'api.internal':          'خطأ داخلي في الخادم. حاول مرة أخرى قريبًا.',
+    'api.partFailed':        'الجزء {part} من {total}: {message}',
+
+    'verdict.safe.title':    'يبدو المحتوى آمنًا',
+    'verdict.safe.subtitle': 'لم يُكتشف محتوى ضار يُذكر في هذا النص.',
+    'verdict.safe.badge':    'خطر منخفض',
+    'verdict.warn.title':    'قد يكون مثيرًا للقلق',
+    'verdict.warn.subtitle': 'قد يعتبر بعض الجمهور جزءًا من المحتوى ضارًا أو مسيئًا.',
+    'verdict.warn.badge':    'خطر متوسط',
+    'verdict.hate.title':    'تم اكتشاف محتوى ضار',
+    'verdict.hate.subtitle': 'يحتوي هذا النص على محتوى مصنّف كضار أو سام أو يحض على الكراهية.',
+    'verdict.hate.badge':    'خطر مرتفع',
+    'category.hate':         'خطاب الكراهية',
+    'category.harassment':   'التحرش',
+    'category.violence':     'العنف',
+    'category.sexual':       'محتوى جنسي',
+    'category.selfHarm':     'إيذاء النفس',
+    'category.illicit':      'نشاط غير مشروع',
+    'category.other':        'أخرى',
+    'results.analyzedText':  'النص المُحلَّل',
+    'results.breakdown':     'التفصيل حسب الفئة',
+    'results.parts':         'التفصيل حسب الأجزاء',
+    'results.actions':       'الإجراءات',
+    'results.copy':          'نسخ التقرير',
+    'results.export':        'تصدير',
+    'results.flag':          'الإبلاغ للمراجعة',
+    'results.new':           'تحليل جديد',
+    'results.policy':        'السياسة: {name}',
+    'results.triggeredBy':   'بسبب {categories}',
+    'results.rulesOne':      'قاعدة محلية واحدة',
+    'results.rulesMany':     '{count} قواعد محلية',
+    'results.cached':        'نتيجة مخزنة مؤقتًا',
+    'results.flaggedTag':    'مُبلَّغ عنه',
+    'results.infoOnly':      'للمعلومات فقط',
+    'results.worstPart':     'أسوأ جزء',
+    'results.language':      'اللغة: {language}',
+    'results.languageWarning': 'لا يدعم {provider} اللغة {language} جيدًا. تعامل مع هذه الدرجات بحذر واطلب من مراجع يتقنها فحص النص.',
+    'language.hi-Latn':      'الهندية (بالحروف اللاتينية)',
+
+    'redact.preview':        'سيُخفى قبل الإرسال: {list}',
+    'redact.show':           'عرض ما سيُرسل',
+    'redact.note':           'استُبدلت البيانات الشخصية قبل الإرسال: {list}.',
+    'redact.sentAs':         'أُرسل بالشكل:',
+    'redact.custom':         'كلماتك المدرجة',
+    'redact.email':          'عناوين البريد الإلكتروني',
+    'redact.card':           'أرقام البطاقات',
+    'redact.ip':             'عناوين IP',
+    'redact.phone':          'أرقام الهواتف',
+    'redact.address':        'عناوين الشوارع',
+    'redact.username':       'أسماء المستخدمين',
+
+    'report.title':          'تقرير تحليل CLEARTEXT',
+    'report.date':           'التاريخ',
+    'report.text':           'النص المُحلَّل',
+    'report.verdict':        'الحكم',
+    'report.policy':         'ملف السياسة',
+    'report.backend':        'الخادم',
+    'report.language':       'اللغة',
+    'report.overall':        'درجة الخطر الإجمالية',
+    'report.flagged':        'أبلغ عنه الذكاء الاصطناعي',
+    'report.flaggedCategories': 'الفئات المُبلَّغ عنها',
+    'report.breakdown':      'التفصيل حسب الفئة',
+    'report.parts':          'التفصيل حسب الأجزاء ({count} أجزاء)',
+    'report.rules':          'القواعد المحلية',
+    'report.normalization':  'التطبيع',
+    'report.redaction':      'المحجوب',
+    'report.textRedacted':   'النص المحلَّل (بعد الحجب، كما أُرسل)',
+    'report.yes':            'نعم',
+    'report.no':             'لا',
+    'report.infoOnly':       'للمعلومات فقط',
+    'report.na':             'غير متاح',
+    'report.flaggedTag':     'مُبلَّغ عنه',
+    'report.worst':          'الأسوأ',
+    'report.part':           'الجزء',
+    'report.chars':          'الأحرف {start}–{end}',
+    'report.footer':         'مدعوم بـ ClearText و OpenAI Moderation API',
+    'offline.restored':      'عاد الاتصال',
+    'settings.saveFailed':   'تعذّر حفظ هذا الإعداد في هذا المتصفح.',
+    'toast.noCopy':          'لا توجد نتائج لنسخها بعد.',
+    'toast.copied':          'نُسخ التقرير إلى الحافظة!',
+    'toast.copyFailed':      'تعذّر النسخ إلى الحافظة. انسخه يدويًا.',
+    'toast.noFlag':          'لا يوجد محتوى للإبلاغ عنه بعد.',
+    'toast.alreadyFlagged':  'هذا المحتوى موجود بالفعل في قائمة المراجعة.',
+    'toast.flagFailed':      'تعذّر الإبلاغ عن هذا المحتوى. حاول مرة أخرى.',
+    'toast.flagged':         'أُبلغ عن المحتوى للمراجعة البشرية.',
+    'toast.noExport':        'لا توجد نتائج لتصديرها بعد.',
+    'outbox.queuedDown':     'تعذّر الوصول إلى الخادم — حُفظ في قائمة الانتظار. سيُرسل عند عودة الخادم.',
+    'outbox.queuedOffline':  'أنت غير متصل — حُفظ في قائمة الانتظار. سيُرسل عند عودة الاتصال.',
+    'outbox.sentOne':        'أُرسل تحليل واحد من قائمة الانتظار.',
+    'outbox.sentMany':       'أُرسلت {count} تحليلات من قائمة الانتظار.',
+    'backends.saveFailed':   'تعذّر حفظ الخوادم في هذا المتصفح.',
+    'backends.ignoredLink':  'تم تجاهل ?{param}=: {message}',
+    'backends.switched':     'تُرسل التحليلات الآن إلى {name}.',
+    'compare.failed':        'فشلت المقارنة.',
+    'pwa.update':            'يتوفر إصدار جديد من ClearText.',
+    'pwa.reload':            'إعادة التحميل',
+    'batch.busy':            'هناك دفعة قيد التشغيل بالفعل. ألغها أو انتظر حتى تنتهي.',
+    'batch.readFailed':      'تعذّرت قراءة هذا الملف.',
+    'batch.started':         'جارٍ تحليل {count} صفوف…',
+    'batch.cancelled':       'أُلغيت الدفعة بعد {count} صفوف.',
+    'batch.failed':          'انتهت الدفعة — فشل {failed} من {total} صفوف.',
+    'batch.done':            'انتهت الدفعة — حُلّل {count} صفوف.',
+    'history.deleteFailed':  'تعذّر حذف هذا التحليل.',
+    'history.cleared':       'مُسح السجل.',
+    'history.clearFailed':   'تعذّر مسح السجل.',
+    'history.noExport':      'لا توجد تحليلات محفوظة لتصديرها.',
+    'policy.saveFailed':     'تعذّر حفظ ملفات السياسة في هذا المتصفح.',
+    'policy.saved':          'حُفظت السياسة "{name}".',
+    'policy.reset':          'أُعيدت "{name}" إلى إعداداتها الافتراضية.',
+    'policy.deleted':        'حُذف ملف السياسة.',
+    'review.status.open':    'مفتوح',
+    'review.status.escalated': 'مُصعَّد',
+    'review.status.approved': 'مقبول',
+    'review.status.removed': 'محذوف',
+    'review.status.all':     'الكل',
+    'review.marked':         'تم التعليم كـ {status}.',
+    'review.updateFailed':   'تعذّر تحديث عنصر المراجعة هذا.',
+    'review.commentFailed':  'تعذّر حفظ التعليق.',
+    'explain.tooLong':       'هذا النص أطول من أن يُشرح جملةً جملة — راجع التفصيل حسب الأجزاء بدلًا من ذلك.',
+    'explain.single':        'هذا النص جملة واحدة — الدرجات أعلاه تصفه بالفعل.',
+    'explain.failed':        'تعذّر تقييم الجمل كلٌّ على حدة. حاول مرة أخرى بعد قليل.',
+    'explain.partFailed':    'تعذّر تقييم {failed} من {total} جمل.',
+    'rephrase.finding':      'الجولة {round} من {max}: البحث عن أخطر الجمل…',
+    'rephrase.scoring':      'الجولة {round} من {max}: تقييم الجمل {done}/{total}…',
+    'rephrase.rechecking':   'الجولة {round} من {max}: إعادة فحص الصياغة الجديدة…',
+    'rephrase.roundsOne':    'جولة واحدة',
+    'rephrase.roundsMany':   '{count} جولات',
+    'rephrase.safe':         'دون عتبة التحذير بعد {rounds} ({path} من الخطورة الإجمالية).',
+    'rephrase.still':        'لا يزال {verdict} بعد {rounds} ({path}). أضف مدخلات إلى القاموس أو عدّل النص يدويًا.',
+    'rephrase.failed':       'تعذّر فحص الصياغة الجديدة.',
+    'rephrase.dictSaved':    'حُفظ القاموس بـ {count} مدخلات.',
+    'rephrase.dictSaveFailed': 'تعذّر حفظ القاموس في هذا المتصفح.',
+    'normalize.zeroWidth':   'أحرف مخفية',
+    'normalize.emoji':       'رموز تعبيرية بدل الأحرف',
+    'normalize.confusables': 'أحرف متشابهة الشكل',
+    'normalize.spaced':      'أحرف متباعدة',
+    'normalize.undid':       'أُزيلت {list} قبل التقييم.',
+    'normalize.evasion':     'على الأرجح تهرّب متعمَّد: كما كُتب حصل على {score}%.',
+    'normalize.asTyped':     'كما كُتب حصل على {score}%.',
+    'normalize.scoredAs':    'قُيّم على أنه:',
+    'rules.matched':         'طابق {examples}',
+    'rules.effect.force':    'ضُبطت {category} على {score}%',
+    'rules.effect.suppress': 'لم يُرسل، وأُخمدت {category}',
+    'rules.effect.explain':  'سُجّل ضمن {category}',
+    'rules.saveFailed':      'تعذّر حفظ القواعد في هذا المتصفح.',
+    'rules.added':           'أُضيفت القاعدة. تنطبق على التحليلات من الآن فصاعدًا.',
+    'rules.noExport':        'لا توجد قواعد لتصديرها بعد.',
+    'rules.importedOne':     'استُوردت قاعدة واحدة.',
+    'rules.importedMany':    'استُوردت {count} قواعد.',
+    'report.warnTag':        'تحذير',
+    'report.dangerTag':      'خطر',
+    'export.title':          'تقرير تحليل ClearText',
+    'export.subtitle':       'صُدّر في {date} · ملف السياسة: {policy} · {results}',
+    'export.resultsOne':     'نتيجة واحدة',
+    'export.resultsMany':    '{count} نتائج',
+    'export.date':           'التاريخ',
+    'export.backend':        'الخادم',
+    'export.overall':        'درجة الخطورة الإجمالية',
+    'export.flagged':        'أبلغ عنه الذكاء الاصطناعي',
+    'export.yes':            'نعم',
+    'export.no':             'لا',
+    'export.category':       'الفئة',
+    'export.score':          'الدرجة',
+    'export.level':          'المستوى',
+    'export.level.info':     'للعلم فقط',
+    'export.level.safe':     'منخفض',
+    'export.level.warn':     'تحذير',
+    'export.level.danger':   'خطر',
+    'export.normalization':  'التطبيع',
+    'export.redaction':      'أُخفي قبل الإرسال',
+    'export.rules':          'القواعد المحلية',
+    'export.text':           'النص المُحلَّل',
+    'export.textRedacted':   'النص المُحلَّل (مُخفى، كما أُرسل)',
+    'export.popupBlocked':   'حُظرت النافذة المنبثقة — نُزّل التقرير القابل للطباعة بدلًا من ذلك.',
+    'export.done':           'صُدّرت {results} بصيغة {format}.',
+    'export.failed':         'تعذّر التصدير. حاول مرة أخرى.',
+    'insights.from':         'من',
+    'insights.to':           'إلى',
+    'insights.today':        'اليوم',
+    'insights.days7':        '7 أيام',
+    'insights.days30':       '30 يومًا',
+    'insights.all':          'الكل',
+    'insights.verdicts':     'الأحكام',
+    'insights.drivers':      'ما يقود الخطر العالي',
+    'insights.timeline':     'نسبة المُبلَّغ عنه عبر الوقت',
+    'insights.histograms':   'توزيع الدرجات حسب الفئة',
+    'insights.none':         'تُحفظ التحليلات التي تجريها في السجل وتُلخَّص هنا.',
+    'insights.noneInRange':  'لا توجد تحليلات محفوظة في هذا النطاق الزمني.',
+    'insights.summaryOne':   'تحليل واحد · {flagged}% مُبلَّغ عنه · السياسة {policy}',
+    'insights.summaryMany':  '{count} تحليلات · {flagged}% مُبلَّغ عنه · السياسة {policy}',
+    'insights.truncated':    'يحتفظ السجل بآخر {max} تحليل فقط، لذا تبدأ هذه الأرقام في {date}. لا تُحتسب التحليلات الأقدم في هذا النطاق.',
+    'insights.noDrivers':    'لا توجد أحكام عالية الخطورة في هذا النطاق.',
+    'insights.countOf':      '{count} من {total}',
+    'insights.noAnalyses':   '{range}: لا توجد تحليلات',
+    'insights.flaggedOf':    '{range}: {flagged} من {total} مُبلَّغ عنه ({rate}%)',
+    'insights.timelineLabel': 'نسبة التحليلات المُبلَّغ عنها عبر الوقت',
+    'insights.histogramLabel': 'درجات {category} عبر {count} تحليلات',
+    'insights.noExport':     'لا توجد تحليلات محفوظة في هذا النطاق لتصديرها.',
+    'insights.exported':     'صُدّرت اتجاهات {count} تحليلات بصيغة {format}.',
+    'thread.transcript':     'نص المحادثة',
+    'thread.saveEach':       'احفظ كل رسالة في السجل أيضًا',
+    'thread.import':         'استيراد ملف…',
+    'thread.analyze':        'تحليل المحادثة',
+    'thread.speakers':       'المتحدثون',
+    'thread.timeline':       'التسلسل الزمني',
+    'thread.noSpeaker':      'السطر الأول بلا متحدث. استخدم أسطرًا بصيغة "المتحدث: الرسالة".',
+    'thread.missingFields':  'الرسالة {n} تحتاج إلى حقلي "speaker" و"text".',
+    'thread.notAList':       'كان المتوقع قائمة رسائل، أو كائنًا يحتوي على قائمة "messages".',
+    'thread.badLine':        'السطر {n} ليس JSON صالحًا.',
+    'thread.badFile':        '{file} ليس JSON صالحًا.',
+    'thread.empty':          'لم يُعثر على رسائل. استخدم أسطرًا بصيغة "المتحدث: الرسالة" أو قائمة JSON.',
+    'thread.tooMany':        'رسائل كثيرة جدًا. الحد الأقصى {max} لكل محادثة.',
+    'thread.messagesOne':    'رسالة واحدة',
+    'thread.messagesMany':   '{count} رسائل',
+    'thread.speakersOne':    'متحدث واحد',
+    'thread.speakersMany':   '{count} متحدثين',
+    'thread.scoredMeta':     '{messages} · الذروة {peak}% · المتوسط {mean}%',
+    'thread.flaggedMeta':    '{count} أبلغ عنها النموذج',
+    'thread.unscoredMeta':   '{messages} · لم تُقيَّم بعد',
+    'thread.escalatingTag':  'تصاعد',
+    'thread.escalation':     '↗ {name} في تصاعد: ترتفع الدرجات نحو {slope} نقاط لكل رسالة ({first}% ← {last}%).',
+    'thread.open':           'فتح',
+    'thread.status.queued':  'في الانتظار',
+    'thread.status.running': 'جارٍ التحليل…',
+    'thread.status.error':   'فشل',
+    'thread.error':          'فشل التحليل.',
+    'thread.progress':       'حُلّل {done} من {total}',
+    'thread.busy':           'هناك محادثة قيد التحليل بالفعل. ألغها أو انتظر حتى تنتهي.',
+    'thread.cancelled':      'أُلغي تحليل المحادثة بعد {messages}.',
+    'thread.failed':         'حُلّلت المحادثة — فشلت {failed} من {total} رسائل.',
+    'thread.done':           'حُلّلت المحادثة — {messages} من {speakers}.',
+    'history.confirmClear':  'حذف كل التحليلات المحفوظة ({count})؟ لا يمكن التراجع عن ذلك.',
+    'policy.confirmDelete':  'حذف ملف السياسة "{name}"؟',
+    'backends.confirmRemove': 'إزالة الخادم "{name}"؟',
+    'rules.confirmRemove':   'إزالة القاعدة "{label}"؟',
+    'analyze.partsHint':     'نص طويل — سيُحلَّل في نحو {count} أجزاء',
+    'results.copied':        'تم النسخ!',
+    'results.flagged':       'أُبلغ عنه',
+    'results.risk':          'خطر {score}%',
+    'batch.badLine':         'السطر {n} ليس JSON صالحًا.',
+    'batch.noTextField':     'السطر {n} لا يحتوي على حقل "text".',
+    'batch.badType':         'نوع الملف غير مدعوم. استخدم ملف .csv أو .txt أو .jsonl.',
+    'batch.noRows':          'لم يُعثر على صفوف نصية في هذا الملف.',
+    'batch.tooMany':         'صفوف كثيرة جدًا. الحد الأقصى {max} لكل دفعة.',
+    'batch.progress':        'حُلّل {done} / {total}',
+    'batch.colText':         'النص',
+    'batch.colVerdict':      'الحكم',
+    'batch.status.running':  'جارٍ التحليل…',
+    'batch.status.queued':   'في الانتظار',
+    'batch.error':           'فشل التحليل.',
+    'history.countOne':      'محفوظ واحد',
+    'history.countMany':     '{count} محفوظة',
+    'history.unavailable':   'السجل غير متاح في هذا المتصفح (IndexedDB معطّل).',
+    'history.noMatch':       'لا توجد تحليلات محفوظة تطابق عوامل التصفية.',
+    'history.empty':         'تُحفظ التحليلات التي تجريها هنا تلقائيًا.',
+    'history.open':          'فتح',
+    'history.delete':        'حذف',
+    'history.deleteLabel':   'حذف هذا التحليل',
+    'policy.resetButton':    'إعادة تعيين',
+    'policy.deleteButton':   'حذف',
+    'policy.resetLabel':     'إعادة الملف إلى قيمه الافتراضية',
+    'policy.deleteLabel':    'حذف هذا الملف',
+    'policy.warnLabel':      '{category}: تحذير ابتداءً من',
+    'policy.dangerLabel':    '{category}: خطر فوق',
+    'policy.infoLabel':      '{category}: للعلم فقط',
+    'policy.badThreshold':   '{category}: يجب أن تكون العتبات أعدادًا صحيحة من 0 إلى 100.',
+    'policy.warnAboveDanger': '{category}: لا يمكن أن تتجاوز عتبة التحذير عتبة الخطر.',
+    'policy.noName':         'يُرجى تسمية الملف.',
+    'policy.copyName':       '{name} (نسخة)',
+    'explain.button':        'شرح',
+    'explain.again':         'إعادة الشرح',
+    'explain.progress':      'جارٍ الشرح… {done}/{total}',
+    'explain.allCategories': 'كل الفئات',
+    'explain.unscored':      'تعذّر تقييم هذه الجملة',
+    'review.action.approved': 'قبول',
+    'review.action.removed': 'إزالة',
+    'review.action.escalated': 'تصعيد',
+    'review.action.open':    'إعادة فتح',
+    'review.flaggedOn':      'أُبلغ عنه في {date}',
+    'review.reporterNote':   'ملاحظة المُبلِّغ',
+    'review.comments':       'تعليقات المشرفين',
+    'review.commentLabel':   'إضافة تعليق',
+    'review.commentPlaceholder': 'أضف تعليق مشرف…',
+    'review.commentButton':  'تعليق',
+    'review.emptyView':      'لا شيء في هذا العرض.',
+    'review.empty':          'سيظهر المحتوى المُبلَّغ عنه هنا للمراجعة.',
+    'review.loadFailed':     'تعذّر تحميل قائمة المراجعة.',
+    'review.sinkLocal':      'محفوظ على هذا الجهاز',
+    'review.sinkHttp':       'يُرسل إلى {url}',
+    'review.unreachable':    'تعذّر الوصول إلى خادم المراجعة. تحقّق من اتصالك.',
+    'review.serverError':    'خطأ في خادم المراجعة ({status})',
+    'live.tooLong':          'أطول من أن يُفحص مباشرةً — استخدم حلّل النص',
+    'live.checking':         'جارٍ الفحص…',
+    'live.unavailable':      'الفحص المباشر غير متاح',
+    'outbox.status.queued':  'في الانتظار',
+    'outbox.status.sending': 'جارٍ الإرسال…',
+    'outbox.status.failed':  'فشل',
+    'outbox.waiting':        '{count} في الانتظار',
+    'outbox.autoSend':       'يُرسل تلقائيًا عند عودة الاتصال',
+    'outbox.open':           'فتح',
+    'outbox.remove':         'إزالة',
+    'outbox.removeLabel':    'إزالة من قائمة الانتظار',
+    'backends.badUrl':       'أدخل عنوان URL كاملًا، مثل https://staging.example.com',
+    'backends.badProtocol':  'يجب أن تبدأ عناوين الخوادم بـ http:// أو https://',
+    'backends.noName':       'يُرجى تسمية الخادم.',
+    'backends.duplicate':    'يوجد خادم باسم "{name}" بالفعل.',
+    'backends.override':     'اختار رابط ?{param}= في هذه الصفحة "{name}" لهذه الزيارة فقط.',
+    'backends.remove':       'إزالة',
+    'backends.removeLabel':  'إزالة هذا الخادم',
+    'compare.same':          'النتيجتان متساويتان: خطر إجمالي {score}%.',
+    'compare.saferOne':      '{title} أكثر أمانًا بنقطة مئوية واحدة ({winner}% مقابل {loser}% خطر إجمالي، {detail}).',
+    'compare.saferMany':     '{title} أكثر أمانًا بـ {margin} نقاط مئوية ({winner}% مقابل {loser}% خطر إجمالي، {detail}).',
+    'compare.both':          'كلاهما {level}',
+    'compare.versus':        '{a} مقابل {b}',
+    'compare.text':          'النص',
+    'compare.textA':         'النص أ',
+    'compare.textB':         'النص ب',
+    'compare.safer':         'أكثر أمانًا',
+    'compare.parts':         '{count} أجزاء',
+    'compare.scoresLabel':   'درجات الفئات لـ {title}',
+    'compare.needBoth':      'أدخل النصين للمقارنة.',
+    'compare.needText':      'أدخل نصًا للمقارنة.',
+    'compare.needBackends':  'اختر خادمين للمقارنة.',
+    'compare.sameBackend':   'اختر خادمين مختلفين للمقارنة.',
+    'compare.button':        'قارن',
+    'compare.busy':          'جارٍ المقارنة…',
+    'rules.action.force':    'فرض',
+    'rules.action.explain':  'شرح',
+    'rules.action.suppress': 'إخماد',
+    'rules.does.force':      'ضبط {category} على {score}%',
+    'rules.does.explain':    'شرح ضمن {category}',
+    'rules.does.suppress':   'إخماد {category} دون أن يراه النموذج',
+    'rules.wordsOne':        'كلمة واحدة: {words}',
+    'rules.wordsMany':       '{count} كلمات: {words}',
+    'rules.enable':          'تفعيل {label}',
+    'rules.remove':          'إزالة',
+    'rules.removeLabel':     'إزالة هذه القاعدة',
+    'rules.notObject':       'يجب أن تكون كل قاعدة كائنًا.',
+    'rules.noName':          'تحتاج كل قاعدة إلى اسم.',
+    'rules.badAction':       '"{label}": يجب أن يكون الإجراء force أو explain أو suppress.',
+    'rules.badCategory':     '"{label}": فئة غير معروفة "{category}".',
+    'rules.emptyPattern':    '"{label}": النمط فارغ.',
+    'rules.badPattern':      '"{label}": {message}',
+    'rules.noTerms':         '"{label}": أضف كلمة واحدة على الأقل.',
+    'rules.badScore':        '"{label}": يجب أن تكون الدرجة المفروضة عددًا صحيحًا من 0 إلى 100.',
+    'rules.badFile':         '{file} ليس JSON صالحًا.',
+    'rules.notAList':        'المتوقع قائمة قواعد، أو كائن يحتوي على قائمة "rules".',
+    'rules.importError':     'القاعدة {n}: {message}',
+  },
+});
@@ -0,0 +1,121 @@
+/**
+ * sw.js — ClearText service worker
+ * ─────────────────────────────────
+ * Precaches the app shell so the tool opens offline (history, queue and
+ * policies all live on the device), and caches Google Fonts.
+ *
+ * The shell is served network-first and the cached copy refreshed on every
+ * load, so a deploy shows up without touching this file; the cache is only the
+ * offline fallback. Bump VERSION when the SHELL list or this worker changes:
+ * the new worker installs alongside the old one, the page offers an "update
+ * available" toast, and old caches are dropped on activate.
+ *
+ * /moderate and /health are never cached — they always go to the network.
+ */
+const VERSION     = 'v1.2.0';
+const SHELL_CACHE = `cleartext-shell-${VERSION}`;
+const FONT_CACHE  = 'cleartext-fonts-v1';
+const CACHES      = [SHELL_CACHE, FONT_CACHE];
+
+const SHELL = [
+  './',
+  'index.html',
+  'Model.css',
+  'config.js',
+  'locales.js',
+  'cleartext-core.js',
+  'app.js',
+  'cleartext-sdk.js',
+  'manifest.webmanifest',
+  'icon.svg',
+];
+
+const SHELL_PATHS = new Set(SHELL.map((path) => new URL(path, self.registration.scope).pathname));
+const FONT_HOSTS  = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const BYPASS_PATH = /\/(moderate|health)\/?$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith('cleartext-') && !CACHES.includes(key)).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/** Network first, refreshing the shell cache under `cacheKey`; the cached copy only when offline */
+async function fromNetworkFirst(request, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && cacheKey) cache.put(cacheKey, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(cacheKey || request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/** Cache first; fonts are immutable per URL */
+async function fromCacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/** Stale-while-revalidate for the Google Fonts stylesheet */
+async function fromCacheThenRefresh(request, cacheName) {
+  const cache   = await caches.open(cacheName);
+  const cached  = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (BYPASS_PATH.test(url.pathname)) return;
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(url.hostname === 'fonts.gstatic.com'
+      ? fromCacheFirst(request, FONT_CACHE)
+      : fromCacheThenRefresh(request, FONT_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Navigations fall back to the cached shell, so the app opens without a network
+  if (request.mode === 'navigate') {
+    const isShellPage = SHELL_PATHS.has(url.pathname);
+    event.respondWith(isShellPage
+      ? fromNetworkFirst(request, 'index.html')
+      : fetch(request).catch(() => caches.match('index.html', { cacheName: SHELL_CACHE })));
+    return;
+  }
+
+  event.respondWith(fromNetworkFirst(request, SHELL_PATHS.has(url.pathname) ? url.pathname : null));
+});
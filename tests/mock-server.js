@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * tests/mock-server.js — Local stand-in for the ClearText moderation backend
+ * ─────────────────────────────────────────────────────────────────────────
+ * Zero dependencies; Node 18+.
+ *
+ *   node tests/mock-server.js [--port 3000] [--scenario ok] [--ci]
+ *
+ * Then open http://localhost:3000/ for the app wired to this server, or
+ * http://localhost:3000/tests/ for the browser test suite. Port 3000 is the
+ * app's built-in "Local" backend, so it can also be picked in Settings.
+ * --ci only waits for a browser that you point at /tests/ yourself; to run the
+ * suite unattended use tests/run-headless.js, which starts both.
+ *
+ * Routes
+ *   POST /moderate        OpenAI Moderation shape: { flagged, categories, scores }
+ *   GET  /health          { status: 'ok' }
+ *   *    /s/<scenario>/…  /moderate and /health under one fixed scenario
+ *   GET  /__scenario      The current scenario
+ *   POST /__scenario      { name, times? } — after `times` affected calls it reverts to "ok"
+ *   GET  /__requests      Recent /moderate and /health calls, oldest first
+ *   DELETE /__requests    Clears that log
+ *   POST /__report        The test page posts its results here; with --ci the server
+ *                         prints them and exits 0 (all passed) or 1
+ *   GET  /app/…           The app itself (repo root)
+ *   GET  /tests/…         This directory
+ *
+ * Scores come from a small keyword lexicon, so the same text always gets the same
+ * answer. A `score:<label>=<0..1>` token in the text sets one label outright, e.g.
+ * "score:harassment=0.45". A label is flagged at 0.5 or above.
+ */
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+
+const ROOT      = path.resolve(__dirname, '..');
+const TESTS_DIR = __dirname;
+const LOG_SIZE  = 200;
+const FLAG_AT   = 0.5;
+
+const LABELS = [
+  'hate', 'hate/threatening', 'harassment', 'harassment/threatening',
+  'self-harm', 'self-harm/intent', 'self-harm/instructions',
+  'sexual', 'sexual/minors', 'violence', 'violence/graphic',
+  'illicit', 'illicit/violent',
+];
+
+// Whole-word term → label scores it contributes; the highest match per label wins
+const LEXICON = [
+  ['hate',          { hate: 0.82, harassment: 0.55 }],
+  ['idiot',         { harassment: 0.78, hate: 0.2 }],
+  ['stupid',        { harassment: 0.62 }],
+  ['annoying',      { harassment: 0.35 }],
+  ['shut up',       { harassment: 0.48 }],
+  ['kill',          { violence: 0.86, 'harassment/threatening': 0.6 }],
+  ['find you',      { 'harassment/threatening': 0.85, violence: 0.55 }],
+  ['blood',         { 'violence/graphic': 0.58, violence: 0.4 }],
+  ['hurt myself',   { 'self-harm': 0.8, 'self-harm/intent': 0.72 }],
+  ['nude',          { sexual: 0.74 }],
+  ['steal',         { illicit: 0.66 }],
+];
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.ico':  'image/x-icon',
+};
+
+/* ── Scenarios ──
+ * Each one may take over /moderate and/or /health; a route it leaves out gets
+ * the normal answer.
+ */
+const SCENARIOS = {
+  'ok': {},
+  'warming': {         // Hugging Face-style cold model
+    moderate: (req, res) => send(res, 503, { error: 'Model is currently loading', estimated_time: 1 }),
+  },
+  'rate-limit': {
+    moderate: (req, res) => send(res, 429, { error: 'Too many requests' }, { 'Retry-After': '1' }),
+  },
+  'bad-request': {
+    moderate: (req, res) => send(res, 400, { message: 'Text contains unsupported characters.' }),
+  },
+  'server-error': {
+    moderate: (req, res) => send(res, 500, { message: 'Upstream exploded' }),
+  },
+  'slow': {            // Long enough for the "taking longer than usual" toast
+    moderate: (req, res, body) => later(6000, () => send(res, 200, moderate(body.text))),
+  },
+  'malformed': {
+    moderate: (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"flagged": tru');
+    },
+  },
+  'wrong-shape': {     // Valid JSON, but not what the openai adapter reads
+    moderate: (req, res) => send(res, 200, { results: [{ label: 'toxic', score: 0.9 }] }),
+  },
+  'down': {
+    health:   (req, res) => send(res, 503, { status: 'down' }),
+    moderate: (req, res) => req.socket.destroy(),
+  },
+  'cold': {            // /health outlasts the app's 8s health-check timeout
+    health: (req, res) => later(9000, () => send(res, 200, { status: 'ok' })),
+  },
+};
+
+let scenario  = { name: 'ok', remaining: Infinity };
+let requests  = [];
+
+/* ── Helpers ── */
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.PORT) || 3000, scenario: 'ok', ci: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port')     args.port = Number(argv[++i]);
+    if (argv[i] === '--scenario') args.scenario = argv[++i];
+    if (argv[i] === '--ci')       args.ci = true;
+  }
+  return args;
+}
+
+function send(res, status, body, headers = {}) {
+  if (res.destroyed || res.writableEnded) return;
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/** Runs `fn` after `ms`; `send` skips clients that have gone away meanwhile */
+function later(ms, fn) {
+  setTimeout(fn, ms);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch (_) { resolve(null); }
+    });
+  });
+}
+
+/** OpenAI Moderation-shaped scores for `text` */
+function moderate(text) {
+  const lower  = text.toLowerCase();
+  const scores = Object.fromEntries(LABELS.map((label) => [label, 0.01]));
+
+  LEXICON.forEach(([term, hits]) => {
+    if (!new RegExp(`\\b${term}\\b`).test(lower)) return;
+    Object.entries(hits).forEach(([label, score]) => { scores[label] = Math.max(scores[label], score); });
+  });
+  for (const [, label, value] of lower.matchAll(/score:([a-z/-]+)=([01](?:\.\d+)?)/g)) {
+    if (label in scores) scores[label] = Math.min(1, Number(value));
+  }
+
+  const categories = Object.fromEntries(LABELS.map((label) => [label, scores[label] >= FLAG_AT]));
+  return { flagged: Object.values(categories).some(Boolean), categories, scores };
+}
+
+function setScenario(name, times) {
+  if (!SCENARIOS[name]) throw new Error(`Unknown scenario "${name}". Known: ${Object.keys(SCENARIOS).join(', ')}`);
+  scenario = { name, remaining: Number.isInteger(times) && times > 0 ? times : Infinity };
+}
+
+/** The handler the active scenario has for `route`, counting it against `times` */
+function takeScenario(route, fixed) {
+  if (fixed) return SCENARIOS[fixed]?.[route];
+  const handler = SCENARIOS[scenario.name][route];
+  if (handler && --scenario.remaining <= 0) scenario = { name: 'ok', remaining: Infinity };
+  return handler;
+}
+
+function logRequest(entry) {
+  requests.push({ ...entry, at: new Date().toISOString() });
+  if (requests.length > LOG_SIZE) requests = requests.slice(-LOG_SIZE);
+}
+
+/** Serves a file below `dir`; refuses paths that climb out of it */
+function serveStatic(res, dir, relative) {
+  let decoded;
+  try { decoded = decodeURIComponent(relative); } catch (_) { return send(res, 400, { message: 'Bad path' }); }
+  let file = path.resolve(dir, '.' + path.posix.normalize('/' + decoded));
+  if (file !== dir && !file.startsWith(dir + path.sep)) return send(res, 403, { message: 'Forbidden' });
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+
+  fs.readFile(file, (err, data) => {
+    if (err) return send(res, 404, { message: 'Not found' });
+    res.writeHead(200, {
+      'Content-Type':  MIME[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+    res.end(data);
+  });
+}
+
+/* ── Server ── */
+
+/**
+ * `ci` exits the process once the test page reports; `onReport` receives the
+ * report instead, for callers that have their own cleanup (tests/run-headless.js).
+ */
+function createServer({ ci = false, onReport = null } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+    if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
+
+    // /s/<scenario>/moderate pins a scenario to a base URL
+    const pinned = url.pathname.match(/^\/s\/([a-z-]+)(\/.*)$/);
+    const fixed  = pinned?.[1];
+    const route  = pinned ? pinned[2] : url.pathname;
+
+    if (route === '/moderate' && req.method === 'POST') {
+      const body = await readBody(req);
+      logRequest({ route: 'moderate', scenario: fixed || scenario.name, text: body?.text });
+      if (!body || typeof body.text !== 'string' || !body.text.trim()) {
+        return send(res, 400, { message: 'Request body must be JSON with a non-empty "text".' });
+      }
+      const handler = takeScenario('moderate', fixed);
+      if (handler) return handler(req, res, body);
+      return send(res, 200, moderate(body.text));
+    }
+
+    if (route === '/health' && req.method === 'GET') {
+      logRequest({ route: 'health', scenario: fixed || scenario.name });
+      const handler = takeScenario('health', fixed);
+      if (handler) return handler(req, res);
+      return send(res, 200, { status: 'ok' });
+    }
+
+    if (url.pathname === '/__scenario') {
+      if (req.method === 'GET') return send(res, 200, { ...scenario, remaining: scenario.remaining === Infinity ? null : scenario.remaining });
+      const body = await readBody(req);
+      try {
+        setScenario(body?.name, body?.times);
+      } catch (err) {
+        return send(res, 400, { message: err.message });
+      }
+      return send(res, 200, { name: scenario.name });
+    }
+
+    if (url.pathname === '/__requests') {
+      if (req.method === 'DELETE') requests = [];
+      return send(res, 200, requests);
+    }
+
+    if (url.pathname === '/__report' && req.method === 'POST') {
+      const report = await readBody(req) || {};
+      send(res, 200, { received: true });
+      printReport(report);
+      if (onReport) onReport(report);
+      else if (ci) setTimeout(() => process.exit(report.failed === 0 && report.passed > 0 ? 0 : 1), 50);
+      return;
+    }
+
+    if (url.pathname === '/') {
+      res.writeHead(302, { Location: `/app/?backend=${encodeURIComponent(url.origin)}` });
+      return res.end();
+    }
+    if (url.pathname === '/app')   { res.writeHead(301, { Location: '/app/' });   return res.end(); }
+    if (url.pathname === '/tests') { res.writeHead(301, { Location: '/tests/' }); return res.end(); }
+    if (url.pathname.startsWith('/app/'))   return serveStatic(res, ROOT, url.pathname.slice(4));
+    if (url.pathname.startsWith('/tests/')) return serveStatic(res, TESTS_DIR, url.pathname.slice(6));
+
+    send(res, 404, { message: 'Not found' });
+  });
+}
+
+function printReport({ passed = 0, failed = 0, results = [] }) {
+  results.forEach(({ name, ok, error, ms }) => {
+    console.log(`${ok ? '  ✓' : '  ✗'} ${name} (${ms} ms)${ok ? '' : `\n      ${error}`}`);
+  });
+  console.log(`\n${passed} passed, ${failed} failed`);
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    setScenario(args.scenario);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  createServer(args).listen(args.port, () => {
+    console.log(`Mock backend on http://localhost:${args.port} (scenario: ${scenario.name})`);
+    console.log(`  App:   http://localhost:${args.port}/`);
+    console.log(`  Tests: http://localhost:${args.port}/tests/`);
+  });
+}
+
+module.exports = { createServer, moderate, SCENARIOS };
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * tests/run-headless.js — Runs the browser suite unattended, e.g. in CI
+ * ─────────────────────────────────────────────────────────────────────
+ * Zero dependencies; Node 18+ and a Chrome, Chromium or Edge install.
+ *
+ *   node tests/run-headless.js [--port 0] [--grep <text>] [--timeout 600]
+ *
+ * Starts tests/mock-server.js in this process, opens /tests/ in a headless
+ * browser and exits with the suite's result: 0 when every test passed, 1 when
+ * any failed or the run outlasted --timeout (seconds), 2 when no browser was
+ * found. Port 0 picks a free port. CHROME_PATH overrides the browser lookup.
+ */
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createServer } = require('./mock-server');
+
+const BROWSER_NAMES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'microsoft-edge'];
+const BROWSER_PATHS = [
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+  ...['PROGRAMFILES', 'PROGRAMFILES(X86)', 'LOCALAPPDATA'].flatMap((dir) => process.env[dir] ? [
+    path.join(process.env[dir], 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    path.join(process.env[dir], 'Microsoft', 'Edge', 'Application', 'msedge.exe'),
+  ] : []),
+];
+
+function parseArgs(argv) {
+  const args = { port: 0, grep: '', timeout: 600 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port')    args.port = Number(argv[++i]);
+    if (argv[i] === '--grep')    args.grep = argv[++i];
+    if (argv[i] === '--timeout') args.timeout = Number(argv[++i]);
+  }
+  return args;
+}
+
+const isFile = (file) => { try { return fs.statSync(file).isFile(); } catch (_) { return false; } };
+
+/** CHROME_PATH, then the usual names on PATH, then the usual install locations */
+function findBrowser() {
+  if (process.env.CHROME_PATH) return process.env.CHROME_PATH;
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const name of BROWSER_NAMES) {
+    const found = dirs.map((dir) => path.join(dir, name)).find(isFile);
+    if (found) return found;
+  }
+  return BROWSER_PATHS.find(isFile) || null;
+}
+
+function main() {
+  const args    = parseArgs(process.argv.slice(2));
+  const browser = findBrowser();
+  if (!browser) {
+    console.error('No Chrome, Chromium or Edge found. Set CHROME_PATH to the browser executable.');
+    process.exit(2);
+  }
+
+  const profile = fs.mkdtempSync(path.join(os.tmpdir(), 'cleartext-tests-'));
+  let child     = null;
+  let timer     = null;
+  let finished  = false;
+
+  const finish = (code, message) => {
+    if (finished) return;
+    finished = true;
+    if (message) console.error(message);
+    clearTimeout(timer);
+    server.close();
+    const done = () => {
+      fs.rmSync(profile, { recursive: true, force: true });
+      process.exit(code);
+    };
+    if (child && child.exitCode === null && child.signalCode === null) {
+      child.once('exit', done);
+      child.kill();
+    } else {
+      done();
+    }
+  };
+
+  const server = createServer({
+    onReport: (report) => finish(report.failed === 0 && report.passed > 0 ? 0 : 1),
+  });
+
+  server.listen(args.port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}/tests/${args.grep ? `?grep=${encodeURIComponent(args.grep)}` : ''}`;
+    console.log(`Running ${url} in ${browser}`);
+
+    child = spawn(browser, [
+      '--headless=new',
+      '--disable-gpu',
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--disable-extensions',
+      `--user-data-dir=${profile}`,
+      // Chrome's sandbox refuses to start as root, which is the norm in CI containers
+      ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
+      url,
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+    child.on('error', (err) => finish(2, `Could not start ${browser}: ${err.message}`));
+    child.on('exit', (code) => finish(1, `The browser exited (code ${code}) before the suite reported.\n${stderr}`));
+  });
+
+  timer = setTimeout(() => finish(1, `No report after ${args.timeout} s; giving up.`), args.timeout * 1000);
+  process.on('SIGINT', () => finish(130));
+}
+
+main();
@@ -0,0 +1,242 @@
+/**
+ * tests/runner.js — A tiny in-browser test harness for ClearText
+ * ───────────────────────────────────────────────────────────────
+ * Served by tests/mock-server.js. Each test gets a fresh copy of the app in an
+ * iframe, pointed at the mock server with ?backend=, and a mock reset to the
+ * "ok" scenario with an empty request log. The app is same-origin, so tests
+ * drive its DOM and reach its modules with `app.eval('ServerStatus')`.
+ *
+ * ?grep=<text> runs only the tests whose name contains <text>.
+ * When the run ends the results go to /__report (the server's --ci mode exits on it).
+ */
+const Runner = (() => {
+  const DEFAULT_TIMEOUT = 15000;
+  const tests = [];
+  let frame   = null;
+  let textSeq = 0;
+
+  /* ── Assertions ── */
+
+  class AssertionError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'AssertionError';
+    }
+  }
+
+  const show = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+  const assert = {
+    ok(value, message = `Expected a truthy value, got ${show(value)}`) {
+      if (!value) throw new AssertionError(message);
+    },
+    equal(actual, expected, message) {
+      if (actual !== expected) throw new AssertionError(message || `Expected ${show(expected)}, got ${show(actual)}`);
+    },
+    match(actual, pattern, message) {
+      if (!pattern.test(String(actual))) throw new AssertionError(message || `Expected ${show(actual)} to match ${pattern}`);
+    },
+    includes(haystack, needle, message) {
+      if (!haystack?.includes(needle)) throw new AssertionError(message || `Expected ${show(haystack)} to include ${show(needle)}`);
+    },
+  };
+
+  /* ── Waiting ── */
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  /** Resolves with the first truthy value `check()` returns; rejects after `timeout` */
+  async function waitFor(check, { timeout = 5000, interval = 50, message = 'Timed out waiting for a condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const value = check();
+      if (value) return value;
+      if (Date.now() > deadline) throw new AssertionError(`${message} (${timeout} ms)`);
+      await sleep(interval);
+    }
+  }
+
+  function withTimeout(promise, ms) {
+    let timerId;
+    const timeout = new Promise((_, reject) => {
+      timerId = setTimeout(() => reject(new Error(`Test timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timerId));
+  }
+
+  /* ── Mock server control ── */
+
+  const mock = {
+    /** Switches the mock to `name`; with `times` it reverts to "ok" after that many affected calls */
+    async scenario(name, times) {
+      const res = await fetch('/__scenario', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ name, times }),
+      });
+      if (!res.ok) throw new Error((await res.json()).message);
+    },
+    /** The mock's request log, optionally only one route ('moderate' | 'health') */
+    async requests(route) {
+      const list = await (await fetch('/__requests', { cache: 'no-store' })).json();
+      return route ? list.filter((entry) => entry.route === route) : list;
+    },
+    async reset() {
+      await mock.scenario('ok');
+      await fetch('/__requests', { method: 'DELETE' });
+    },
+  };
+
+  /** Text no earlier test has sent, so the app's response cache never answers it */
+  function unique(text) {
+    textSeq += 1;
+    return `${text} [${Date.now().toString(36)}${textSeq}]`;
+  }
+
+  /* ── App under test ── */
+
+  /** Loads a fresh app iframe and resolves once its scripts have run */
+  async function openApp() {
+    closeApp();
+    frame = document.createElement('iframe');
+    frame.className = 'app-frame';
+    frame.title     = 'App under test';
+    const loaded = new Promise((resolve) => frame.addEventListener('load', resolve, { once: true }));
+    frame.src = `/app/?backend=${encodeURIComponent(location.origin)}`;
+    document.getElementById('app-host').appendChild(frame);
+    await loaded;
+
+    const win = frame.contentWindow;
+    const doc = frame.contentDocument;
+    const $   = (selector) => doc.querySelector(selector);
+
+    const app = {
+      win,
+      doc,
+      $,
+      /** Evaluates `source` in the app's global scope, where its modules live */
+      eval: (source) => win.eval(source),
+      toasts: () => [...doc.querySelectorAll('#toast-container .toast')].map((el) => ({
+        type: el.className.match(/toast--(\w+)/)?.[1],
+        text: el.textContent.trim(),
+      })),
+      waitForToast: (pattern, options = {}) => waitFor(
+        () => app.toasts().find((toast) => pattern.test(toast.text)),
+        { message: `No toast matching ${pattern}`, ...options },
+      ),
+      serverState: () => $('#server-status').className.match(/server-status--(\w+)/)?.[1],
+      waitForServer: (state, options = {}) => waitFor(
+        () => app.serverState() === state,
+        { message: `Server status never became "${state}" (last: "${app.serverState()}")`, ...options },
+      ),
+      /** Types `text` and clicks Analyze, as a user would */
+      analyze(text) {
+        const input = $('#text-input');
+        input.value = text;
+        input.dispatchEvent(new win.Event('input', { bubbles: true }));
+        $('#analyze-btn').click();
+      },
+      resultsShown: () => !$('#results').hidden && !$('#results-content').hidden,
+      waitForResults: (options = {}) => waitFor(app.resultsShown, { message: 'Results never appeared', ...options }),
+      /** Resolves once the Analyze button is usable again (the request settled either way) */
+      waitForIdle: (options = {}) => waitFor(
+        () => !app.eval('State.isAnalyzing'),
+        { message: 'Analysis never finished', ...options },
+      ),
+    };
+    return app;
+  }
+
+  function closeApp() {
+    frame?.remove();
+    frame = null;
+  }
+
+  /** Drops everything the app keeps between visits, so every run starts from the same state */
+  async function cleanSlate() {
+    if ('serviceWorker' in navigator) {
+      const registrations = await navigator.serviceWorker.getRegistrations();
+      await Promise.all(registrations.map((r) => r.unregister()));
+    }
+    if ('caches' in window) {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((key) => key.startsWith('cleartext-')).map((key) => caches.delete(key)));
+    }
+    await new Promise((resolve) => {
+      const req = indexedDB.deleteDatabase('cleartext');
+      req.onsuccess = req.onerror = req.onblocked = resolve;
+    });
+    localStorage.clear();
+    localStorage.setItem('cleartext.locale', 'en');  // Assertions are written against the English catalog
+  }
+
+  /* ── Running ── */
+
+  function test(name, fn, { timeout = DEFAULT_TIMEOUT } = {}) {
+    tests.push({ name, fn, timeout });
+  }
+
+  function renderRow(name) {
+    const li = document.createElement('li');
+    li.className   = 'test test--running';
+    li.textContent = name;
+    document.getElementById('test-list').appendChild(li);
+    return li;
+  }
+
+  function finishRow(li, { ok, error, ms }) {
+    li.className = `test test--${ok ? 'pass' : 'fail'}`;
+    const time = document.createElement('span');
+    time.className   = 'test__time';
+    time.textContent = `${ms} ms`;
+    li.appendChild(time);
+    if (!ok) {
+      const detail = document.createElement('pre');
+      detail.className   = 'test__error';
+      detail.textContent = error;
+      li.appendChild(detail);
+    }
+  }
+
+  async function run() {
+    const grep     = new URLSearchParams(location.search).get('grep')?.toLowerCase();
+    const selected = grep ? tests.filter((t) => t.name.toLowerCase().includes(grep)) : tests;
+    const summary  = document.getElementById('summary');
+    const results  = [];
+
+    await cleanSlate();
+
+    for (const { name, fn, timeout } of selected) {
+      summary.textContent = `Running ${results.length + 1} of ${selected.length}…`;
+      const row     = renderRow(name);
+      const started = performance.now();
+      let error     = null;
+      try {
+        await mock.reset();
+        await withTimeout(fn(), timeout);
+      } catch (err) {
+        error = err.stack || String(err);
+      } finally {
+        closeApp();
+      }
+      const result = { name, ok: !error, error, ms: Math.round(performance.now() - started) };
+      results.push(result);
+      finishRow(row, result);
+    }
+
+    const passed = results.filter((r) => r.ok).length;
+    const failed = results.length - passed;
+    summary.textContent = `${passed} passed, ${failed} failed`;
+    document.body.classList.add(failed ? 'is-failed' : 'is-passed');
+
+    await mock.reset();
+    await fetch('/__report', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ passed, failed, results }),
+    }).catch(() => { /* Page opened without the mock server's report endpoint */ });
+    return { passed, failed, results };
+  }
+
+  return { test, run, assert, waitFor, sleep, mock, unique, openApp };
+})();
@@ -0,0 +1,589 @@
+/**
+ * tests/suite.js — End-to-end tests against tests/mock-server.js
+ * ───────────────────────────────────────────────────────────────
+ * Covers the analyze flow (Actions.handleAnalyze), the server indicator
+ * (ServerStatus), what Render.renderResults puts on the page and the copied
+ * text report (buildTextReport), for each of the mock's scenarios.
+ */
+const { test, assert, waitFor, mock, unique, openApp } = Runner;
+
+/** Opens the app and waits for its first health check to pass */
+async function openOnline() {
+  const app = await openApp();
+  await app.waitForServer('online');
+  return app;
+}
+
+/** Replaces the app's clipboard; returns a getter for the last text written */
+function captureClipboard(app) {
+  let copied = null;
+  Object.defineProperty(app.win.navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: async (text) => { copied = text; } },
+  });
+  return () => copied;
+}
+
+const scoreRow = (app, label) =>
+  [...app.doc.querySelectorAll('#scores-list .score-item')].find((el) => el.querySelector('.score-name').textContent.includes(label));
+
+/* ── ServerStatus ── */
+
+test('ServerStatus: goes from checking to online against a healthy backend', async () => {
+  const app = await openApp();
+  assert.includes(['checking', 'online'], app.serverState());
+  await app.waitForServer('online');
+  assert.match(app.$('#server-status').textContent, /Server online · From link/);
+  assert.equal(app.eval('State.isServerOnline'), true);
+});
+
+test('ServerStatus: shows offline when /health fails, and announces recovery', async () => {
+  await mock.scenario('down');
+  const app = await openApp();
+  await app.waitForServer('offline');
+  assert.equal(app.eval('State.isServerOnline'), false);
+
+  await mock.scenario('ok');
+  await app.eval('ServerStatus.check(true)');
+  assert.equal(app.serverState(), 'online');
+  await app.waitForToast(/Server is online and ready/);
+});
+
+test('ServerStatus: shows "starting up" when /health outlasts its timeout', async () => {
+  await mock.scenario('cold', 1);
+  const app = await openApp();
+  await app.waitForServer('waking', { timeout: 10000 });
+  assert.equal(app.eval('State.isServerOnline'), false);
+  const toast = await app.waitForToast(/server is starting up/);
+  assert.equal(toast.type, 'warning');
+}, { timeout: 15000 });
+
+test('Analyze: a server that is still waking gets the request, not the outbox', async () => {
+  await mock.scenario('cold', 1);
+  const app = await openApp();
+  await app.waitForServer('waking', { timeout: 10000 });
+  app.analyze(unique('Sent while waking'));
+
+  await app.waitForResults();
+  assert.ok(app.$('#outbox').hidden, 'Nothing should be queued for a waking server');
+  assert.equal((await mock.requests('moderate')).length, 1);
+}, { timeout: 20000 });
+
+/* ── Actions.handleAnalyze + Render.renderResults ── */
+
+test('Analyze: empty input warns and sends nothing', async () => {
+  const app = await openOnline();
+  app.analyze('   ');
+  const toast = await app.waitForToast(/Please enter some text/);
+  assert.equal(toast.type, 'warning');
+  assert.equal((await mock.requests('moderate')).length, 0);
+  assert.ok(app.$('#results').hidden);
+});
+
+test('Analyze: harmless text renders a low-risk verdict', async () => {
+  const app  = await openOnline();
+  const text = unique('Have a lovely day, see you tomorrow');
+  app.analyze(text);
+  await app.waitForResults();
+
+  assert.equal(app.$('#verdict-title').textContent, 'Content Appears Safe');
+  assert.equal(app.$('#verdict-badge').textContent, 'LOW RISK');
+  assert.match(app.$('#verdict-policy').textContent, /^Policy: Default · From link · Language: English$/);
+  assert.equal(app.$('#scores-list').querySelectorAll('.score-item').length, 6);
+  assert.equal(scoreRow(app, 'Hate Speech').querySelector('.score-value').textContent, '1%');
+
+  const sent = await mock.requests('moderate');
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].text, text);
+});
+
+test('Analyze: hateful text renders a high-risk verdict with flagged sub-categories', async () => {
+  const app = await openOnline();
+  app.analyze(unique('I hate you, you idiot'));
+  await app.waitForResults();
+
+  assert.equal(app.$('#verdict-title').textContent, 'Harmful Content Detected');
+  assert.equal(app.$('#verdict-badge').textContent, 'HIGH RISK');
+  assert.match(app.$('#verdict-policy').textContent, /triggered by Hate Speech, Harassment/);
+
+  const hate = scoreRow(app, 'Hate Speech');
+  assert.equal(hate.querySelector('.score-value').textContent, '82%');
+  assert.ok(hate.querySelector('.score-tag--flagged'), 'Hate Speech should carry the Flagged tag');
+  assert.equal(scoreRow(app, 'Harassment').querySelector('.score-value').textContent, '78%');
+
+  const toggle = hate.querySelector('.score-toggle');
+  toggle.click();
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+  const subs = hate.querySelector('.score-subs');
+  assert.ok(!subs.hidden);
+  assert.match(subs.textContent, /hate\/threatening/);
+});
+
+test('Analyze: a mid-range score renders a moderate-risk verdict', async () => {
+  const app = await openOnline();
+  app.analyze(unique('This thread is getting long score:harassment=0.45'));
+  await app.waitForResults();
+
+  assert.equal(app.$('#verdict-title').textContent, 'Potentially Concerning');
+  assert.equal(app.$('#verdict-badge').textContent, 'MODERATE RISK');
+  const row = scoreRow(app, 'Harassment');
+  assert.equal(row.querySelector('.score-value').textContent, '45%');
+  assert.ok(!row.querySelector('.score-tag--flagged'), 'Below 0.5 the model does not flag it');
+});
+
+test('LongText: parts that grow once emoji are spelled out are split again to fit a request', async () => {
+  const app  = await openOnline();
+  const max  = app.eval('CONFIG.MAX_CHARACTERS');
+  // Each 🖕 is two characters as typed and eight once spelled out
+  const text = unique(Array.from({ length: 300 }, (_, i) => `Line ${i} 🖕🖕🖕🖕🖕🖕🖕🖕🖕🖕.`).join(' '));
+  assert.ok(text.length > max && text.length < 2 * max, 'The text should be two parts by its typed length');
+  app.analyze(text);
+  await app.waitForResults({ timeout: 20000 });
+
+  const sent = await mock.requests('moderate');
+  assert.ok(sent.length > 2, `Expected the parts to be split again, got ${sent.length} requests`);
+  for (const { text: part } of sent) assert.ok(part.length <= max, `A request carried ${part.length} characters`);
+  assert.match(app.$('#verdict-badge').textContent, /RISK/);
+}, { timeout: 30000 });
+
+test('Render: labels the adapter does not know are shown as informational "Other"', async () => {
+  const app = await openApp();
+  app.eval(`Render.renderResults(API.parseResponse(
+    { flagged: false, scores: { hate: 0.05, spam: 0.9 } }, 'Buy cheap watches now'
+  ))`);
+
+  const other = scoreRow(app, 'Other');
+  assert.ok(other, 'An "Other" row should be rendered');
+  assert.equal(other.querySelector('.score-value').textContent, '90%');
+  assert.match(other.textContent, /Info only/);
+  assert.equal(app.$('#verdict-badge').textContent, 'LOW RISK');
+  assert.equal(app.$('#analyzed-text').textContent, 'Buy cheap watches now');
+});
+
+test('Analyze: a slow response shows the "taking longer" notice, then results', async () => {
+  await mock.scenario('slow', 1);
+  const app = await openOnline();
+  app.analyze(unique('Is anyone there'));
+
+  await app.waitForToast(/Taking longer than usual/, { timeout: 5800 });
+  assert.ok(!app.resultsShown(), 'Results should not be shown before the response arrives');
+  await app.waitForResults({ timeout: 5000 });
+  assert.equal(app.$('#verdict-badge').textContent, 'LOW RISK');
+}, { timeout: 15000 });
+
+/* ── Retries ── */
+
+test('Retry: 503 with estimated_time shows a countdown and retries', async () => {
+  await mock.scenario('warming', 1);
+  const app = await openOnline();
+  app.analyze(unique('Hello again'));
+
+  await waitFor(() => !app.$('#retry-status').hidden, { message: 'Retry status never appeared' });
+  assert.match(app.$('#retry-message').textContent, /^The AI model is warming up — retrying in [12]s \(attempt 2 of 4\)$/);
+
+  await app.waitForResults({ timeout: 5000 });
+  assert.ok(app.$('#retry-status').hidden);
+  const sent = await mock.requests('moderate');
+  assert.equal(sent.length, 2);
+  assert.equal(sent[0].scenario, 'warming');
+  assert.equal(sent[1].scenario, 'ok');
+});
+
+test('Retry: 429 honours Retry-After and retries', async () => {
+  await mock.scenario('rate-limit', 1);
+  const app = await openOnline();
+  app.analyze(unique('One more try'));
+
+  await waitFor(() => !app.$('#retry-status').hidden, { message: 'Retry status never appeared' });
+  assert.match(app.$('#retry-message').textContent, /^Too many requests right now — retrying in [12]s/);
+  await app.waitForResults({ timeout: 5000 });
+  assert.equal((await mock.requests('moderate')).length, 2);
+});
+
+test('Retry: cancelling during a retry wait stops the analysis', async () => {
+  await mock.scenario('warming');
+  const app = await openOnline();
+  app.analyze(unique('Never mind'));
+
+  await waitFor(() => !app.$('#retry-status').hidden, { message: 'Retry status never appeared' });
+  app.$('#retry-cancel-btn').click();
+  await app.waitForToast(/Analysis cancelled/);
+  await app.waitForIdle();
+  assert.ok(app.$('#results').hidden);
+  assert.equal((await mock.requests('moderate')).length, 1);
+});
+
+test('Retry: a backend that drops mid-session queues the text for later', async () => {
+  const app = await openOnline();
+  await mock.scenario('down');
+  const text = unique('Please keep this');
+  app.analyze(text);
+
+  await app.waitForIdle({ timeout: 15000 });
+  assert.ok(!app.$('#outbox').hidden, 'The text should be waiting in the outbox');
+  assert.match(app.$('#outbox-list').textContent, /Please keep this/);
+  assert.equal(app.serverState(), 'offline');
+  assert.equal((await mock.requests('moderate')).length, 4);
+}, { timeout: 20000 });
+
+test('Outbox: text queued while offline is sent once the server is back', async () => {
+  await mock.scenario('down');
+  const app = await openApp();
+  await app.waitForServer('offline');
+  const text = unique('Queued while offline');
+  app.analyze(text);
+  await waitFor(() => !app.$('#outbox').hidden, { message: 'Outbox never appeared' });
+  assert.equal((await mock.requests('moderate')).length, 0);
+
+  await mock.scenario('ok');
+  await app.eval('ServerStatus.check(true)');
+  const sent = await waitFor(() => app.$('#outbox-list .verdict-badge'), { message: 'Queued text was never sent' });
+  assert.equal(sent.textContent, 'LOW RISK');
+  assert.equal((await mock.requests('moderate')).at(-1).text, text);
+});
+
+test('Outbox: text queued while the server is already back is sent right away', async () => {
+  const app  = await openOnline();
+  const text = unique('Queued after the server came back');
+  app.eval(`Outbox.add(${JSON.stringify(text)})`);
+
+  const sent = await waitFor(() => app.$('#outbox-list .verdict-badge'), { message: 'Queued text waited for a reconnect' });
+  assert.equal(sent.textContent, 'LOW RISK');
+  assert.equal((await mock.requests('moderate')).at(-1).text, text);
+});
+
+/* ── Errors that are not retried ── */
+
+test('Errors: 400 shows the server\'s message', async () => {
+  await mock.scenario('bad-request');
+  const app = await openOnline();
+  app.analyze(unique('Some text'));
+
+  const toast = await app.waitForToast(/unsupported characters/);
+  assert.equal(toast.type, 'error');
+  await app.waitForIdle();
+  assert.ok(app.$('#results').hidden);
+  assert.equal((await mock.requests('moderate')).length, 1);
+});
+
+test('Errors: 500 shows a generic server error', async () => {
+  await mock.scenario('server-error');
+  const app = await openOnline();
+  app.analyze(unique('Some text'));
+
+  const toast = await app.waitForToast(/Internal server error/);
+  assert.equal(toast.type, 'error');
+  assert.equal((await mock.requests('moderate')).length, 1);
+});
+
+test('Errors: a body that is not JSON fails without retrying', async () => {
+  await mock.scenario('malformed');
+  const app = await openOnline();
+  app.analyze(unique('Some text'));
+
+  await app.waitForIdle();
+  assert.ok(app.toasts().some((toast) => toast.type === 'error'), 'An error toast should be shown');
+  assert.ok(app.$('#results').hidden);
+  assert.equal((await mock.requests('moderate')).length, 1);
+});
+
+test('Errors: JSON in the wrong shape is rejected by the provider adapter', async () => {
+  await mock.scenario('wrong-shape');
+  const app = await openOnline();
+  app.analyze(unique('Some text'));
+
+  const toast = await app.waitForToast(/Unexpected response from moderation server/);
+  assert.equal(toast.type, 'error');
+  assert.ok(app.$('#results').hidden);
+});
+
+/* ── Rephrase ── */
+
+test('Rephrase: a new analysis mid-rephrase clears the old progress from the card', async () => {
+  const app = await openOnline();
+  app.analyze(unique('I hate you, you idiot'));
+  await app.waitForResults();
+
+  await mock.scenario('slow', 1);  // The rewrite's re-check is the next request
+  app.$('#rephrase-btn').click();
+  await waitFor(() => /re-checking the rewrite/.test(app.$('#rephrase-status').textContent),
+    { message: 'Rephrase never started re-checking' });
+
+  app.analyze(unique('You are so stupid'));
+  await waitFor(() => app.$('#analyzed-text').textContent.startsWith('You are so stupid'), { message: 'New results never appeared' });
+  assert.equal(app.$('#rephrase-status').textContent, '');
+
+  await waitFor(() => !app.$('#rephrase-btn').disabled, { timeout: 8000, message: 'Rephrase never finished' });
+  assert.equal(app.$('#rephrase-status').textContent, '');
+  assert.ok(app.$('#rephrase-result').hidden, 'The old suggestion must not appear on the new result');
+}, { timeout: 20000 });
+
+/* ── Normalization ── */
+
+test('Normalize: spaced-out words are joined, but abbreviations and short letter lists are not', async () => {
+  const app = await openApp();
+  const run = (text) => app.eval('Normalize').run(text);
+
+  assert.equal(run('you h a t e them').text, 'you hate them');
+  assert.equal(run('I h a t e you').text, 'I hate you');
+  assert.equal(run('k-i-l-l').text, 'kill');
+  assert.equal(run('h.a.t.e').tricks[0].id, 'spaced');
+
+  ['U.S.A', 'U.S.A.F', 'Plan A B C', 'x-y-z', 'I h i t'].forEach((text) => {
+    const { text: out, tricks } = run(text);
+    assert.equal(out, text);
+    assert.equal(tricks.length, 0, `"${text}" was counted as a trick`);
+  });
+});
+
+/* ── Local rules ── */
+
+test('Rules: an allowlisted word is masked before sending and its category suppressed', async () => {
+  const app = await openOnline();
+  const { elements } = app.$('#rules-form');
+  elements.label.value    = 'In-group banter';
+  elements.pattern.value  = 'idiot';
+  elements.action.value   = 'suppress';
+  elements.category.value = 'harassment';
+  try {
+    app.$('#rules-form').requestSubmit();
+    app.analyze(unique('You stupid idiot'));
+    await app.waitForResults();
+
+    const [sent] = await mock.requests('moderate');
+    assert.match(sent.text, /^You stupid \[ALLOWED\] /);
+    assert.equal(scoreRow(app, 'Harassment').querySelector('.score-value').textContent, '0%');
+    assert.ok(!scoreRow(app, 'Harassment').querySelector('.score-tag--flagged'), 'A suppressed category keeps no model flag');
+    assert.match(app.$('#rule-hits-list').textContent, /In-group banter — matched "idiot" · not sent, Harassment suppressed/);
+  } finally {
+    app.win.localStorage.removeItem('cleartext.rules');
+  }
+});
+
+test('Rules: a forced score replaces the model\'s, also when it is lower', async () => {
+  const app = await openOnline();
+  const { elements } = app.$('#rules-form');
+  elements.label.value    = 'Song lyric';
+  elements.pattern.value  = 'hate';
+  elements.action.value   = 'force';
+  elements.category.value = 'hate';
+  elements.score.value    = '10';
+  try {
+    app.$('#rules-form').requestSubmit();
+    app.analyze(unique('I hate you, you idiot'));
+    await app.waitForResults();
+
+    assert.equal(scoreRow(app, 'Hate Speech').querySelector('.score-value').textContent, '10%');
+    assert.match(app.$('#rule-hits-list').textContent, /Song lyric — matched "hate" · Hate Speech set to 10%/);
+  } finally {
+    app.win.localStorage.removeItem('cleartext.rules');
+  }
+});
+
+/* ── Insights ── */
+
+test('Insights: a range reaching past the history cap says where the figures start', async () => {
+  const app = await openOnline();
+  app.analyze(unique('Thanks for the help'));
+  await app.waitForResults();
+  await waitFor(() => app.eval('History.all().length'), { message: 'The analysis was never saved' });
+
+  const note   = app.$('#insights-note');
+  const oldest = app.eval('History.all().at(-1).timestamp');
+  app.eval('History.isFull = () => true');
+  app.eval('Insights.refresh()');
+  assert.ok(!note.hidden, 'A full history left the all-time range unexplained');
+  assert.match(note.textContent, /latest \d+ analyses, so these figures start on/);
+
+  const day = new Date(oldest);
+  app.$('#insights-from').value = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+  app.eval('Insights.refresh()');
+  assert.ok(note.hidden, 'A range inside the kept history does not need the note');
+});
+
+/* ── Thread transcripts ── */
+
+test('Thread: timestamps before the speaker are skipped and times in a message do not start one', async () => {
+  const app   = await openApp();
+  const parse = (source) => app.eval('Thread').parse(source).map(({ speaker, text }) => `${speaker}|${text}`);
+
+  assert.equal(parse('10:02 alex: hi')[0], 'alex|hi');
+  assert.equal(parse('[10:02] alex: hi')[0], 'alex|hi');
+  assert.equal(parse('10:02 AM Amy: hi')[0], 'Amy|hi');
+  assert.equal(parse('12/01/2024, 10:02 - Alex: hi')[0], 'Alex|hi');
+  assert.equal(parse('2024-01-12 10:02:33 Bo: hi')[0], 'Bo|hi');
+
+  const continued = parse('alex: hi\nmeet me at 5:30 ok\n2024: what a year');
+  assert.equal(continued.length, 1);
+  assert.equal(continued[0], 'alex|hi\nmeet me at 5:30 ok\n2024: what a year');
+});
+
+test('Thread: messages only go to History when that is switched on', async () => {
+  const app    = await openOnline();
+  const saved  = () => app.eval('History.all().length');
+  const before = saved();
+  const run    = async () => {
+    app.$('#thread-input').value = `${unique('alex: thanks for the help')}\nsam: ${unique('see you soon')}`;
+    app.$('#thread-form').requestSubmit();
+    await waitFor(() => !app.eval('State.isThreadRunning') && !app.$('#thread-results').hidden, { message: 'The thread never finished' });
+  };
+
+  await run();
+  await app.waitForToast(/Thread analyzed — 2 messages from 2 speakers/);
+  assert.equal(saved(), before, 'A thread filled History without being asked to');
+
+  app.$('#thread-save').checked = true;
+  await run();
+  await waitFor(() => saved() === before + 2, { message: 'The opted-in messages were not saved' });
+});
+
+/* ── Redaction ── */
+
+test('Redact: personal details are replaced in the request but kept on the page', async () => {
+  const app  = await openOnline();
+  const text = unique('Mail jane.doe@example.com or call +1 555-123-4567, @jane');
+  app.analyze(text);
+  await app.waitForResults();
+
+  const [sent] = await mock.requests('moderate');
+  assert.match(sent.text, /^Mail \[EMAIL\] or call \[PHONE\], \[USERNAME\] /);
+  assert.ok(!sent.text.includes('example.com'), 'The email address must not reach the backend');
+  assert.equal(app.$('#analyzed-text').textContent, text);
+  assert.ok(!app.$('#redact-note').hidden);
+  assert.match(app.$('#redact-note').textContent, /email addresses \(1\), phone numbers \(1\), usernames \(1\)/);
+});
+
+test('Redact: obfuscated details are normalized before redaction, never sent', async () => {
+  const app = await openOnline();
+  app.analyze(unique('call \uFF15\uFF15\uFF15-\uFF11\uFF12\uFF13-\uFF14\uFF15\uFF16\uFF17 or mail jane\u200B@example.com'));
+  await app.waitForResults();
+
+  const [sent] = await mock.requests('moderate');
+  assert.match(sent.text, /^call \[PHONE\] or mail \[EMAIL\] /);
+  assert.ok(!/555|4567|jane|example/.test(sent.text), `Personal details reached the backend: ${sent.text}`);
+  assert.match(app.$('#redact-note').textContent, /email addresses \(1\), phone numbers \(1\)/);
+});
+
+test('Redact: a flagged item goes to a remote review sink redacted; the queue here shows the original', async () => {
+  const app  = await openOnline();
+  // Any sink but the built-in device store counts as remote
+  app.eval(`Review.registerSink('local', {
+    label:  'Test sink',
+    list:   async () => [],
+    create: async (item) => (window.__sentReview = item),
+    update: async (item) => item,
+  })`);
+  const text = unique('Mail jane.doe@example.com or call +1 555-123-4567, @jane');
+  app.analyze(text);
+  await app.waitForResults();
+
+  app.$('#flag-btn').click();
+  app.$('#flag-submit-btn').click();
+  const sent = await waitFor(() => app.win.__sentReview, { message: 'Nothing reached the review sink' });
+  assert.match(sent.text, /^Mail \[EMAIL\] or call \[PHONE\], \[USERNAME\] /);
+  assert.ok(!/jane|example|555|4567/.test(JSON.stringify(sent)), `Personal details reached the review sink: ${sent.text}`);
+  assert.equal(sent.textRedacted, true);
+  await waitFor(() => app.$('.review-item__text')?.textContent === text, { message: 'The review queue should show the original text' });
+});
+
+test('Redact: phone numbers need a phone shape; years, dates and number lists are left alone', async () => {
+  const app     = await openOnline();
+  const redact  = (text) => app.eval('Redact').run(text).text;
+  const phones  = ['+44 20 7946 0958', '(555) 123-4567', '555.123.4567', '020 7946 0958'];
+  const numbers = ['from 2019-2021', 'Scores went 10 20 30 40', 'order 12345678', 'due 2024-05-01', 'born 12/01/1990'];
+
+  for (const phone of phones) assert.equal(redact(`call ${phone} now`), 'call [PHONE] now');
+  for (const text of numbers) assert.equal(redact(text), text);
+});
+
+/* ── buildTextReport ── */
+
+test('Report: the copied report lists verdict, scores and flagged labels', async () => {
+  const app    = await openOnline();
+  const copied = captureClipboard(app);
+  const text   = unique('I hate you, you idiot');
+  app.analyze(text);
+  await app.waitForResults();
+
+  app.$('#copy-report-btn').click();
+  const report = await waitFor(copied, { message: 'Nothing was copied' });
+  const lines  = report.split('\n');
+
+  assert.includes(lines, '  CLEARTEXT ANALYSIS REPORT');
+  assert.includes(lines, text);
+  assert.includes(lines, 'VERDICT:             HIGH RISK');
+  assert.includes(lines, 'POLICY PROFILE:      Default');
+  assert.includes(lines, `BACKEND:             From link (${location.origin})`);
+  assert.includes(lines, 'LANGUAGE:            English');
+  assert.includes(lines, 'OVERALL RISK SCORE:  82%');
+  assert.includes(lines, 'FLAGGED BY AI:       YES ⚠️');
+  assert.includes(lines, 'FLAGGED CATEGORIES:  hate, harassment');
+  assert.includes(lines, '  Hate Speech:       82%  [DANGER]');
+  assert.includes(lines, '  Harassment:        78%  [DANGER]');
+  assert.includes(lines, '      hate                     82%  (flagged)');
+  assert.includes(lines, '  Violence:          1%');
+  assert.ok(!lines.some((line) => line.startsWith('  Other:')), 'Other is only listed when the provider sent unmapped labels');
+  await app.waitForToast(/Report copied/);
+});
+
+test('Report: a safe result reports no flags', async () => {
+  const app    = await openOnline();
+  const copied = captureClipboard(app);
+  app.analyze(unique('Thanks for the help'));
+  await app.waitForResults();
+
+  app.$('#copy-report-btn').click();
+  const report = await waitFor(copied, { message: 'Nothing was copied' });
+  assert.match(report, /^VERDICT: {13}LOW RISK$/m);
+  assert.match(report, /^FLAGGED BY AI: {7}NO ✓$/m);
+  assert.ok(!/FLAGGED CATEGORIES/.test(report));
+});
+
+test('Report: tags and notices follow the interface language', async () => {
+  const app    = await openOnline();
+  const copied = captureClipboard(app);
+  const select = app.$('#locale-select');
+  try {
+    select.value = 'es';
+    select.dispatchEvent(new app.win.Event('change'));
+    app.analyze(unique('I hate you, you idiot'));
+    await app.waitForResults();
+
+    app.$('#copy-report-btn').click();
+    const report = await waitFor(copied, { message: 'Nothing was copied' });
+    assert.match(report, /\[PELIGRO\]/);
+    assert.ok(!/\[DANGER\]/.test(report), 'The English tag leaked into a Spanish report');
+    await app.waitForToast(/Informe copiado/);
+  } finally {
+    app.win.localStorage.removeItem('cleartext.locale');
+  }
+});
+
+test('I18n: buttons, lists, rule summaries and form errors follow the interface language', async () => {
+  const app    = await openOnline();
+  const select = app.$('#locale-select');
+  captureClipboard(app);
+  const { elements } = app.$('#rules-form');
+  try {
+    select.value = 'es';
+    select.dispatchEvent(new app.win.Event('change'));
+    app.analyze(unique('Have a lovely day'));
+    await app.waitForResults();
+
+    app.$('#copy-report-btn').click();
+    await waitFor(() => app.$('#copy-report-btn').textContent.includes('¡Copiado!'), { message: 'The copy button stayed in English' });
+    assert.match(app.$('#history-count').textContent, /^\d+ guardados?$/);
+
+    elements.label.value   = 'Insultos';
+    elements.pattern.value = 'bobo, tonto';
+    elements.action.value  = 'explain';
+    app.$('#rules-form').requestSubmit();
+    assert.match(app.$('#rules-list').textContent, /2 palabras: bobo, tonto → explicar en /);
+
+    app.$('#compare-form').requestSubmit();
+    await app.waitForToast(/Introduce ambos textos para compararlos/);
+  } finally {
+    app.win.localStorage.removeItem('cleartext.locale');
+    app.win.localStorage.removeItem('cleartext.rules');
+  }
+});